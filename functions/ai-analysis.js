@@ -0,0 +1,109 @@
+// Map-reduce answers to questions over more documents than fit in one prompt.
+//
+// An analysis is kept in aiAnalyses/{analysisId} under
+// artifacts/{appId}/users/{userId}, with the question, the documents it
+// covers (docIds) and its progress, and works in two phases:
+//   map     - the documents are read in order and packed into batches; each
+//             batch's notes on the question are stored as a level 0 partial
+//   reduce  - the partials of a level are combined, a group at a time, into
+//             the partials of the next level, until one group is left, whose
+//             combination is the final answer
+// Partials are kept in aiAnalyses/{analysisId}/partials/{level}-{index}:
+//   { level, index, answer, docIds, sources, relevant }
+// docIds are the documents the partial was drawn from, and sources those it
+// cites; the final answer's sources are carried up from the partials, so
+// every statement can be traced to documents. The browser reads the
+// analysis record (see public/js/ai-analysis.js).
+
+// A map batch's reply when its documents say nothing about the question
+export const NOTHING_RELEVANT = 'NO_RELEVANT_INFORMATION';
+
+const CITATION = /\[([^[\]\n]{1,400})\]/g;
+
+/**
+ * The prompt that extracts what a batch of documents says about the question.
+ * @param {string} question
+ * @param {Array<string>} parts - Each document (or part of one) with its heading.
+ * @returns {string}
+ */
+export function buildMapPrompt(question, parts) {
+  return `You are helping answer a question about a large document collection. The collection is too large to read at once, so it is read in batches, and this is one batch.
+
+Question: ${question}
+
+From the documents below only, write notes on everything that bears on the question: facts, dates, people, amounts and quotations. Cite every note with the ID of the document it comes from in square brackets, e.g. [ABC000123]. Do not draw conclusions about documents you have not seen.
+If none of these documents bears on the question, reply with exactly ${NOTHING_RELEVANT} and nothing else.
+
+Documents:
+${parts.join('\n\n---\n\n')}`;
+}
+
+/**
+ * The prompt that combines partial answers, either into a shorter set of
+ * notes for the next level or, when final, into the answer itself.
+ * @param {string} question
+ * @param {Array<string>} answers - The partials' text.
+ * @param {boolean} final
+ * @returns {string}
+ */
+export function buildReducePrompt(question, answers, final) {
+  const notes = answers.map((answer, i) => `Notes ${i + 1}:\n${answer}`).join('\n\n---\n\n');
+  const task = final
+    ? 'Using only these notes, write a complete answer to the question. Organize it clearly (chronologically where the question concerns events). Keep the document IDs in square brackets after every statement they support, e.g. [ABC000123].'
+    : 'Merge these notes into one set of notes on the question, removing repetition but keeping every distinct fact. Keep the document IDs in square brackets after every note they support, e.g. [ABC000123].';
+  return `You are helping answer a question about a large document collection. Notes on the question were taken from different batches of documents.
+
+Question: ${question}
+
+${task}
+
+${notes}`;
+}
+
+/**
+ * The documents an answer cites, among those it could cite.
+ * @param {string} answer
+ * @param {Array<string>} allowed - Beg Bates the answer was drawn from.
+ * @returns {Array<string>} In allowed order.
+ */
+export function citedDocIds(answer, allowed) {
+  const cited = new Set();
+  for (const [, inside] of String(answer || '').matchAll(CITATION)) {
+    for (const id of inside.split(/[,;]/)) cited.add(id.trim());
+  }
+  return allowed.filter(docId => cited.has(docId));
+}
+
+/**
+ * Whether a map batch found anything bearing on the question.
+ * @param {string|null} answer
+ * @returns {boolean}
+ */
+export function isRelevant(answer) {
+  const text = String(answer || '').trim();
+  return text.length > 0 && !text.startsWith(NOTHING_RELEVANT);
+}
+
+/**
+ * Groups a level's partials for combining, in order, each group's answers
+ * within maxChars. Every group but the last has at least two partials, even
+ * if that exceeds maxChars, so each level is smaller than the one before.
+ * @param {Array<{answer: string}>} partials
+ * @param {number} maxChars
+ * @returns {Array<Array<Object>>}
+ */
+export function groupPartials(partials, maxChars) {
+  const groups = [];
+  let size = 0;
+  for (const partial of partials) {
+    const current = groups[groups.length - 1];
+    if (current && (current.length === 1 || size + partial.answer.length <= maxChars)) {
+      current.push(partial);
+      size += partial.answer.length;
+    } else {
+      groups.push([partial]);
+      size = partial.answer.length;
+    }
+  }
+  return groups;
+}
@@ -0,0 +1,76 @@
+// Conversations with the AI assistant (docQuery), so a question can follow
+// up on earlier ones.
+//
+// A session is kept in aiSessions/{sessionId} under
+// artifacts/{appId}/users/{userId}:
+//   { title, turnCount, createdAt, updatedAt }
+// and each question and its answer in aiSessions/{sessionId}/turns/{index}
+// (the index zero-padded, so the IDs sort in order):
+//   { index, question, answer, claims, sourceIds, tokenInfo, createdAt }
+// sourceIds are the documents the answer was shown to draw on. A follow-up's
+// prompt carries the latest turns, within a budget, and its context the
+// latest turns' sources, so "what about the March emails?" is read in the
+// light of what came before. The browser lists and exports sessions (see
+// public/js/ai-sessions.js).
+
+const MAX_TITLE_CHARS = 80;
+
+/**
+ * A session's title, from its first question.
+ * @param {string} question
+ * @returns {string}
+ */
+export function sessionTitle(question) {
+  const title = question.trim().replace(/\s+/g, ' ');
+  return title.length > MAX_TITLE_CHARS ? `${title.slice(0, MAX_TITLE_CHARS - 1)}…` : title;
+}
+
+/**
+ * The ID of a session's turn.
+ * @param {number} index
+ * @returns {string}
+ */
+export function turnId(index) {
+  return String(index).padStart(4, '0');
+}
+
+/**
+ * The conversation so far, for a follow-up's prompt: the latest turns that
+ * fit within maxChars, oldest first. The latest turn's answer is cut to fit
+ * if it alone is too long; older turns that do not fit are left out.
+ * @param {Array<{question: string, answer: string}>} turns - Latest first.
+ * @param {number} maxChars
+ * @returns {string} Empty for a new session.
+ */
+export function conversationHistory(turns, maxChars) {
+  const kept = [];
+  let used = 0;
+  for (const { question, answer } of turns) {
+    let entry = `Question: ${question}\nAnswer: ${answer}`;
+    if (used + entry.length > maxChars) {
+      if (kept.length > 0) break;
+      entry = `${entry.slice(0, Math.max(0, maxChars - 20))} [answer cut short]`;
+    }
+    kept.unshift(entry);
+    used += entry.length;
+  }
+  return kept.join('\n\n');
+}
+
+/**
+ * The documents to carry into a follow-up's context: the sources of the
+ * latest turns, latest first.
+ * @param {Array<{sourceIds: Array<string>}>} turns - Latest first.
+ * @param {number} max
+ * @returns {Array<string>}
+ */
+export function carriedDocIds(turns, max) {
+  const docIds = new Set();
+  for (const turn of turns) {
+    for (const docId of turn.sourceIds || []) {
+      if (docIds.size >= max) return [...docIds];
+      docIds.add(docId);
+    }
+  }
+  return [...docIds];
+}
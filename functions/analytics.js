@@ -0,0 +1,98 @@
+import { minHashSignature, groupNearDuplicates } from './shared/near-duplicates.js';
+import { isEmail, emailFeatures, buildThreads } from './shared/email-threading.js';
+import { tokenize } from './shared/text-analysis.js';
+
+// Email threading and near-duplicate analysis over a user's documents.
+//
+// A run is kept in analyticsRuns/{runId} under artifacts/{appId}/users/{userId}
+// and works in two phases:
+//   features  - each document's text is read once, and what the grouping
+//               needs is stored in analyticsRuns/{runId}/features/{docId}:
+//               { signature, length, email }  (email is null for non-emails)
+//   grouping  - the features are grouped into threads and near-duplicate
+//               sets, and the per-document results are written in chunks to
+//               analyticsRuns/{runId}/results/{n}: { docs: { [docId]: result } }
+// The features are deleted once the results are written. The browser reads
+// the results of the latest complete run (see public/js/analytics.js).
+
+export const RESULTS_PER_CHUNK = 1000;
+
+/**
+ * What the grouping phase needs to know about one document.
+ * @param {string} docId
+ * @param {Object} data - The document's fields.
+ * @param {string} text - Its extracted text.
+ * @returns {{signature: Array<number>|null, length: number, email: Object|null}}
+ */
+export function documentFeatures(docId, data, text) {
+  return {
+    signature: minHashSignature(text),
+    length: tokenize(text).length,
+    email: isEmail(data) ? emailFeatures(docId, data, text) : null
+  };
+}
+
+/**
+ * Groups a run's stored features into threads and near-duplicate sets.
+ * @param {FirebaseFirestore.DocumentReference} runRef
+ * @param {number} threshold - Near-duplicate similarity, from 0 to 1.
+ * @returns {Promise<{results: Map<string, Object>, summary: Object}>} results by Beg Bates:
+ *   { threadId, threadSize, threadIndex, inclusive } for emails and
+ *   { nearDupeGroup (the pivot's Beg Bates), nearDupeSize, similarity } for near-duplicates.
+ */
+export async function groupFeatures(runRef, threshold) {
+  const snapshot = await runRef.collection('features').get();
+  const items = [];
+  const emails = [];
+  snapshot.forEach((featureSnap) => {
+    const { signature, length, email } = featureSnap.data();
+    items.push({ docId: featureSnap.id, signature, length });
+    if (email) emails.push(email);
+  });
+
+  const results = new Map();
+  const resultOf = (docId) => {
+    if (!results.has(docId)) results.set(docId, {});
+    return results.get(docId);
+  };
+
+  const threads = buildThreads(emails);
+  for (const [docId, thread] of threads) Object.assign(resultOf(docId), thread);
+
+  const groups = groupNearDuplicates(items, threshold);
+  for (const { pivot, members } of groups) {
+    for (const { docId, similarity } of members) {
+      Object.assign(resultOf(docId), { nearDupeGroup: pivot, nearDupeSize: members.length, similarity });
+    }
+  }
+
+  const threadIds = new Set([...threads.values()].map(thread => thread.threadId));
+  return {
+    results,
+    summary: {
+      emailCount: emails.length,
+      threadCount: threadIds.size,
+      inclusiveCount: [...threads.values()].filter(thread => thread.inclusive).length,
+      nearDupeGroupCount: groups.length,
+      nearDupeDocCount: groups.reduce((sum, group) => sum + group.members.length, 0)
+    }
+  };
+}
+
+/**
+ * Writes a run's results in chunks of RESULTS_PER_CHUNK documents.
+ * @returns {Promise<number>} The number of chunks.
+ */
+export async function writeResults(db, runRef, results) {
+  const entries = [...results];
+  const writer = db.bulkWriter();
+  let chunks = 0;
+  for (let i = 0; i < entries.length; i += RESULTS_PER_CHUNK) {
+    writer.set(runRef.collection('results').doc(String(chunks)), {
+      docs: Object.fromEntries(entries.slice(i, i + RESULTS_PER_CHUNK))
+    });
+    chunks++;
+  }
+  await writer.close();
+  return chunks;
+}
@@ -0,0 +1,154 @@
+import { locateQuote, quoteLength } from './shared/quote-match.js';
+
+// Quote-level citations for AI answers (docQuery).
+//
+// The model answers in structured output: a list of claims, each a
+// statement with the documents that support it, and for each document a
+// verbatim quote. Before the answer is returned, every quote is looked for
+// in the text of the document it cites (see public/js/quote-match.js), and
+// each claim is marked with what was found:
+//   verified    - every citation's quote is in its document
+//   partial     - some are
+//   unverified  - none is, so nothing in the collection is known to support it
+//   uncited     - the claim cites nothing (e.g. an introductory sentence)
+// Claims are kept, flagged, rather than dropped, so the reviewer sees what
+// the model said and which parts of it are not borne out.
+
+const MIN_QUOTE_CHARS = 12; // Shorter quotes (after folding) are not evidence of anything
+const STATEMENT = /"statement"\s*:\s*"((?:[^"\\]|\\.)*)("?)/g; // Closed or still being written
+
+export const CITED_ANSWER_SCHEMA = {
+  type: 'object',
+  properties: {
+    claims: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          statement: { type: 'string' },
+          citations: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                docId: { type: 'string' },
+                quote: { type: 'string' }
+              },
+              required: ['docId', 'quote']
+            }
+          }
+        },
+        required: ['statement', 'citations']
+      }
+    }
+  },
+  required: ['claims']
+};
+
+/**
+ * The prompt for an answer with quote-level citations.
+ * @param {string} query
+ * @param {string} context - The documents or passages, each headed "Document <ID>:".
+ * @param {boolean} passages - Whether the context holds passages rather than whole documents.
+ * @param {string} [history] - Earlier questions and answers in the conversation (see ai-sessions.js).
+ * @returns {string}
+ */
+export function buildCitedAnswerPrompt(query, context, passages, history = '') {
+  const earlier = history
+    ? `The request follows up on this conversation, which may explain what it refers to:
+
+${history}
+
+`
+    : '';
+  return `Answer the request below using only the ${passages ? 'passages from documents' : 'documents'} in the context.
+
+${earlier}Request: ${query}
+
+Reply in JSON as a list of claims, in the order they should be read. Each claim is one statement of the answer (a sentence, or a list item starting with "- "), with its citations: for every document that supports the statement, the document's ID exactly as it appears after "Document" in the context (e.g. ABC000123), and a quote copied word for word from that document's text, at most 40 words, that shows the statement is true. Use "..." inside a quote to leave words out. Do not quote the bracketed metadata or excerpt headings. A statement that only introduces or connects others may have no citations. If the context does not answer the request, say so in a single claim with no citations.
+
+Context:
+${context}`;
+}
+
+/**
+ * Reads the claims from a structured answer.
+ * @param {string} text - The model's reply.
+ * @returns {Array<{statement: string, citations: Array<{docId: string, quote: string}>}>}
+ * @throws {Error} If the reply is not JSON in the expected shape.
+ */
+export function parseCitedAnswer(text) {
+  const json = String(text || '').trim().replace(/^```(?:json)?\s*|\s*```$/g, '');
+  const claims = JSON.parse(json)?.claims;
+  if (!Array.isArray(claims)) throw new Error('The answer has no claims');
+  return claims
+    .filter(claim => typeof claim?.statement === 'string' && claim.statement.trim())
+    .map(claim => ({
+      statement: claim.statement.trim(),
+      citations: (Array.isArray(claim.citations) ? claim.citations : [])
+        .filter(citation => typeof citation?.docId === 'string' && typeof citation?.quote === 'string')
+        .map(citation => ({ docId: citation.docId.trim(), quote: citation.quote.trim() }))
+    }));
+}
+
+/**
+ * Checks each citation's quote against the text of its document.
+ * @param {Array<Object>} claims - From parseCitedAnswer().
+ * @param {Map<string, string>} texts - The text of each document the answer could cite, by ID.
+ * @returns {Array<Object>} The claims with a status each, and each citation
+ *   marked verified or given a problem: 'not-in-context' (a document the model
+ *   was not given), 'too-short' or 'not-found'.
+ */
+export function verifyCitations(claims, texts) {
+  return claims.map(claim => {
+    const citations = claim.citations.map(citation => {
+      const text = texts.get(citation.docId);
+      let problem = null;
+      if (text === undefined) problem = 'not-in-context';
+      else if (quoteLength(citation.quote) < MIN_QUOTE_CHARS) problem = 'too-short';
+      else if (!locateQuote(text, citation.quote)) problem = 'not-found';
+      return problem ? { ...citation, verified: false, problem } : { ...citation, verified: true };
+    });
+    const verified = citations.filter(citation => citation.verified).length;
+    const status = citations.length === 0 ? 'uncited'
+      : verified === citations.length ? 'verified'
+        : verified > 0 ? 'partial' : 'unverified';
+    return { ...claim, citations, status };
+  });
+}
+
+/**
+ * The statements of an answer still being written, one per line, to show
+ * as it streams in. The last may be cut short; a reply that is not JSON
+ * (the model ignoring the format) is shown as it is.
+ * @param {string} text - The reply so far.
+ * @returns {string} Only grows as the reply does.
+ */
+export function partialAnswerText(text) {
+  if (!/^\s*(\{|```)/.test(text)) return text;
+  const statements = [];
+  for (const [, body, closed] of text.matchAll(STATEMENT)) {
+    // A statement being written may end partway through a \u escape
+    const json = closed ? body : body.replace(/\\u[0-9a-fA-F]{0,3}$/, '');
+    try {
+      statements.push(JSON.parse(`"${json}"`));
+    } catch {
+      break;
+    }
+  }
+  return statements.join('\n');
+}
+
+/**
+ * The answer as plain text, each statement followed by the IDs it cites
+ * (unverified ones marked), for display where claims are not shown and for
+ * logs.
+ * @param {Array<Object>} claims - From verifyCitations().
+ * @returns {string}
+ */
+export function citedAnswerText(claims) {
+  return claims.map(({ statement, citations }) => {
+    const ids = [...new Set(citations.map(({ docId, verified }) => verified ? docId : `${docId} (unverified)`))];
+    return ids.length > 0 ? `${statement} [${ids.join('; ')}]` : statement;
+  }).join('\n');
+}
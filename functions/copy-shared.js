@@ -0,0 +1,32 @@
+#!/usr/bin/env node
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// Resolve __dirname in ESM
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Browser modules the functions import as well. They may only import each
+// other, since only the listed files are copied (to functions/shared/, which
+// is not committed).
+const SHARED_MODULES = ['text-analysis.js', 'search-query.js', 'redaction-text.js', 'pii-detection.js', 'near-duplicates.js', 'email-threading.js', 'llm-settings.js', 'quote-match.js', 'load-file-fields.js', 'families.js'];
+
+const sourceDir = path.join(__dirname, '..', 'public', 'js');
+const targetDir = path.join(__dirname, 'shared');
+
+function main() {
+  try {
+    fs.mkdirSync(targetDir, { recursive: true });
+    for (const name of SHARED_MODULES) {
+      fs.copyFileSync(path.join(sourceDir, name), path.join(targetDir, name));
+    }
+    console.log(`Copied ${SHARED_MODULES.length} shared module(s) to functions/shared`);
+    process.exit(0);
+  } catch (err) {
+    console.error('Failed to copy shared modules:', err);
+    process.exit(2);
+  }
+}
+
+main();
@@ -0,0 +1,102 @@
+import { embedTexts } from './generative-api.js';
+import { analyzeText } from './shared/text-analysis.js';
+import { hashString } from './shared/near-duplicates.js';
+
+// Text embedders for semantic retrieval (see semantic-index.js).
+//
+// An embedder turns passages and queries into vectors of EMBEDDING_DIMENSIONS
+// numbers, where similar meaning gives a small cosine distance. Every
+// embedder uses the same size, so the one vector index serves them all;
+// each stored vector records its embedder's name, and only vectors from the
+// embedder in use are searched.
+//
+// The embedder is chosen by the EMBEDDING_PROVIDER environment variable:
+//   gemini  - the Generative Language API's embedding model (the default)
+//   local   - a deterministic hashed bag of words, with no network calls
+//             (the default in the emulator; for tests, too)
+// Others can be added with registerEmbedder().
+
+export const EMBEDDING_DIMENSIONS = 768; // Must match the vector index in firestore.indexes.json
+
+const GEMINI_EMBEDDING_MODEL = 'text-embedding-004';
+const LOCAL_BIGRAM_WEIGHT = 0.5; // Adjacent term pairs count for half a term
+
+const factories = new Map();
+
+/**
+ * Makes an embedder available under a name.
+ * @param {string} name - The EMBEDDING_PROVIDER value that selects it.
+ * @param {Function} factory - Returns { name, embedDocuments(texts), embedQuery(text) }:
+ *   name is recorded with each stored vector and must change whenever the
+ *   vectors would; both methods resolve to vectors of EMBEDDING_DIMENSIONS.
+ */
+export function registerEmbedder(name, factory) {
+  factories.set(name, factory);
+}
+
+/**
+ * The embedder in use.
+ * @param {string} [name] - Defaults to EMBEDDING_PROVIDER, then 'local' in the emulator and 'gemini' elsewhere.
+ * @returns {{name: string, embedDocuments: Function, embedQuery: Function}}
+ * @throws {Error} For an unknown embedder.
+ */
+export function getEmbedder(name = process.env.EMBEDDING_PROVIDER || (process.env.FUNCTIONS_EMULATOR === 'true' ? 'local' : 'gemini')) {
+  const factory = factories.get(name);
+  if (!factory) throw new Error(`Unknown embedder "${name}"; expected one of ${[...factories.keys()].join(', ')}`);
+  return factory();
+}
+
+/**
+ * Scales a vector to unit length, so cosine distance depends on direction only.
+ * @param {Array<number>} vector
+ * @returns {Array<number>}
+ */
+export function normalizeVector(vector) {
+  const length = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+  return length > 0 ? vector.map(value => value / length) : vector;
+}
+
+/**
+ * Embeds a text locally: its stemmed terms and adjacent term pairs are
+ * hashed into the vector (feature hashing, with a hashed sign to offset
+ * collisions), weighted 1 + log(count). Texts that share vocabulary are
+ * close; synonyms are not. The same text always gives the same vector.
+ * @param {string} text
+ * @returns {Array<number>}
+ */
+export function localEmbedding(text) {
+  const counts = new Map();
+  const add = (feature, weight) => counts.set(feature, (counts.get(feature) || 0) + weight);
+  const terms = analyzeText(text);
+  terms.forEach((term, i) => {
+    add(term, 1);
+    if (i > 0) add(`${terms[i - 1]} ${term}`, LOCAL_BIGRAM_WEIGHT);
+  });
+
+  const vector = new Array(EMBEDDING_DIMENSIONS).fill(0);
+  for (const [feature, count] of counts) {
+    const hash = hashString(feature);
+    vector[hash % EMBEDDING_DIMENSIONS] += (hash & 0x80000000 ? -1 : 1) * (1 + Math.log(count));
+  }
+  return normalizeVector(vector);
+}
+
+registerEmbedder('local', () => ({
+  name: 'local-hash-v1',
+  embedDocuments: async (texts) => texts.map(localEmbedding),
+  embedQuery: async (text) => localEmbedding(text)
+}));
+
+registerEmbedder('gemini', () => ({
+  name: `gemini:${GEMINI_EMBEDDING_MODEL}`,
+  embedDocuments: async (texts) => (await embedTexts(texts, {
+    model: GEMINI_EMBEDDING_MODEL,
+    taskType: 'RETRIEVAL_DOCUMENT',
+    dimensions: EMBEDDING_DIMENSIONS
+  })).map(normalizeVector),
+  embedQuery: async (text) => normalizeVector((await embedTexts([text], {
+    model: GEMINI_EMBEDDING_MODEL,
+    taskType: 'RETRIEVAL_QUERY',
+    dimensions: EMBEDDING_DIMENSIONS
+  }))[0])
+}));
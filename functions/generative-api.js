@@ -0,0 +1,153 @@
+import { GoogleAuth } from 'google-auth-library';
+
+// Calls to the Generative Language REST API, used directly instead of
+// Genkit to avoid plugin initialization errors. Text generation goes
+// through the Gemini provider in llm-providers.js; embeddings are made here.
+//
+// The function's service account is tried first (recommended). If that fails
+// (no permission) and the GOOGLE_GENAI_API_KEY secret is set, the call is
+// retried with ?key=API_KEY, so callables using this must list that secret.
+
+const EMBED_BATCH_SIZE = 100; // Texts per batchEmbedContents request, the API's limit
+
+// Posts to a single URL with the given headers, throwing on a non-OK response
+async function post(url, headers, requestBody, signal) {
+  console.debug('Trying API endpoint:', url.replace(/key=[^&]+/, 'key=***'));
+  const resp = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(requestBody),
+    signal
+  });
+  if (!resp.ok) {
+    const txt = await resp.text().catch(() => '<no body>');
+    console.debug('Generative API non-OK response:', resp.status, txt.slice(0, 400));
+
+    // Check for token-related errors
+    const isTokenError = resp.status === 400 && (
+      txt.toLowerCase().includes('token') ||
+      txt.toLowerCase().includes('too long') ||
+      txt.toLowerCase().includes('max') ||
+      txt.toLowerCase().includes('limit')
+    );
+
+    if (isTokenError) {
+      const err = new Error('Request exceeded token limits. Try asking about fewer documents or a more specific query.');
+      err.status = resp.status;
+      err.body = txt;
+      err.isTokenError = true;
+      throw err;
+    }
+
+    const err = new Error(`Generative API returned ${resp.status}`);
+    err.status = resp.status;
+    err.body = txt;
+    throw err;
+  }
+  return resp;
+}
+
+/**
+ * Runs a call with the function's service account, falling back to the
+ * GOOGLE_GENAI_API_KEY secret when that fails. A cancelled call is not retried.
+ * @param {Function} call - Given (urlFor, headers, authLabel), where
+ *   urlFor(path) is the full URL of an API path such as 'models/x:method'
+ *   (which may have its own query string).
+ */
+async function withAuth(call) {
+  try {
+    const auth = new GoogleAuth();
+    const client = await auth.getClient();
+    const accessToken = (await client.getAccessToken())?.token || (await client.getAccessToken());
+    if (!accessToken) throw new Error('Could not obtain access token from metadata');
+
+    return await call(
+      (path) => `https://generativelanguage.googleapis.com/v1/${path}`,
+      { Authorization: `Bearer ${accessToken}` },
+      'service-account auth'
+    );
+  } catch (saError) {
+    if (saError.name === 'AbortError') throw saError;
+    console.warn('Service-account auth failed or not permitted:', saError.message || saError);
+    const apiKey = process.env.GOOGLE_GENAI_API_KEY || null;
+    if (!apiKey) {
+      console.error('No API key available to fall back to; rethrowing SA error');
+      throw saError;
+    }
+
+    console.warn('Falling back to API key auth for Generative API');
+    return await call(
+      (path) => `https://generativelanguage.googleapis.com/v1beta/${path}${path.includes('?') ? '&' : '?'}key=${apiKey}`,
+      {},
+      'API key'
+    );
+  }
+}
+
+/**
+ * Posts a request to an API method.
+ * @param {string} path - e.g. 'models/gemini-2.5-flash:generateContent'
+ * @param {Object} body
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<Object>} The response.
+ * @throws {Error} With status (and isTokenError for input that is too long) when the API refuses.
+ */
+export async function callGenerativeApi(path, body, { signal } = {}) {
+  return withAuth(async (urlFor, headers, authLabel) => {
+    const payload = await (await post(urlFor(path), headers, body, signal)).json();
+    console.info(`Generative API call to ${path} succeeded using ${authLabel}`);
+    return payload;
+  });
+}
+
+/**
+ * Posts a request to a streaming API method, yielding each response as it
+ * arrives (server-sent events).
+ * @param {string} path - e.g. 'models/gemini-2.5-flash:streamGenerateContent'
+ * @param {Object} body
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Stops reading, and the request.
+ * @returns {AsyncGenerator<Object>}
+ */
+export async function* streamGenerativeApi(path, body, { signal } = {}) {
+  const resp = await withAuth((urlFor, headers) => post(urlFor(`${path}?alt=sse`), headers, body, signal));
+  const decoder = new TextDecoder();
+  let buffered = '';
+  for await (const bytes of resp.body) {
+    buffered += decoder.decode(bytes, { stream: true });
+    const events = buffered.split(/\r?\n\r?\n/);
+    buffered = events.pop();
+    for (const event of events) {
+      const data = event.split(/\r?\n/).filter(line => line.startsWith('data:')).map(line => line.slice(5).trim()).join('');
+      if (data) yield JSON.parse(data);
+    }
+  }
+}
+
+/**
+ * Embeds texts with an embedding model, at most EMBED_BATCH_SIZE per request.
+ * @param {Array<string>} texts
+ * @param {Object} options
+ * @param {string} options.model - e.g. 'text-embedding-004'
+ * @param {string} options.taskType - 'RETRIEVAL_DOCUMENT' for stored text, 'RETRIEVAL_QUERY' for queries.
+ * @param {number} [options.dimensions] - Output size, for models that can shorten their vectors.
+ * @returns {Promise<Array<Array<number>>>} One vector per text, in order.
+ */
+export async function embedTexts(texts, { model, taskType, dimensions }) {
+  const vectors = [];
+  for (let i = 0; i < texts.length; i += EMBED_BATCH_SIZE) {
+    const requests = texts.slice(i, i + EMBED_BATCH_SIZE).map(text => ({
+      model: `models/${model}`,
+      content: { parts: [{ text }] },
+      taskType,
+      ...(dimensions ? { outputDimensionality: dimensions } : {})
+    }));
+    const payload = await callGenerativeApi(`models/${model}:batchEmbedContents`, { requests });
+    if (payload.embeddings?.length !== requests.length) {
+      throw new Error(`Embedding API returned ${payload.embeddings?.length ?? 0} vectors for ${requests.length} texts`);
+    }
+    vectors.push(...payload.embeddings.map(embedding => embedding.values));
+  }
+  return vectors;
+}
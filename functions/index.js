@@ -1,12 +1,39 @@
 import { initializeApp } from 'firebase-admin/app';
-import { getFirestore } from 'firebase-admin/firestore';
+import { getFirestore, FieldPath, FieldValue } from 'firebase-admin/firestore';
 import { getStorage } from 'firebase-admin/storage';
+import { getFunctions } from 'firebase-admin/functions';
 import { onCall, HttpsError } from 'firebase-functions/v2/https';
-import { GoogleAuth } from 'google-auth-library';
-
-// We will use the Generative Language REST API directly instead of Genkit to
-// avoid plugin initialization errors (e.g. reading 'pluginId' of undefined).
-// This keeps the Cloud Function simpler and more robust.
+import { onDocumentWritten } from 'firebase-functions/v2/firestore';
+import { onTaskDispatched } from 'firebase-functions/v2/tasks';
+import {
+  indexDocument,
+  removeDocumentFromIndex,
+  searchIndex,
+  searchableFields,
+  searchableContentChanged
+} from './search-index.js';
+import {
+  indexDocumentPassages,
+  removeDocumentPassages,
+  passagesCurrent,
+  hasSemanticIndex,
+  retrievePassages,
+  documentPassages,
+  redactPassage,
+  selectPassages,
+  groupPassages
+} from './semantic-index.js';
+import { getEmbedder } from './embeddings.js';
+import { parseQuery, isPlainTerms } from './shared/search-query.js';
+import { applyTextRedactions, isTextWithheld } from './shared/redaction-text.js';
+import { detectPii, detectionContext, MAX_DETECTIONS_PER_DOC } from './shared/pii-detection.js';
+import { getLlmProvider } from './llm-providers.js';
+import { resolveLlmSettings } from './shared/llm-settings.js';
+import { groupFamilies, familyMembers } from './shared/families.js';
+import { documentFeatures, groupFeatures, writeResults } from './analytics.js';
+import { sessionTitle, turnId, conversationHistory, carriedDocIds } from './ai-sessions.js';
+import { CITED_ANSWER_SCHEMA, buildCitedAnswerPrompt, parseCitedAnswer, verifyCitations, citedAnswerText, partialAnswerText } from './citations.js';
+import { buildMapPrompt, buildReducePrompt, citedDocIds, isRelevant, groupPartials } from './ai-analysis.js';
 
 // Initialize Firebase Admin SDK
 initializeApp();
@@ -21,7 +48,7 @@ export const docQuery = onCall({
   memory: '1GiB',
   timeoutSeconds: 120,
   secrets: ['GOOGLE_GENAI_API_KEY']
-}, async (request) => {
+}, async (request, response) => {
   console.info('docQuery invoked. Project env:', {
     GCLOUD_PROJECT: process.env.GCLOUD_PROJECT,
     GCP_PROJECT: process.env.GCP_PROJECT,
@@ -29,17 +56,32 @@ export const docQuery = onCall({
     REGION: process.env.FUNCTION_REGION || process.env.FUNCTIONS_REGION,
     hasApiKeyEnv: !!process.env.GOOGLE_GENAI_API_KEY
   });
-  // Accept userId either from the request data (explicit) or from the authenticated
-  // caller (request.auth.uid). This makes the callable more robust and easier to
-  // call from the frontend (which may not send userId explicitly).
-  const { query, userId: providedUserId } = (request.data || {});
-  const userId = providedUserId || (request.auth && request.auth.uid) || null;
+  // Only the caller's own documents and conversations are read or written
+  const userId = request.auth?.uid;
+  if (!userId) {
+    throw new HttpsError('unauthenticated', 'User must be authenticated');
+  }
 
-  if (!query || !userId) {
-    throw new HttpsError('invalid-argument', 'Query and userId are required');
+  const { query, expandFamilies = false, sessionId = null } = (request.data || {});
+  if (!query) {
+    throw new HttpsError('invalid-argument', 'Query is required');
   }
 
   try {
+    // An earlier conversation to follow up on, checked before a query is counted
+    const sessionRef = sessionId ? db.doc(`artifacts/${APP_ID}/users/${userId}/aiSessions/${sessionId}`) : null;
+    let earlierTurns = [];
+    if (sessionRef) {
+      const [sessionSnap, turnsSnap] = await Promise.all([
+        sessionRef.get(),
+        sessionRef.collection('turns').orderBy('index', 'desc').limit(MAX_HISTORY_TURNS).get()
+      ]);
+      if (!sessionSnap.exists) {
+        throw new HttpsError('not-found', 'That conversation no longer exists. Start a new one.');
+      }
+      earlierTurns = turnsSnap.docs.map(snap => snap.data());
+    }
+
     // Check and update query usage limits
     const usageInfo = await checkAndUpdateQueryUsage(userId);
 
@@ -49,280 +91,153 @@ export const docQuery = onCall({
         `You have reached your monthly limit of ${usageInfo.maxQueries} AI queries. Your limit will reset on ${usageInfo.resetDate}.`
       );
     }
+    const usage = {
+      queriesUsed: usageInfo.queriesUsed,
+      queriesRemaining: usageInfo.queriesRemaining,
+      isAdmin: usageInfo.isAdmin
+    };
 
-    // Find relevant documents first
-    const relevantDocs = await findRelevantDocsByMetadata(query, userId);
-    
-    if (relevantDocs.length === 0) {
-      return { answer: "No relevant documents found for your query.", sources: [] };
-    }
-
-    // Fetch text content for relevant docs
-    const docsWithText = await Promise.all(
-      relevantDocs.map(async doc => ({
-        ...doc,
-        text: await fetchDocumentText(doc, userId)
-      }))
-    );
-
-    // Calculate token budget: total budget minus reserved tokens for prompt
-    const availableTokens = MAX_INPUT_TOKENS - RESERVED_TOKENS_FOR_PROMPT;
-    const tokensPerDoc = Math.floor(availableTokens / docsWithText.length);
-
-    console.log(`Token budget: ${availableTokens} tokens total, ~${tokensPerDoc} per document`);
+    // Records the question and its answer in the conversation (a new one
+    // unless following up), and returns the answer with the session's ID
+    const respond = async (result) => {
+      const ref = sessionRef || db.collection(`artifacts/${APP_ID}/users/${userId}/aiSessions`).doc();
+      const now = new Date();
+      await db.runTransaction(async (transaction) => {
+        const snap = await transaction.get(ref);
+        const index = snap.exists ? snap.data().turnCount || 0 : 0;
+        transaction.set(ref.collection('turns').doc(turnId(index)), {
+          index,
+          question: query,
+          answer: result.answer,
+          claims: result.claims || null,
+          sourceIds: (result.sources || []).map(doc => doc.id),
+          tokenInfo: result.tokenInfo || null,
+          createdAt: now
+        });
+        transaction.set(ref, snap.exists
+          ? { turnCount: index + 1, updatedAt: now }
+          : { title: sessionTitle(query), turnCount: 1, createdAt: now, updatedAt: now }, { merge: true });
+      });
+      return { ...result, sessionId: ref.id };
+    };
 
-    // Build context with smart truncation to respect token limits
-    const contextParts = docsWithText.map(doc => {
-      const truncated = truncateDocumentText(doc, doc.text, tokensPerDoc);
-      const tokens = estimateTokens(truncated);
-      console.log(`Document ${doc.id}: ${tokens} estimated tokens (limit: ${tokensPerDoc})`);
-      return `Document ${doc.id}:\n${truncated}`;
+    // The most relevant passages, where the collection has a semantic index;
+    // otherwise the most relevant documents, each cut to fit. A follow-up
+    // also draws on the sources of the latest answers.
+    const history = conversationHistory(earlierTurns, MAX_HISTORY_TOKENS * CHARS_PER_TOKEN);
+    const carried = carriedDocIds(earlierTurns, MAX_CARRIED_DOCS);
+    const availableTokens = MAX_INPUT_TOKENS - RESERVED_TOKENS_FOR_PROMPT - estimateTokens(query) - estimateTokens(history);
+    const passageContext = await findRelevantPassages(query, userId, {
+      expandFamilies,
+      carriedDocIds: carried,
+      maxChars: availableTokens * CHARS_PER_TOKEN
     });
+    const relevantDocs = passageContext
+      ? passageContext.sources
+      : await findRelevantDocsByMetadata(query, userId, { expandFamilies, carriedDocIds: carried });
 
+    if (relevantDocs.length === 0) {
+      return respond({ answer: "No relevant documents found for your query.", sources: [], usageInfo: usage });
+    }
+
+    const contextParts = passageContext ? passageContext.contextParts : await buildDocumentContext(relevantDocs, userId, availableTokens);
     const context = contextParts.join('\n\n---\n\n');
-    const totalContextTokens = estimateTokens(context);
-    const queryTokens = estimateTokens(query);
-    const promptTokens = totalContextTokens + queryTokens + RESERVED_TOKENS_FOR_PROMPT;
+    // The answer is streamed to a caller that asks for it (see
+    // partialAnswerText), and stops when the caller disconnects
+    const { signal } = response;
+    const llm = await loadLlmProvider(userId);
+    const prompt = buildCitedAnswerPrompt(query, context, Boolean(passageContext), history);
+    const promptTokens = await llm.countTokens(prompt);
 
-    console.log(`Total context: ${totalContextTokens} estimated tokens (limit: ${MAX_INPUT_TOKENS})`);
-    console.log(`Query: ${queryTokens} tokens`);
-    console.log(`Total prompt (context + query + overhead): ${promptTokens} tokens`);
+    console.log(`Total context: ${estimateTokens(context)} estimated tokens (limit: ${MAX_INPUT_TOKENS})`);
+    console.log(`Total prompt: ${promptTokens} tokens (${llm.name}, ${llm.model})`);
 
-    // If prompt exceeds limits, reduce number of documents
+    // The context is cut to fit by estimate; the model's own count decides
     if (promptTokens > MAX_INPUT_TOKENS) {
-      const msg = `Token estimate (${promptTokens}) exceeds limit (${MAX_INPUT_TOKENS}). Try a more specific query or fewer documents.`;
+      const msg = `The prompt (${promptTokens} tokens) exceeds the limit (${MAX_INPUT_TOKENS}). Try a more specific query, or analyze all matching documents in the background.`;
       console.warn(msg);
       throw new Error(msg);
     }
 
-    const apiKey = process.env.GOOGLE_GENAI_API_KEY || null;
-    const prompt = `Based on the following documents, ${query}\n\nContext:\n${context}`;
-
-    // Try to call the Generative Language API using the function's service account
-    // (recommended). If that fails (no permission) and an API key secret exists,
-    // fall back to calling with ?key=API_KEY. Also attempt common API version
-    // paths (v1, v1beta2, v1beta1) — some projects may expose different versions.
-    // Prefer Gemini if available in the project; fallback to text-bison.
-    const modelCandidates = [
-      'googleai/gemini-2.5-flash',
-      'gemini-2.5-flash'
-    ];
-    
-    // Prepare request body for Gemini API
-    const geminiBody = {
-      contents: [{
-        parts: [{
-          text: prompt
-        }]
-      }],
-      generationConfig: {
-        temperature: 0.3,
-        maxOutputTokens: 8192  // Increased from 1024 to allow longer responses
-      }
-    };
-
-    // Prepare request body for legacy models (text-bison)
-    const legacyBody = {
-      prompt: { text: prompt },
-      temperature: 0.3,
-      maxOutputTokens: 8192  // Increased from 1024 to allow longer responses
-    };
-
-    // Helper to attempt a single URL with given headers
-    async function tryUrl(url, headers, requestBody) {
-      console.debug('Trying API endpoint:', url);
-      const resp = await fetch(url, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json', ...headers },
-        body: JSON.stringify(requestBody)
-      });
-      if (!resp.ok) {
-        const txt = await resp.text().catch(() => '<no body>');
-        console.debug('Generative API non-OK response:', resp.status, txt.slice(0, 400));
-
-        // Check for token-related errors
-        const isTokenError = resp.status === 400 && (
-          txt.toLowerCase().includes('token') ||
-          txt.toLowerCase().includes('too long') ||
-          txt.toLowerCase().includes('max') ||
-          txt.toLowerCase().includes('limit')
-        );
-
-        if (isTokenError) {
-          const err = new Error('Request exceeded token limits. Try asking about fewer documents or a more specific query.');
-          err.status = resp.status;
-          err.body = txt;
-          err.isTokenError = true;
-          throw err;
-        }
-
-        const err = new Error(`Generative API returned ${resp.status}`);
-        err.status = resp.status;
-        err.body = txt;
-        throw err;
-      }
-      return await resp.json();
+    // A query stopped before the model is asked is not counted; once asked,
+    // it is, whether or not the answer is finished
+    if (signal.aborted) {
+      await refundQueryUsage(userId);
+      throw new HttpsError('cancelled', 'The query was stopped before it was answered.');
     }
+    await response.sendChunk({ usageInfo: usage });
 
-    // Attempt using service account token first
+    let answerText = '';
+    let finishReason = null;
+    let shown = '';
     try {
-      const auth = new GoogleAuth();
-      const client = await auth.getClient();
-      const accessToken = (await client.getAccessToken())?.token || (await client.getAccessToken());
-      if (!accessToken) throw new Error('Could not obtain access token from metadata');
-
-      for (const modelName of modelCandidates) {
-        const isGemini = modelName.startsWith('gemini');
-        const url = `https://generativelanguage.googleapis.com/v1/models/${modelName}:${isGemini ? 'generateContent' : 'generateText'}`;
-        console.info(`Attempting Generative API (service-account) at ${url}`);
-        try {
-          const requestBody = isGemini ? geminiBody : legacyBody;
-          const payload = await tryUrl(url, { Authorization: `Bearer ${accessToken}` }, requestBody);
-          // success
-          console.info(`Generative API call succeeded using service-account auth (model: ${modelName})`);
-          console.log('Full API response:', JSON.stringify(payload, null, 2));
-
-          const candidate = payload.candidates?.[0];
-          const answerText = isGemini
-            ? candidate?.content?.parts?.[0]?.text
-            : candidate?.output;
-          const finishReason = candidate?.finishReason;
-
-          // Handle MAX_TOKENS finish reason
-          if (finishReason === 'MAX_TOKENS') {
-            console.warn('Response hit MAX_TOKENS limit');
-            // Return partial response if available, otherwise throw error
-            if (answerText) {
-              return {
-                answer: answerText + '\n\n[Response truncated - maximum output length reached]',
-                sources: relevantDocs,
-                tokenInfo: {
-                  estimatedInputTokens: promptTokens,
-                  maxInputTokens: MAX_INPUT_TOKENS,
-                  documentsProcessed: docsWithText.length,
-                  warning: 'Response was truncated due to length'
-                },
-                usageInfo: {
-                  queriesUsed: usageInfo.queriesUsed,
-                  queriesRemaining: usageInfo.queriesRemaining,
-                  isAdmin: usageInfo.isAdmin
-                }
-              };
-            } else {
-              throw new Error('Response exceeded maximum output length before generating any content. Try asking a more specific question or querying fewer documents.');
-            }
-          }
-
-          if (!answerText) {
-            console.warn('Unexpected API response format:', JSON.stringify(payload));
-            throw new Error('Unexpected API response format');
-          }
-
-          return {
-            answer: answerText,
-            sources: relevantDocs,
-            tokenInfo: {
-              estimatedInputTokens: promptTokens,
-              maxInputTokens: MAX_INPUT_TOKENS,
-              documentsProcessed: docsWithText.length
-            },
-            usageInfo: {
-              queriesUsed: usageInfo.queriesUsed,
-              queriesRemaining: usageInfo.queriesRemaining,
-              isAdmin: usageInfo.isAdmin
-            }
-          };
-        } catch (e) {
-          if (e.status === 404) {
-            console.debug(`Generative API not found at ${url} (404), trying next model`);
-            continue;
-          }
-          throw e;
+      for await (const chunk of llm.stream(prompt, { responseSchema: CITED_ANSWER_SCHEMA, signal })) {
+        answerText += chunk.text;
+        finishReason = chunk.finishReason || finishReason;
+        const text = partialAnswerText(answerText);
+        if (text.length > shown.length && text.startsWith(shown)) {
+          await response.sendChunk({ text: text.slice(shown.length) });
+          shown = text;
         }
       }
-      throw new Error('No compatible Generative API endpoint found');
-    } catch (saError) {
-      console.warn('Service-account auth failed or not permitted:', saError.message || saError);
-      // If API key available, try that as fallback
-      if (!apiKey) {
-        console.error('No API key available to fall back to; rethrowing SA error');
-        throw saError;
-      }
+    } catch (error) {
+      if (!signal.aborted) throw error;
+      console.info(`docQuery stopped after ${answerText.length} characters of the answer`);
+      throw new HttpsError('cancelled', 'The query was stopped.');
+    }
 
-      console.warn('Falling back to API key auth for Generative API');
-      for (const modelName of modelCandidates) {
-        const isGemini = modelName.startsWith('gemini');
-        const url = `https://generativelanguage.googleapis.com/v1beta/models/${modelName}:${isGemini ? 'generateContent' : 'generateText'}?key=${apiKey}`;
-        console.info(`Attempting Generative API (API key) at ${url}`);
-        try {
-          const requestBody = isGemini ? geminiBody : legacyBody;
-          const payload = await tryUrl(url, {}, requestBody);
-          console.info(`Generative API call succeeded using API key (model: ${modelName})`);
-          console.log('Full API response:', JSON.stringify(payload, null, 2));
-
-          const candidate = payload.candidates?.[0];
-          const answerText = isGemini
-            ? candidate?.content?.parts?.[0]?.text
-            : candidate?.output;
-          const finishReason = candidate?.finishReason;
-
-          // Handle MAX_TOKENS finish reason
-          if (finishReason === 'MAX_TOKENS') {
-            console.warn('Response hit MAX_TOKENS limit');
-            // Return partial response if available, otherwise throw error
-            if (answerText) {
-              return {
-                answer: answerText + '\n\n[Response truncated - maximum output length reached]',
-                sources: relevantDocs,
-                tokenInfo: {
-                  estimatedInputTokens: promptTokens,
-                  maxInputTokens: MAX_INPUT_TOKENS,
-                  documentsProcessed: docsWithText.length,
-                  warning: 'Response was truncated due to length'
-                },
-                usageInfo: {
-                  queriesUsed: usageInfo.queriesUsed,
-                  queriesRemaining: usageInfo.queriesRemaining,
-                  isAdmin: usageInfo.isAdmin
-                }
-              };
-            } else {
-              throw new Error('Response exceeded maximum output length before generating any content. Try asking a more specific question or querying fewer documents.');
-            }
-          }
+    const tokenInfo = {
+      inputTokens: promptTokens,
+      maxInputTokens: MAX_INPUT_TOKENS,
+      model: llm.model,
+      documentsProcessed: relevantDocs.length,
+      ...(passageContext ? { passagesProcessed: passageContext.passageCount } : {}),
+      ...(earlierTurns.length > 0 ? { earlierTurns: earlierTurns.length } : {})
+    };
 
-          if (!answerText) {
-            console.warn('Unexpected API response format:', JSON.stringify(payload));
-            throw new Error('Unexpected API response format');
-          }
+    if (!answerText) {
+      throw new Error(finishReason === 'MAX_TOKENS'
+        ? 'Response exceeded maximum output length before generating any content. Try asking a more specific question or querying fewer documents.'
+        : 'Unexpected API response format');
+    }
 
-          return {
-            answer: answerText,
-            sources: relevantDocs,
-            tokenInfo: {
-              estimatedInputTokens: promptTokens,
-              maxInputTokens: MAX_INPUT_TOKENS,
-              documentsProcessed: docsWithText.length
-            },
-            usageInfo: {
-              queriesUsed: usageInfo.queriesUsed,
-              queriesRemaining: usageInfo.queriesRemaining,
-              isAdmin: usageInfo.isAdmin
-            }
-          };
-        } catch (e) {
-          if (e.status === 404) {
-            console.debug(`Generative API not found at ${url} with API key (404), trying next model`);
-            continue;
-          }
-          throw e;
-        }
+    let claims;
+    try {
+      claims = parseCitedAnswer(answerText);
+    } catch (error) {
+      if (finishReason === 'MAX_TOKENS') {
+        throw new Error('The answer was cut off at the maximum reply length. Ask a narrower question, or raise the maximum reply length in Model settings.');
       }
-      throw new Error('No compatible Generative API endpoint found with API key');
+      // Not in the cited format: shown as written, with nothing checked
+      console.warn('The answer is not in the cited format:', error.message);
+      return respond({
+        answer: answerText,
+        sources: relevantDocs,
+        tokenInfo: { ...tokenInfo, warning: 'The answer was not in the expected format, so its citations were not checked' },
+        usageInfo: usage
+      });
     }
 
+    claims = verifyCitations(claims, await loadCitedTexts(claims, relevantDocs, userId));
+    const verifiedDocIds = new Set(claims.flatMap(claim => claim.citations.filter(c => c.verified).map(c => c.docId)));
+    const unsupported = claims.filter(claim => claim.status === 'unverified' || claim.status === 'partial').length;
+    const warnings = [
+      finishReason === 'MAX_TOKENS' && 'Response was truncated due to length',
+      unsupported > 0 && `${unsupported} statement${unsupported === 1 ? ' has a quotation' : 's have quotations'} not found in the cited document`
+    ].filter(Boolean);
+
+    return respond({
+      answer: citedAnswerText(claims),
+      claims,
+      // Only the documents the answer is shown to draw on
+      sources: relevantDocs.filter(doc => verifiedDocIds.has(doc.id)),
+      tokenInfo: warnings.length > 0 ? { ...tokenInfo, warning: warnings.join('; ') } : tokenInfo,
+      usageInfo: usage
+    });
+
   } catch (error) {
     console.error('AI Query Error:', error);
+    if (error instanceof HttpsError) throw error;
 
     // Provide more helpful error messages for token-related issues
     if (error.isTokenError) {
@@ -347,11 +262,31 @@ export const docQuery = onCall({
   }
 });
 
-// Define common stop words to filter from query
-const stopWords = new Set(['a', 'an', 'and', 'the', 'in', 'on', 'of', 'for', 'to', 'with', 'is', 'are', 'was', 'were']);
-const METADATA_FIELDS_TO_SEARCH = ['_Subject', 'Notes', 'File Name', '_From', '_To', '_CC'];
 const MAX_CONTEXT_DOCS = 5;
+const MAX_FAMILY_CONTEXT_DOCS = 10; // Family members are added until the context holds this many documents
+const KEYWORD_CANDIDATE_DOCS = 20; // Best keyword matches whose passages are ranked for an AI query
+const MAX_CONTEXT_PASSAGES = 40;
+const MAX_PASSAGES_PER_DOC = 4;
+const MAX_HISTORY_TURNS = 10; // Latest turns of a conversation read for a follow-up
+const MAX_HISTORY_TOKENS = 4000; // Of earlier questions and answers in a follow-up's prompt
+const MAX_CARRIED_DOCS = 3; // Sources of earlier answers added to a follow-up's context
 const APP_ID = 'eDiscovery-App';
+const MAX_SEARCH_RESULTS = 500;
+const REBUILD_BATCH_SIZE = 50; // Documents indexed per rebuildSearchIndex call
+const MAX_REPORT_TERMS = 200; // Terms per searchTermReport call
+const PRIVILEGE_DRAFT_TOKENS = 6000; // Document text budget for drafting a privilege log description
+const PII_SCAN_PAGE_SIZE = 100; // Documents read at a time by a PII sweep
+const PII_SCAN_TIME_BUDGET_MS = 420 * 1000; // Work per runPiiScan task, within its 540 s timeout
+const BACKGROUND_JOB_STALE_MS = 40 * 60 * 1000; // A running background job not updated for this long has stopped
+const ANALYTICS_PAGE_SIZE = 100; // Documents read at a time by an analytics run
+const ANALYTICS_TIME_BUDGET_MS = 1500 * 1000; // Work per runAnalytics task, within its 1800 s timeout
+const SEMANTIC_INDEX_PAGE_SIZE = 50; // Documents read at a time by a semantic index build
+const SEMANTIC_INDEX_TIME_BUDGET_MS = 420 * 1000; // Work per runSemanticIndex task, within its 540 s timeout
+const MAX_ANALYSIS_DOCS = 1000; // Documents one AI analysis can cover
+const ANALYSIS_BATCH_TOKENS = 20000; // Document text per map batch of an AI analysis
+const ANALYSIS_REDUCE_TOKENS = 20000; // Partial answers combined per reduce call
+const MIN_ANALYSIS_PART_CHARS = 2000; // A document is not split to fill less than this at the end of a batch
+const ANALYSIS_TIME_BUDGET_MS = 300 * 1000; // Model calls started per runAiAnalysis task, within its 540 s timeout
 
 // Token optimization configuration
 const MAX_INPUT_TOKENS = 30000; // Conservative limit to avoid model limits
@@ -360,6 +295,8 @@ const RESERVED_TOKENS_FOR_PROMPT = 500; // Reserve tokens for query and instruct
 const MIN_TOKENS_PER_DOC = 100; // Minimum tokens to include per document
 const SNIPPET_START_CHARS = 500; // Characters to include from start of document
 const SNIPPET_END_CHARS = 300; // Characters to include from end of document
+const PASSAGE_DOC_OVERHEAD_CHARS = 100; // Document heading and separators around a document's passages
+const PASSAGE_OVERHEAD_CHARS = 100; // Excerpt heading, and room for redaction labels longer than what they replace
 
 // Usage limits configuration
 const MAX_FREE_QUERIES_PER_MONTH = 100;
@@ -438,6 +375,29 @@ async function checkAndUpdateQueryUsage(userId) {
   }
 }
 
+/**
+ * Takes back the query counted by checkAndUpdateQueryUsage, for a query
+ * stopped before it was answered or an analysis that could not be started.
+ * A failure is logged, not thrown: the query has ended either way.
+ */
+async function refundQueryUsage(userId) {
+  const userRef = db.collection('users').doc(userId);
+  try {
+    await db.runTransaction(async (transaction) => {
+      const userDoc = await transaction.get(userRef);
+      const userData = userDoc.exists ? userDoc.data() : {};
+      const now = new Date();
+      const currentMonth = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}`;
+      // Counted last month, the query was already reset away
+      if (userData.lastQueryMonth === currentMonth && userData.queriesThisMonth > 0) {
+        transaction.update(userRef, { queriesThisMonth: userData.queriesThisMonth - 1 });
+      }
+    });
+  } catch (error) {
+    console.error('Error refunding query usage:', error);
+  }
+}
+
 /**
  * Validates admin unlock code and grants unlimited access.
  */
@@ -466,6 +426,17 @@ export const unlockAdminMode = onCall(async (request) => {
   }
 });
 
+/**
+ * The language model provider for a user's matter, with the model settings
+ * saved in settings/ai (defaults for any not saved).
+ * @param {string} userId
+ * @returns {Promise<Object>} See llm-providers.js.
+ */
+async function loadLlmProvider(userId) {
+  const snap = await db.doc(`artifacts/${APP_ID}/users/${userId}/settings/ai`).get();
+  return getLlmProvider(resolveLlmSettings(snap.exists ? snap.data() : {}));
+}
+
 /**
  * Estimates the number of tokens in a text string.
  * Uses a simple approximation: 1 token ≈ 4 characters.
@@ -537,111 +508,1281 @@ function truncateDocumentText(doc, text, maxTokens) {
 }
 
 /**
- * Searches Firestore metadata to find relevant documents.
+ * Adds the parent and attachments of each hit (documents sharing its
+ * familyId, set at ingest) after the hit itself, parent first, as Review
+ * groups them (see families.js).
+ * Every hit is kept; family members stop at MAX_FAMILY_CONTEXT_DOCS.
  */
-async function findRelevantDocsByMetadata(query, userId) {
-  // Only filter out common stop words, keep all lengths and special chars
-  const keywords = query.toLowerCase().split(' ')
-    .filter(k => k.trim() && !stopWords.has(k));  // Keep non-empty terms that aren't stop words
-
-  console.log('Search keywords:', keywords);
+function addFamilyMembers(hits, familyDocs) {
+  const families = groupFamilies(familyDocs);
+  const seen = new Set(hits.map(doc => doc.id));
+  const expanded = [];
+  for (const hit of hits) {
+    expanded.push(hit);
+    for (const member of familyMembers(hit, families)) {
+      if (seen.has(member.id) || expanded.length >= MAX_FAMILY_CONTEXT_DOCS) continue;
+      seen.add(member.id);
+      expanded.push(member);
+    }
+  }
+  return expanded;
+}
 
-  if (keywords.length === 0) {
-    console.log('No valid search keywords after filtering');
-    return [];
+/**
+ * Reads every document in the given documents' families.
+ */
+async function loadFamilyMembers(docsRef, docs) {
+  const familyIds = [...new Set(docs.map(doc => doc.familyId).filter(Boolean))];
+  const members = [];
+  // 'in' queries take at most 30 values
+  for (let i = 0; i < familyIds.length; i += 30) {
+    const snapshot = await docsRef.where('familyId', 'in', familyIds.slice(i, i + 30)).get();
+    snapshot.forEach(doc => members.push({ id: doc.id, ...doc.data() }));
   }
+  return members;
+}
+
+/**
+ * Finds the documents most relevant to a query from the search index
+ * (metadata and text, BM25-ranked), then reads just those documents.
+ * Queries written in search syntax (operators, phrases, fields) are matched
+ * exactly; anything else is treated as a natural-language question.
+ * Each result carries the analyzed query terms it matched (matchedTerms).
+ * With expandFamilies, the top hits are followed by their family members;
+ * carriedDocIds (the sources of earlier questions in a conversation) come
+ * last.
+ */
+async function findRelevantDocsByMetadata(query, userId, { expandFamilies = false, carriedDocIds = [] } = {}) {
+  const { hits, total, terms } = await searchIndex(db, { appId: APP_ID, userId, query, limit: MAX_CONTEXT_DOCS, ranked: true });
+  console.log('Search terms:', terms);
+  console.log(`Found ${total} matching documents`);
+  if (hits.length === 0 && carriedDocIds.length === 0) return [];
 
   const docsRef = db.collection(`artifacts/${APP_ID}/users/${userId}/docs`);
-  const snapshot = await docsRef.get();
+  const snapshots = hits.length > 0 ? await db.getAll(...hits.map(hit => docsRef.doc(hit.docId))) : [];
+  const topDocs = snapshots
+    .map((snap, i) => snap.exists ? { id: snap.id, ...snap.data(), matchedTerms: hits[i].matchedTerms } : null)
+    .filter(Boolean);
+  hits.forEach(({ docId, score, matchedTerms }) => {
+    console.log(`Document ${docId} scored ${score.toFixed(3)}:`, matchedTerms);
+  });
+
+  const results = expandFamilies ? addFamilyMembers(topDocs, await loadFamilyMembers(docsRef, topDocs)) : topDocs;
+  const carried = carriedDocIds.filter(docId => !results.some(doc => doc.id === docId));
+  if (carried.length > 0) {
+    const carriedSnaps = await db.getAll(...carried.map(docId => docsRef.doc(docId)));
+    results.push(...carriedSnaps.filter(snap => snap.exists).map(snap => ({ id: snap.id, ...snap.data(), matchedTerms: [] })));
+  }
+  console.log(`Returning ${results.length} documents for context (${topDocs.length} top matches)`);
   
-  const allDocuments = [];
-  snapshot.forEach(doc => allDocuments.push({ id: doc.id, ...doc.data() }));
+  return results;
+}
+
+/**
+ * Builds the context for documents found by findRelevantDocsByMetadata():
+ * each document's text, cut to an equal share of the token budget.
+ * @returns {Promise<Array<string>>} One part per document.
+ */
+async function buildDocumentContext(docs, userId, availableTokens) {
+  const docsWithText = await Promise.all(
+    docs.map(async doc => ({
+      ...doc,
+      text: await fetchDocumentText(doc, userId)
+    }))
+  );
+
+  const tokensPerDoc = Math.floor(availableTokens / docsWithText.length);
+  console.log(`Token budget: ${availableTokens} tokens total, ~${tokensPerDoc} per document`);
+
+  // Build context with smart truncation to respect token limits
+  return docsWithText.map(doc => {
+    const truncated = truncateDocumentText(doc, doc.text, tokensPerDoc);
+    const tokens = estimateTokens(truncated);
+    console.log(`Document ${doc.id}: ${tokens} estimated tokens (limit: ${tokensPerDoc})`);
+    return `Document ${doc.id}:\n${truncated}`;
+  });
+}
+
+/**
+ * Finds the passages most relevant to a query (see semantic-index.js): the
+ * nearest by meaning, and the best by keyword among the top search matches.
+ * Queries written in search syntax only draw on documents they match. With
+ * expandFamilies, the best passage of each family member of the leading
+ * documents is added as well, and so is the best of each carried document.
+ * @param {string} query
+ * @param {string} userId
+ * @param {Object} options
+ * @param {Array<string>} [options.carriedDocIds] - The sources of earlier questions in a conversation.
+ * @param {number} options.maxChars - The context's size budget.
+ * @returns {Promise<{contextParts: Array<string>, sources: Array<Object>, passageCount: number}|null>}
+ *   null when the collection has no semantic index. sources are the
+ *   documents quoted, each with matchedTerms and its passages' offsets.
+ */
+async function findRelevantPassages(query, userId, { expandFamilies = false, carriedDocIds = [], maxChars }) {
+  if (!(await hasSemanticIndex(db, { appId: APP_ID, userId }))) return null;
+  const embedder = getEmbedder();
+  const docsRef = db.collection(`artifacts/${APP_ID}/users/${userId}/docs`);
+
+  let tree = null;
+  try {
+    tree = parseQuery(query);
+  } catch (error) {
+    // Not search syntax: a natural-language question
+  }
+  const { hits, total, terms } = await searchIndex(db, { appId: APP_ID, userId, query, limit: Infinity, ranked: true });
+  console.log('Search terms:', terms);
+  console.log(`Found ${total} matching documents`);
+
+  const records = new Map();
+  const loadRecords = async (docIds) => {
+    const missing = docIds.filter(docId => !records.has(docId));
+    if (missing.length === 0) return;
+    const snapshots = await db.getAll(...missing.map(docId => docsRef.doc(docId)));
+    snapshots.forEach(snap => records.set(snap.id, snap.exists ? { id: snap.id, ...snap.data() } : null));
+  };
+  const loadText = async (docId) => {
+    await loadRecords([docId]);
+    return records.get(docId) ? fetchDocumentText(records.get(docId), userId) : '';
+  };
+
+  const ranked = await retrievePassages(db, embedder, {
+    appId: APP_ID,
+    userId,
+    query,
+    terms,
+    keywordDocIds: hits.slice(0, KEYWORD_CANDIDATE_DOCS).map(hit => hit.docId),
+    allowedDocIds: tree && !isPlainTerms(tree) ? new Set(hits.map(hit => hit.docId)) : null,
+    loadText
+  });
+
+  let familyDocIds = [];
+  if (expandFamilies && ranked.length > 0) {
+    const leading = [...new Set(ranked.map(passage => passage.docId))].slice(0, MAX_CONTEXT_DOCS);
+    await loadRecords(leading);
+    const leadingDocs = leading.map(docId => records.get(docId)).filter(Boolean);
+    familyDocIds = addFamilyMembers(leadingDocs, await loadFamilyMembers(docsRef, leadingDocs))
+      .map(doc => doc.id)
+      .filter(docId => !leading.includes(docId));
+    ranked.push(...await documentPassages(db, embedder, { appId: APP_ID, userId, docIds: familyDocIds, terms, loadText }));
+  }
+  const rankedDocIds = new Set(ranked.map(passage => passage.docId));
+  const carried = carriedDocIds.filter(docId => !rankedDocIds.has(docId));
+  if (carried.length > 0) {
+    ranked.push(...await documentPassages(db, embedder, { appId: APP_ID, userId, docIds: carried, terms, loadText }));
+  }
+
+  await loadRecords([...new Set(ranked.map(passage => passage.docId))]);
+  const chosen = selectPassages(ranked.filter(passage => records.get(passage.docId)), {
+    maxChars,
+    maxPerDoc: MAX_PASSAGES_PER_DOC,
+    maxPassages: MAX_CONTEXT_PASSAGES,
+    passageOverhead: PASSAGE_OVERHEAD_CHARS,
+    docOverhead: (docId) => extractKeyMetadata(records.get(docId)).length + PASSAGE_DOC_OVERHEAD_CHARS,
+    firstDocIds: [...familyDocIds, ...carriedDocIds]
+  });
+  const grouped = groupPassages(chosen);
+
+  // Stored passages are unredacted; the AI must not see a redacted passage
+  const redactionSnaps = grouped.length > 0
+    ? await db.getAll(...grouped.map(({ docId }) => db.doc(`artifacts/${APP_ID}/users/${userId}/redactions/${docId}`)))
+    : [];
+  const contextParts = grouped.map(({ docId, passages }, i) => {
+    const redactions = redactionSnaps[i].exists ? redactionSnaps[i].data() : null;
+    if (isTextWithheld(redactions)) {
+      return `Document ${docId}:\n[${extractKeyMetadata(records.get(docId))}]\n\n[Text withheld: it is redacted on its native only]`;
+    }
+    const spans = redactions?.textSpans || [];
+    const excerpts = passages.map(passage => {
+      const text = passage.redacted || spans.length === 0 ? passage.text : redactPassage(passage, spans);
+      return `[Excerpt, characters ${passage.start.toLocaleString()}–${passage.end.toLocaleString()}]\n${text.trim()}`;
+    });
+    console.log(`Document ${docId}: ${passages.length} passage(s)`);
+    return `Document ${docId}:\n[${extractKeyMetadata(records.get(docId))}]\n\n${excerpts.join('\n\n')}`;
+  });
+  console.log(`Returning ${chosen.length} passages from ${grouped.length} documents for context (${ranked.length} ranked)`);
+
+  return {
+    contextParts,
+    sources: grouped.map(({ docId, passages, matchedTerms }) => ({
+      ...records.get(docId),
+      matchedTerms,
+      passages: passages.map(({ start, end }) => ({ start, end }))
+    })),
+    passageCount: chosen.length
+  };
+}
+
+/**
+ * The text of each context document an answer cites, with redactions
+ * applied as for the AI, for checking the answer's quotes.
+ * @returns {Promise<Map<string, string>>} By Beg Bates.
+ */
+async function loadCitedTexts(claims, contextDocs, userId) {
+  const cited = new Set(claims.flatMap(claim => claim.citations.map(citation => citation.docId)));
+  const docs = contextDocs.filter(doc => cited.has(doc.id));
+  const texts = await Promise.all(docs.map(doc => fetchDocumentText(doc, userId)));
+  return new Map(docs.map((doc, i) => [doc.id, texts[i]]));
+}
+
+/**
+ * Decodes an extracted text file. Load file text is usually UTF-8 or
+ * UTF-16LE, often without a byte order mark, so UTF-16 is recognized by
+ * its zero high bytes; anything that is not valid UTF-8 is read as Windows-1252.
+ */
+function decodeText(buffer) {
+  if (buffer[0] === 0xFF && buffer[1] === 0xFE) return new TextDecoder('utf-16le').decode(buffer.subarray(2));
+  if (buffer[0] === 0xFE && buffer[1] === 0xFF) return new TextDecoder('utf-16be').decode(buffer.subarray(2));
+  if (buffer[0] === 0xEF && buffer[1] === 0xBB && buffer[2] === 0xBF) return buffer.toString('utf8', 3);
+
+  const sample = buffer.subarray(0, 2000);
+  let zeroHighBytes = 0;
+  for (let i = 1; i < sample.length; i += 2) {
+    if (sample[i] === 0) zeroHighBytes++;
+  }
+  if (sample.length >= 2 && zeroHighBytes / Math.floor(sample.length / 2) > 0.3) {
+    return new TextDecoder('utf-16le').decode(buffer);
+  }
+  try {
+    return new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+  } catch (e) {
+    return new TextDecoder('windows-1252').decode(buffer);
+  }
+}
+
+/**
+ * Downloads and decodes a text file from Firebase Storage.
+ */
+async function downloadText(storagePath) {
+  const [buffer] = await storage.bucket().file(storagePath).download();
+  return decodeText(buffer);
+}
+
+/**
+ * Fetches the text content for a given document from Firebase Storage, with
+ * any text redactions applied. Rendered redacted text is used when it is
+ * current; otherwise the spans are applied here, so the AI never sees a
+ * redacted passage.
+ */
+async function fetchDocumentText(doc, userId) {
+  if (!doc.textStoragePath) {
+    return `[No text path for ${doc.id}]`;
+  }
   
-  console.log('Total documents to search:', allDocuments.length);
-
-  // First pass: score based on metadata
-  const scoredDocs = await Promise.all(allDocuments.map(async doc => {
-    let score = 0;
-    const docId = doc.id.toLowerCase();
-    const matches = [];
-    
-    // Check document ID
-    const idMatches = keywords.filter(k => docId.includes(k));
-    if (idMatches.length > 0) {
-      score += idMatches.length * 5;
-      matches.push(`ID matches: ${idMatches.join(', ')}`);
-    }
-
-    // Check metadata fields
-    for (const field of METADATA_FIELDS_TO_SEARCH) {
-      const value = (doc[field] || '').toLowerCase();
-      const fieldMatches = keywords.filter(k => value.includes(k));
-      if (fieldMatches.length > 0) {
-        score += fieldMatches.length * (field === '_Subject' || field === 'Notes' ? 3 : 1);
-        matches.push(`${field} matches: ${fieldMatches.join(', ')}`);
+  try {
+    const redactionsSnap = await db.doc(`artifacts/${APP_ID}/users/${userId}/redactions/${doc.id}`).get();
+    const redactions = redactionsSnap.exists ? redactionsSnap.data() : null;
+    if (isTextWithheld(redactions)) {
+      return `[Text withheld for ${doc.id}: it is redacted on its native only]`;
+    }
+    if (!redactions?.textSpans?.length) {
+      return await downloadText(doc.textStoragePath);
+    }
+    if (redactions.rendered?.textPath && redactions.rendered.revision === redactions.revision) {
+      return await downloadText(redactions.rendered.textPath);
+    }
+    return applyTextRedactions(await downloadText(doc.textStoragePath), redactions.textSpans);
+  } catch (error) {
+    console.error(`Failed to fetch text for ${doc.id}:`, error.message);
+    return `[Error fetching text for ${doc.id}]`;
+  }
+}
+
+/**
+ * Indexes a stored document's metadata and text for search. A text file
+ * that cannot be read is logged and the document is indexed on metadata.
+ */
+async function indexStoredDocument(appId, userId, docId, data) {
+  let text = '';
+  if (data.textStoragePath) {
+    try {
+      text = await downloadText(data.textStoragePath);
+    } catch (error) {
+      console.error(`Indexing ${docId} without text:`, error.message);
+    }
+  }
+  return indexDocument(db, {
+    appId, userId, docId,
+    fields: searchableFields(docId, data, text),
+    textStoragePath: data.textStoragePath || null
+  });
+}
+
+/**
+ * Keeps the search index in step with the document collection: documents
+ * are indexed as ingest (or a rollback) writes them and removed when deleted.
+ */
+export const indexDocumentForSearch = onDocumentWritten({
+  document: 'artifacts/{appId}/users/{userId}/docs/{docId}',
+  memory: '512MiB',
+  timeoutSeconds: 300
+}, async (event) => {
+  const { appId, userId, docId } = event.params;
+  const before = event.data?.before?.exists ? event.data.before.data() : null;
+  const after = event.data?.after?.exists ? event.data.after.data() : null;
+
+  if (!after) {
+    await removeDocumentFromIndex(db, { appId, userId, docId });
+    return;
+  }
+  if (before && !searchableContentChanged(before, after)) return;
+  const { terms, length } = await indexStoredDocument(appId, userId, docId, after);
+  console.log(`Indexed ${docId}: ${terms} distinct terms, ${length} total`);
+});
+
+/**
+ * Chunks and embeds a stored document's text for AI queries (see
+ * semantic-index.js). Returns false, after logging, when the text cannot be
+ * read or embedded; the document is then left for runSemanticIndex.
+ */
+async function embedStoredDocument(embedder, appId, userId, docId, data) {
+  try {
+    const text = data.textStoragePath ? await downloadText(data.textStoragePath) : '';
+    const { chunks } = await indexDocumentPassages(db, embedder, {
+      appId, userId, docId, text,
+      textStoragePath: data.textStoragePath || null
+    });
+    console.log(`Embedded ${docId}: ${chunks} passages with ${embedder.name}`);
+    return true;
+  } catch (error) {
+    console.error(`Could not embed ${docId}:`, error.message);
+    return false;
+  }
+}
+
+/**
+ * Keeps the semantic index in step with the document collection, as
+ * indexDocumentForSearch does the search index. Only a change of text
+ * matters here; metadata is read when a query is answered.
+ */
+export const embedDocumentForRetrieval = onDocumentWritten({
+  document: 'artifacts/{appId}/users/{userId}/docs/{docId}',
+  maxInstances: 10,
+  memory: '512MiB',
+  timeoutSeconds: 300,
+  secrets: ['GOOGLE_GENAI_API_KEY']
+}, async (event) => {
+  const { appId, userId, docId } = event.params;
+  const before = event.data?.before?.exists ? event.data.before.data() : null;
+  const after = event.data?.after?.exists ? event.data.after.data() : null;
+
+  if (!after) {
+    await removeDocumentPassages(db, { appId, userId, docId });
+    return;
+  }
+  if (before && before.textStoragePath === after.textStoragePath) return;
+  await embedStoredDocument(getEmbedder(), appId, userId, docId, after);
+});
+
+/**
+ * Full-text search over the caller's documents, in the query syntax of
+ * public/js/search-query.js. Returns the ranked hits ({ docId, score,
+ * matchedTerms }), the number of matching documents, and the query's terms.
+ */
+export const searchDocuments = onCall({
+  maxInstances: 10,
+  memory: '512MiB',
+  timeoutSeconds: 60
+}, async (request) => {
+  const userId = request.auth?.uid;
+  const { query, limit = 100 } = request.data || {};
+
+  if (!userId) {
+    throw new HttpsError('unauthenticated', 'User must be authenticated');
+  }
+  if (!query) {
+    throw new HttpsError('invalid-argument', 'Query is required');
+  }
+
+  try {
+    parseQuery(query);
+  } catch (error) {
+    // Syntax errors are written for the user
+    throw new HttpsError('invalid-argument', error.message);
+  }
+
+  return searchIndex(db, {
+    appId: APP_ID,
+    userId,
+    query,
+    limit: Math.min(Number(limit) || 100, MAX_SEARCH_RESULTS)
+  });
+});
+
+/**
+ * Runs a list of search terms for a search term report. Returns, per term,
+ * every matching Beg Bates (docIds), or the syntax error that stopped it.
+ * Counts (unique hits, families) are worked out by the caller.
+ */
+export const searchTermReport = onCall({
+  memory: '1GiB',
+  timeoutSeconds: 540
+}, async (request) => {
+  const userId = request.auth?.uid;
+  const { terms } = request.data || {};
+
+  if (!userId) {
+    throw new HttpsError('unauthenticated', 'User must be authenticated');
+  }
+  if (!Array.isArray(terms) || terms.length === 0) {
+    throw new HttpsError('invalid-argument', 'At least one search term is required');
+  }
+  if (terms.length > MAX_REPORT_TERMS) {
+    throw new HttpsError('invalid-argument', `A report can have at most ${MAX_REPORT_TERMS} terms`);
+  }
+
+  const results = [];
+  for (const term of terms) {
+    try {
+      parseQuery(term);
+    } catch (error) {
+      results.push({ term, docIds: [], error: error.message });
+      continue;
+    }
+    const { hits } = await searchIndex(db, { appId: APP_ID, userId, query: term, limit: Infinity });
+    results.push({ term, docIds: hits.map(hit => hit.docId) });
+  }
+  return { results };
+});
+
+/**
+ * Indexes the caller's existing documents, REBUILD_BATCH_SIZE at a time, for
+ * collections ingested before the search index existed. Call repeatedly with
+ * the returned nextCursor until it is null.
+ */
+export const rebuildSearchIndex = onCall({
+  memory: '1GiB',
+  timeoutSeconds: 540
+}, async (request) => {
+  const userId = request.auth?.uid;
+  const { cursor = null } = request.data || {};
+
+  if (!userId) {
+    throw new HttpsError('unauthenticated', 'User must be authenticated');
+  }
+
+  let batchQuery = db.collection(`artifacts/${APP_ID}/users/${userId}/docs`)
+    .orderBy(FieldPath.documentId())
+    .limit(REBUILD_BATCH_SIZE);
+  if (cursor) batchQuery = batchQuery.startAfter(cursor);
+
+  const snapshot = await batchQuery.get();
+  for (const docSnap of snapshot.docs) {
+    await indexStoredDocument(APP_ID, userId, docSnap.id, docSnap.data());
+  }
+  const last = snapshot.docs[snapshot.docs.length - 1];
+  return {
+    indexed: snapshot.size,
+    nextCursor: snapshot.size === REBUILD_BATCH_SIZE ? last.id : null
+  };
+});
+
+/**
+ * Builds the prompt for a privilege log description. The document text is
+ * given for context only; the description must not disclose it.
+ */
+function buildPrivilegeDescriptionPrompt(doc, privilegeType, text) {
+  const metadata = [
+    doc._From && `From: ${doc._From}`,
+    doc._To && `To: ${doc._To}`,
+    doc._CC && `CC: ${doc._CC}`,
+    (doc._SentDate || doc._Date) && `Date: ${doc._SentDate || doc._Date}`,
+    doc._Subject && `Subject: ${doc._Subject}`,
+    doc['File Name'] && `File name: ${doc['File Name']}`
+  ].filter(Boolean).join('\n');
+
+  return `You are preparing a privilege log entry for a document withheld from production as privileged (${privilegeType || 'privilege type not specified'}).
+Write a one-sentence description of the document for the log. The description must:
+- identify the kind of document (e.g. email, memorandum, draft agreement) and the roles of its author and recipients where apparent (e.g. in-house counsel, outside counsel, client employees)
+- state the general subject matter and the basis for the claim (e.g. "requesting legal advice regarding ...", "reflecting legal advice of counsel regarding ...", "prepared at the direction of counsel in anticipation of litigation regarding ...")
+- NOT reveal the substance of any legal advice, request for advice or attorney mental impressions, and not quote or closely paraphrase the document
+- be neutral and factual, in at most 40 words
+Reply with the description only.
+
+Metadata:
+${metadata || '(none)'}
+
+Document (for context only; do not disclose its content):
+${text}`;
+}
+
+/**
+ * Drafts a privilege log description for a document coded privileged: the
+ * kind of document, the general subject and the basis for the claim, without
+ * revealing the privileged content. The reviewer edits and saves it; nothing
+ * is stored here. Counts as one AI query.
+ */
+export const draftPrivilegeDescription = onCall({
+  maxInstances: 10,
+  memory: '512MiB',
+  timeoutSeconds: 120,
+  secrets: ['GOOGLE_GENAI_API_KEY']
+}, async (request) => {
+  const userId = request.auth?.uid;
+  const { docId } = request.data || {};
+
+  if (!userId) {
+    throw new HttpsError('unauthenticated', 'User must be authenticated');
+  }
+  if (!docId) {
+    throw new HttpsError('invalid-argument', 'docId is required');
+  }
+
+  const userPath = `artifacts/${APP_ID}/users/${userId}`;
+  const [docSnap, codingSnap] = await Promise.all([
+    db.doc(`${userPath}/docs/${docId}`).get(),
+    db.doc(`${userPath}/coding/${docId}`).get()
+  ]);
+  if (!docSnap.exists) {
+    throw new HttpsError('not-found', `Document ${docId} was not found`);
+  }
+  const coding = codingSnap.exists ? codingSnap.data() : {};
+  if (!coding.privileged) {
+    throw new HttpsError('failed-precondition', `Document ${docId} is not coded privileged`);
+  }
+
+  const usageInfo = await checkAndUpdateQueryUsage(userId);
+  if (!usageInfo.allowed) {
+    throw new HttpsError(
+      'resource-exhausted',
+      `You have reached your monthly limit of ${usageInfo.maxQueries} AI queries. Your limit will reset on ${usageInfo.resetDate}.`
+    );
+  }
+
+  const doc = { id: docSnap.id, ...docSnap.data() };
+  const text = truncateDocumentText(doc, await fetchDocumentText(doc, userId), PRIVILEGE_DRAFT_TOKENS);
+  try {
+    const llm = await loadLlmProvider(userId);
+    const { text: draft } = await llm.generate(buildPrivilegeDescriptionPrompt(doc, coding.privilegeType, text));
+    if (!draft) {
+      throw new Error('Unexpected API response format');
+    }
+    return {
+      description: draft.trim().replace(/^["“]|["”]$/g, '').replace(/\s+/g, ' '),
+      usageInfo: {
+        queriesUsed: usageInfo.queriesUsed,
+        queriesRemaining: usageInfo.queriesRemaining,
+        isAdmin: usageInfo.isAdmin
       }
+    };
+  } catch (error) {
+    console.error('Privilege description error:', error);
+    throw new HttpsError('internal', `Could not draft a description: ${error.message}`);
+  }
+});
+
+/**
+ * Starts a background job for a user: records it as running and queues its
+ * first task. Only one job of a kind runs at a time; a running one that has
+ * not been updated for BACKGROUND_JOB_STALE_MS is taken to have stopped and
+ * is marked failed.
+ * @param {string} userId
+ * @param {Object} job
+ * @param {string} job.collection - Where jobs of this kind are recorded, e.g. 'piiScans'.
+ * @param {string} job.queue - The task function that does the work.
+ * @param {string} job.label - For messages, e.g. 'PII sweep'.
+ * @param {Object} job.fields - The new job's settings and counters.
+ * @param {Function} job.task - Given the job ID, returns the first task's data.
+ * @param {number} [job.totalDocs] - The documents the job covers; all of the user's by default.
+ * @returns {Promise<{jobId: string, totalDocs: number}>}
+ */
+async function startBackgroundJob(userId, { collection, queue, label, fields, task, totalDocs = null }) {
+  const userPath = `artifacts/${APP_ID}/users/${userId}`;
+  const jobsRef = db.collection(`${userPath}/${collection}`);
+  const running = await jobsRef.where('status', '==', 'running').get();
+  for (const jobSnap of running.docs) {
+    if (Date.now() - jobSnap.data().updatedAt.toMillis() < BACKGROUND_JOB_STALE_MS) {
+      throw new HttpsError('failed-precondition', `A ${label} is already running`);
     }
+    await jobSnap.ref.update({ status: 'failed', error: `The ${label} stopped responding`, updatedAt: new Date() });
+  }
 
-    // Check document text content if available
-    if (doc.textStoragePath) {
-      try {
-        const text = await fetchDocumentText(doc, userId);
-        if (text && !text.startsWith('[')) { // Skip error messages that start with [
-          const textLower = text.toLowerCase();
-          const contentMatches = keywords.filter(k => textLower.includes(k));
-          if (contentMatches.length > 0) {
-            // Content matches are valuable but shouldn't overwhelm metadata matches
-            score += contentMatches.length * 2;
-            matches.push(`Content matches: ${contentMatches.join(', ')}`);
+  const docCount = totalDocs ?? (await db.collection(`${userPath}/docs`).count().get()).data().count;
+  const jobRef = jobsRef.doc();
+  await jobRef.set({
+    ...fields,
+    status: 'running',
+    cursor: null,
+    totalDocs: docCount,
+    scannedDocs: 0,
+    failedDocs: 0,
+    createdAt: new Date(),
+    updatedAt: new Date()
+  });
+  try {
+    await getFunctions().taskQueue(queue).enqueue(task(jobRef.id));
+  } catch (error) {
+    console.error(`Could not queue the ${label}:`, error);
+    await jobRef.update({ status: 'failed', error: error.message, updatedAt: new Date() });
+    throw new HttpsError('internal', `Could not start the ${label}: ${error.message}`);
+  }
+  return { jobId: jobRef.id, totalDocs: docCount };
+}
+
+/**
+ * Starts a PII sweep of the caller's documents. The sweep runs in the
+ * background as a chain of runPiiScan tasks, recording its progress in
+ * piiScans/{scanId} and each document's detections in
+ * piiScans/{scanId}/detections/{docId}.
+ */
+export const startPiiScan = onCall({
+  memory: '256MiB',
+  timeoutSeconds: 60
+}, async (request) => {
+  const userId = request.auth?.uid;
+  if (!userId) {
+    throw new HttpsError('unauthenticated', 'User must be authenticated');
+  }
+
+  const { jobId, totalDocs } = await startBackgroundJob(userId, {
+    collection: 'piiScans',
+    queue: 'runPiiScan',
+    label: 'PII sweep',
+    fields: { docsWithDetections: 0, detectionCount: 0, counts: {} },
+    task: (scanId) => ({ userId, scanId, cursor: null })
+  });
+  return { scanId: jobId, totalDocs };
+});
+
+/**
+ * Runs part of a PII sweep: documents after the task's cursor, in Beg Bates
+ * order, until the time budget is used, then queues the rest. A task whose
+ * cursor no longer matches the sweep's was already run (tasks can be
+ * delivered more than once) and does nothing.
+ */
+export const runPiiScan = onTaskDispatched({
+  retryConfig: { maxAttempts: 3, minBackoffSeconds: 30 },
+  rateLimits: { maxConcurrentDispatches: 5 },
+  memory: '1GiB',
+  timeoutSeconds: 540
+}, async (request) => {
+  const { userId, scanId, cursor } = request.data;
+  const userPath = `artifacts/${APP_ID}/users/${userId}`;
+  const scanRef = db.doc(`${userPath}/piiScans/${scanId}`);
+  const scanSnap = await scanRef.get();
+  if (!scanSnap.exists || scanSnap.data().status !== 'running' || scanSnap.data().cursor !== cursor) return;
+
+  const startedAt = Date.now();
+  const progress = { scannedDocs: 0, failedDocs: 0, docsWithDetections: 0, detectionCount: 0, counts: {} };
+  let last = cursor;
+  let done = false;
+  while (!done && Date.now() - startedAt < PII_SCAN_TIME_BUDGET_MS) {
+    let pageQuery = db.collection(`${userPath}/docs`).orderBy(FieldPath.documentId()).limit(PII_SCAN_PAGE_SIZE);
+    if (last) pageQuery = pageQuery.startAfter(last);
+    const page = await pageQuery.get();
+    done = page.size < PII_SCAN_PAGE_SIZE;
+
+    for (const docSnap of page.docs) {
+      if (Date.now() - startedAt >= PII_SCAN_TIME_BUDGET_MS) {
+        done = false;
+        break;
+      }
+      const { textStoragePath } = docSnap.data();
+      if (textStoragePath) {
+        try {
+          const text = await downloadText(textStoragePath);
+          const detections = detectPii(text);
+          if (detections.length > 0) {
+            const kept = detections.slice(0, MAX_DETECTIONS_PER_DOC);
+            await scanRef.collection('detections').doc(docSnap.id).set({
+              docId: docSnap.id,
+              detections: kept.map(detection => ({ ...detection, context: detectionContext(text, detection) })),
+              truncated: detections.length > kept.length
+            });
+            progress.docsWithDetections++;
+            progress.detectionCount += kept.length;
+            for (const { type } of kept) progress.counts[type] = (progress.counts[type] || 0) + 1;
           }
+        } catch (error) {
+          console.error(`PII sweep ${scanId}: could not scan ${docSnap.id}:`, error.message);
+          progress.failedDocs++;
         }
+      }
+      progress.scannedDocs++;
+      last = docSnap.id;
+    }
+  }
+
+  const stillRunning = await db.runTransaction(async (transaction) => {
+    const current = (await transaction.get(scanRef)).data();
+    const update = {
+      cursor: last,
+      scannedDocs: FieldValue.increment(progress.scannedDocs),
+      failedDocs: FieldValue.increment(progress.failedDocs),
+      docsWithDetections: FieldValue.increment(progress.docsWithDetections),
+      detectionCount: FieldValue.increment(progress.detectionCount),
+      updatedAt: new Date()
+    };
+    for (const [type, count] of Object.entries(progress.counts)) {
+      update[`counts.${type}`] = FieldValue.increment(count);
+    }
+    if (done && current.status === 'running') {
+      update.status = 'complete';
+      update.completedAt = new Date();
+    }
+    transaction.update(scanRef, update);
+    return !done && current.status === 'running';
+  });
+  console.log(`PII sweep ${scanId}: ${progress.scannedDocs} documents scanned up to ${last}${done ? ', complete' : ''}`);
+
+  if (stillRunning) {
+    try {
+      await getFunctions().taskQueue('runPiiScan').enqueue({ userId, scanId, cursor: last });
+    } catch (error) {
+      console.error(`PII sweep ${scanId}: could not queue the next part:`, error);
+      await scanRef.update({ status: 'failed', error: error.message, updatedAt: new Date() });
+    }
+  }
+});
+
+/**
+ * Starts an analytics run over the caller's documents: email threads with
+ * their inclusive messages, and near-duplicate sets. The run works in the
+ * background as a chain of runAnalytics tasks; see analytics.js.
+ */
+export const startAnalytics = onCall({
+  memory: '256MiB',
+  timeoutSeconds: 60
+}, async (request) => {
+  const userId = request.auth?.uid;
+  if (!userId) {
+    throw new HttpsError('unauthenticated', 'User must be authenticated');
+  }
+  const threshold = Number(request.data?.threshold ?? 0.8);
+  if (!(threshold >= 0.5 && threshold <= 1)) {
+    throw new HttpsError('invalid-argument', 'The near-duplicate threshold must be between 50% and 100%');
+  }
+
+  const { jobId, totalDocs } = await startBackgroundJob(userId, {
+    collection: 'analyticsRuns',
+    queue: 'runAnalytics',
+    label: 'analytics run',
+    fields: { phase: 'features', threshold },
+    task: (runId) => ({ userId, runId, phase: 'features', cursor: null })
+  });
+  return { runId: jobId, totalDocs };
+});
+
+/**
+ * Runs part of an analytics run. In the features phase, documents after the
+ * task's cursor are read until the time budget is used, then the rest are
+ * queued; after the last document, the grouping phase is queued. As with
+ * runPiiScan, a task that no longer matches the run's phase and cursor was
+ * already run and does nothing.
+ */
+export const runAnalytics = onTaskDispatched({
+  retryConfig: { maxAttempts: 3, minBackoffSeconds: 30 },
+  rateLimits: { maxConcurrentDispatches: 5 },
+  memory: '2GiB',
+  timeoutSeconds: 1800
+}, async (request) => {
+  const { userId, runId, phase, cursor } = request.data;
+  const userPath = `artifacts/${APP_ID}/users/${userId}`;
+  const runRef = db.doc(`${userPath}/analyticsRuns/${runId}`);
+  const runSnap = await runRef.get();
+  const run = runSnap.data();
+  if (!runSnap.exists || run.status !== 'running' || run.phase !== phase || run.cursor !== cursor) return;
+
+  if (phase === 'grouping') {
+    try {
+      const { results, summary } = await groupFeatures(runRef, run.threshold);
+      const resultChunks = await writeResults(db, runRef, results);
+      await db.recursiveDelete(runRef.collection('features'));
+      await runRef.update({ ...summary, resultChunks, status: 'complete', completedAt: new Date(), updatedAt: new Date() });
+      console.log(`Analytics run ${runId}: ${summary.threadCount} threads, ${summary.nearDupeGroupCount} near-duplicate sets`);
+    } catch (error) {
+      console.error(`Analytics run ${runId}: grouping failed:`, error);
+      await runRef.update({ status: 'failed', error: error.message, updatedAt: new Date() });
+      return;
+    }
+    // Earlier runs are superseded
+    const earlier = await db.collection(`${userPath}/analyticsRuns`).where('createdAt', '<', run.createdAt).get();
+    for (const earlierSnap of earlier.docs) {
+      if (earlierSnap.data().status !== 'running') await db.recursiveDelete(earlierSnap.ref);
+    }
+    return;
+  }
+
+  const startedAt = Date.now();
+  const progress = { scannedDocs: 0, failedDocs: 0 };
+  const writer = db.bulkWriter();
+  let last = cursor;
+  let done = false;
+  while (!done && Date.now() - startedAt < ANALYTICS_TIME_BUDGET_MS) {
+    let pageQuery = db.collection(`${userPath}/docs`).orderBy(FieldPath.documentId()).limit(ANALYTICS_PAGE_SIZE);
+    if (last) pageQuery = pageQuery.startAfter(last);
+    const page = await pageQuery.get();
+    done = page.size < ANALYTICS_PAGE_SIZE;
+
+    for (const docSnap of page.docs) {
+      if (Date.now() - startedAt >= ANALYTICS_TIME_BUDGET_MS) {
+        done = false;
+        break;
+      }
+      const data = docSnap.data();
+      try {
+        const text = data.textStoragePath ? await downloadText(data.textStoragePath) : '';
+        writer.set(runRef.collection('features').doc(docSnap.id), documentFeatures(docSnap.id, data, text));
       } catch (error) {
-        console.error(`Error searching text for ${doc.id}:`, error);
+        console.error(`Analytics run ${runId}: could not read ${docSnap.id}:`, error.message);
+        progress.failedDocs++;
       }
+      progress.scannedDocs++;
+      last = docSnap.id;
+    }
+  }
+  await writer.close();
+
+  const stillRunning = await db.runTransaction(async (transaction) => {
+    const current = (await transaction.get(runRef)).data();
+    const update = {
+      cursor: done ? null : last,
+      scannedDocs: FieldValue.increment(progress.scannedDocs),
+      failedDocs: FieldValue.increment(progress.failedDocs),
+      updatedAt: new Date()
+    };
+    if (done) update.phase = 'grouping';
+    transaction.update(runRef, update);
+    return current.status === 'running';
+  });
+  console.log(`Analytics run ${runId}: ${progress.scannedDocs} documents read up to ${last}${done ? ', grouping next' : ''}`);
+
+  if (stillRunning) {
+    try {
+      await getFunctions().taskQueue('runAnalytics').enqueue({ userId, runId, phase: done ? 'grouping' : 'features', cursor: done ? null : last });
+    } catch (error) {
+      console.error(`Analytics run ${runId}: could not queue the next part:`, error);
+      await runRef.update({ status: 'failed', error: error.message, updatedAt: new Date() });
     }
+  }
+});
 
-    return { doc, score, matches };
-  }));
+/**
+ * Starts building the semantic index for the caller's documents that lack
+ * current passages: documents ingested before it existed, ones whose
+ * embedding failed at ingest, and all of them after a change of embedder.
+ * The build runs in the background as a chain of runSemanticIndex tasks,
+ * recording its progress in semanticIndexJobs/{jobId}.
+ */
+export const startSemanticIndex = onCall({
+  memory: '256MiB',
+  timeoutSeconds: 60
+}, async (request) => {
+  const userId = request.auth?.uid;
+  if (!userId) {
+    throw new HttpsError('unauthenticated', 'User must be authenticated');
+  }
 
-  // Filter and sort the scored documents
-  const matchedDocs = scoredDocs
-    .filter(item => item.score > 0)
-    .sort((a, b) => b.score - a.score);
+  const { jobId, totalDocs } = await startBackgroundJob(userId, {
+    collection: 'semanticIndexJobs',
+    queue: 'runSemanticIndex',
+    label: 'semantic index build',
+    fields: { embeddedDocs: 0, embedder: getEmbedder().name },
+    task: (jobId) => ({ userId, jobId, cursor: null })
+  });
+  return { jobId, totalDocs };
+});
 
-  // Log match details for debugging
-  matchedDocs.forEach(({ doc, score, matches }) => {
-    console.log(`Document ${doc.id} scored ${score}:`, matches);
+/**
+ * Runs part of a semantic index build: documents after the task's cursor
+ * are embedded, unless already current, until the time budget is used, then
+ * the rest are queued. As with runPiiScan, a task whose cursor no longer
+ * matches the build's was already run and does nothing.
+ */
+export const runSemanticIndex = onTaskDispatched({
+  retryConfig: { maxAttempts: 3, minBackoffSeconds: 30 },
+  rateLimits: { maxConcurrentDispatches: 5 },
+  memory: '1GiB',
+  timeoutSeconds: 540,
+  secrets: ['GOOGLE_GENAI_API_KEY']
+}, async (request) => {
+  const { userId, jobId, cursor } = request.data;
+  const userPath = `artifacts/${APP_ID}/users/${userId}`;
+  const jobRef = db.doc(`${userPath}/semanticIndexJobs/${jobId}`);
+  const jobSnap = await jobRef.get();
+  if (!jobSnap.exists || jobSnap.data().status !== 'running' || jobSnap.data().cursor !== cursor) return;
+
+  const embedder = getEmbedder();
+  const startedAt = Date.now();
+  const progress = { scannedDocs: 0, failedDocs: 0, embeddedDocs: 0 };
+  let last = cursor;
+  let done = false;
+  while (!done && Date.now() - startedAt < SEMANTIC_INDEX_TIME_BUDGET_MS) {
+    let pageQuery = db.collection(`${userPath}/docs`).orderBy(FieldPath.documentId()).limit(SEMANTIC_INDEX_PAGE_SIZE);
+    if (last) pageQuery = pageQuery.startAfter(last);
+    const page = await pageQuery.get();
+    done = page.size < SEMANTIC_INDEX_PAGE_SIZE;
+    const records = page.empty ? [] : await db.getAll(...page.docs.map(docSnap => db.doc(`${userPath}/semanticDocs/${docSnap.id}`)));
+
+    for (const [i, docSnap] of page.docs.entries()) {
+      if (Date.now() - startedAt >= SEMANTIC_INDEX_TIME_BUDGET_MS) {
+        done = false;
+        break;
+      }
+      const data = docSnap.data();
+      if (!passagesCurrent(records[i].exists ? records[i].data() : null, data, embedder)) {
+        if (await embedStoredDocument(embedder, APP_ID, userId, docSnap.id, data)) progress.embeddedDocs++;
+        else progress.failedDocs++;
+      }
+      progress.scannedDocs++;
+      last = docSnap.id;
+    }
+  }
+
+  const stillRunning = await db.runTransaction(async (transaction) => {
+    const current = (await transaction.get(jobRef)).data();
+    const update = {
+      cursor: last,
+      scannedDocs: FieldValue.increment(progress.scannedDocs),
+      failedDocs: FieldValue.increment(progress.failedDocs),
+      embeddedDocs: FieldValue.increment(progress.embeddedDocs),
+      updatedAt: new Date()
+    };
+    if (done && current.status === 'running') {
+      update.status = 'complete';
+      update.completedAt = new Date();
+    }
+    transaction.update(jobRef, update);
+    return !done && current.status === 'running';
   });
+  console.log(`Semantic index build ${jobId}: ${progress.scannedDocs} documents checked up to ${last}, ${progress.embeddedDocs} embedded${done ? ', complete' : ''}`);
 
-  console.log(`Found ${matchedDocs.length} matching documents`);
-  
-  const results = matchedDocs.slice(0, MAX_CONTEXT_DOCS).map(item => item.doc);
-  console.log(`Returning top ${results.length} documents for context`);
-  
-  return results;
-}
+  if (stillRunning) {
+    try {
+      await getFunctions().taskQueue('runSemanticIndex').enqueue({ userId, jobId, cursor: last });
+    } catch (error) {
+      console.error(`Semantic index build ${jobId}: could not queue the next part:`, error);
+      await jobRef.update({ status: 'failed', error: error.message, updatedAt: new Date() });
+    }
+  }
+});
 
 /**
- * Fetches the text content for a given document from Firebase Storage.
+ * Starts an AI analysis: a question answered over every document matching
+ * a search (scope), or the question itself when no scope is given, up to
+ * MAX_ANALYSIS_DOCS, by map-reduce in the background (see ai-analysis.js).
+ * Counts as one AI query, given back if the analysis cannot be started
+ * (e.g. another is running).
  */
-async function fetchDocumentText(doc, userId) {
-  if (!doc.textStoragePath) {
-    return `[No text path for ${doc.id}]`;
+export const startAiAnalysis = onCall({
+  memory: '512MiB',
+  timeoutSeconds: 120
+}, async (request) => {
+  const userId = request.auth?.uid;
+  const { question, scope = '', expandFamilies = false } = request.data || {};
+  if (!userId) {
+    throw new HttpsError('unauthenticated', 'User must be authenticated');
   }
-  
-  try {
-    const fileRef = storage.bucket().file(doc.textStoragePath);
-    const [buffer] = await fileRef.download();
-    
+  if (!question?.trim()) {
+    throw new HttpsError('invalid-argument', 'A question is required');
+  }
+  if (scope.trim()) {
     try {
-        const text = buffer.toString('utf16le');
-        if (text.includes('e') || text.includes('t')) return text;
-    } catch (e) {}
-    
-    return buffer.toString('utf8');
+      parseQuery(scope);
+    } catch (error) {
+      // Syntax errors are written for the user
+      throw new HttpsError('invalid-argument', error.message);
+    }
+  }
 
+  const searchQuery = scope.trim() || question;
+  const { hits, total } = await searchIndex(db, { appId: APP_ID, userId, query: searchQuery, limit: MAX_ANALYSIS_DOCS, ranked: !scope.trim() });
+  let docIds = hits.map(hit => hit.docId);
+  if (expandFamilies && docIds.length > 0) {
+    const docsRef = db.collection(`artifacts/${APP_ID}/users/${userId}/docs`);
+    const docs = [];
+    for (let i = 0; i < docIds.length; i += 300) {
+      const snapshots = await db.getAll(...docIds.slice(i, i + 300).map(docId => docsRef.doc(docId)));
+      snapshots.forEach(snap => snap.exists && docs.push({ id: snap.id, ...snap.data() }));
+    }
+    const members = (await loadFamilyMembers(docsRef, docs)).map(doc => doc.id).filter(docId => !docIds.includes(docId));
+    docIds = [...docIds, ...members.slice(0, MAX_ANALYSIS_DOCS - docIds.length)];
+  }
+  if (docIds.length === 0) {
+    throw new HttpsError('not-found', scope.trim() ? 'No documents match the search' : 'No documents match the question');
+  }
+  // Read in Beg Bates order, which keeps families and conversations together
+  docIds.sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+
+  const usageInfo = await checkAndUpdateQueryUsage(userId);
+  if (!usageInfo.allowed) {
+    throw new HttpsError(
+      'resource-exhausted',
+      `You have reached your monthly limit of ${usageInfo.maxQueries} AI queries. Your limit will reset on ${usageInfo.resetDate}.`
+    );
+  }
+
+  let started;
+  try {
+    started = await startBackgroundJob(userId, {
+      collection: 'aiAnalyses',
+      queue: 'runAiAnalysis',
+      label: 'AI analysis',
+      totalDocs: docIds.length,
+      fields: {
+        question,
+        scope: scope.trim(),
+        expandFamilies,
+        docIds,
+        matchedDocs: total,
+        phase: 'map',
+        level: 0,
+        batches: 0,
+        relevantBatches: 0,
+        reduceGroups: 0,
+        reducedGroups: 0
+      },
+      task: (analysisId) => ({ userId, analysisId, phase: 'map', level: 0, cursor: null })
+    });
   } catch (error) {
-    console.error(`Failed to fetch text for ${doc.id}:`, error.message);
-    return `[Error fetching text for ${doc.id}]`;
+    await refundQueryUsage(userId);
+    throw error;
   }
-}
\ No newline at end of file
+  const { jobId, totalDocs } = started;
+  return {
+    analysisId: jobId,
+    totalDocs,
+    matchedDocs: total,
+    usageInfo: { queriesUsed: usageInfo.queriesUsed, queriesRemaining: usageInfo.queriesRemaining, isAdmin: usageInfo.isAdmin }
+  };
+});
+
+/**
+ * Runs part of an AI analysis. In the map phase, the documents from the
+ * task's cursor ("document index:character offset") are packed into batches
+ * of ANALYSIS_BATCH_TOKENS, long documents split across batches, and each
+ * batch's notes stored as a partial; a batch the model fails on is counted
+ * and skipped. In the reduce phase, the task's level is combined a group at
+ * a time from its cursor (the group index). Tasks queue their successor
+ * before the time budget runs out; as with runPiiScan, a task that no longer
+ * matches the analysis's phase, level and cursor was already run and does
+ * nothing.
+ */
+export const runAiAnalysis = onTaskDispatched({
+  retryConfig: { maxAttempts: 3, minBackoffSeconds: 30 },
+  rateLimits: { maxConcurrentDispatches: 5 },
+  memory: '1GiB',
+  timeoutSeconds: 540,
+  secrets: ['GOOGLE_GENAI_API_KEY']
+}, async (request) => {
+  const { userId, analysisId, phase, level, cursor } = request.data;
+  const userPath = `artifacts/${APP_ID}/users/${userId}`;
+  const analysisRef = db.doc(`${userPath}/aiAnalyses/${analysisId}`);
+  const analysisSnap = await analysisRef.get();
+  const analysis = analysisSnap.data();
+  if (!analysisSnap.exists || analysis.status !== 'running' || analysis.phase !== phase ||
+    analysis.level !== level || analysis.cursor !== cursor) return;
+
+  const startedAt = Date.now();
+  let next;
+  try {
+    const llm = await loadLlmProvider(userId);
+    next = phase === 'map'
+      ? await runAnalysisMap(llm, analysisRef, analysis, userId, cursor, startedAt)
+      : await runAnalysisReduce(llm, analysisRef, analysis, level, cursor, startedAt);
+  } catch (error) {
+    console.error(`AI analysis ${analysisId}: ${phase} failed:`, error);
+    await analysisRef.update({ status: 'failed', error: error.message, updatedAt: new Date() });
+    return;
+  }
+  if (!next) return;
+
+  try {
+    await getFunctions().taskQueue('runAiAnalysis').enqueue({ userId, analysisId, ...next });
+  } catch (error) {
+    console.error(`AI analysis ${analysisId}: could not queue the next part:`, error);
+    await analysisRef.update({ status: 'failed', error: error.message, updatedAt: new Date() });
+  }
+});
+
+/**
+ * The map phase of runAiAnalysis, from a cursor until the time budget is used.
+ * @returns {Promise<Object|null>} The next task's phase, level and cursor, or null if the analysis was stopped.
+ */
+async function runAnalysisMap(llm, analysisRef, analysis, userId, cursor, startedAt) {
+  const { question, docIds } = analysis;
+  const docsRef = db.collection(`artifacts/${APP_ID}/users/${userId}/docs`);
+  const batchChars = ANALYSIS_BATCH_TOKENS * CHARS_PER_TOKEN;
+  let [docIndex, offset] = cursor ? cursor.split(':').map(Number) : [0, 0];
+  let batches = analysis.batches;
+  const progress = { scannedDocs: 0, relevantBatches: 0 };
+  const failed = new Set();
+
+  // The document being read, kept while it is split across batches
+  let loaded = null;
+  const load = async (docId) => {
+    if (loaded?.docId !== docId) {
+      const snap = await docsRef.doc(docId).get();
+      const doc = snap.exists ? { id: snap.id, ...snap.data() } : null;
+      loaded = { docId, doc, text: doc ? (await fetchDocumentText(doc, userId)).trim() : '' };
+    }
+    return loaded;
+  };
+
+  while (docIndex < docIds.length && Date.now() - startedAt < ANALYSIS_TIME_BUDGET_MS) {
+    const parts = [];
+    const batchDocIds = [];
+    let used = 0;
+    while (docIndex < docIds.length) {
+      const { doc, text } = await load(docIds[docIndex]);
+      if (!doc) {
+        // Deleted since the analysis started
+        failed.add(docIds[docIndex]);
+        progress.scannedDocs++;
+        docIndex++;
+        offset = 0;
+        continue;
+      }
+      const metadata = `[${extractKeyMetadata(doc)}]`;
+      const room = batchChars - used - metadata.length - PASSAGE_DOC_OVERHEAD_CHARS;
+      if (parts.length > 0 && room < Math.min(MIN_ANALYSIS_PART_CHARS, text.length - offset)) break;
+      const end = Math.min(text.length, offset + Math.max(room, MIN_ANALYSIS_PART_CHARS));
+      const range = offset > 0 || end < text.length
+        ? ` (characters ${offset.toLocaleString()}–${end.toLocaleString()} of ${text.length.toLocaleString()})`
+        : '';
+      const part = `Document ${doc.id}${range}:\n${metadata}\n\n${text.slice(offset, end)}`;
+      parts.push(part);
+      batchDocIds.push(doc.id);
+      used += part.length;
+      if (end < text.length) {
+        offset = end;
+        break;
+      }
+      progress.scannedDocs++;
+      docIndex++;
+      offset = 0;
+    }
+    if (parts.length === 0) break;
+
+    try {
+      const { text: answer } = await llm.generate(buildMapPrompt(question, parts));
+      const relevant = isRelevant(answer);
+      const cited = relevant ? citedDocIds(answer, batchDocIds) : [];
+      await analysisRef.collection('partials').doc(`0-${batches}`).set({
+        level: 0,
+        index: batches,
+        answer: relevant ? answer : '',
+        docIds: batchDocIds,
+        // Notes that cite nothing are traced to the whole batch
+        sources: relevant && cited.length === 0 ? batchDocIds : cited,
+        relevant
+      });
+      if (relevant) progress.relevantBatches++;
+    } catch (error) {
+      console.error(`AI analysis ${analysisRef.id}: batch ${batches} (${batchDocIds.join(', ')}) failed:`, error.message);
+      batchDocIds.forEach(docId => failed.add(docId));
+    }
+    batches++;
+  }
+
+  const done = docIndex >= docIds.length;
+  const stillRunning = await db.runTransaction(async (transaction) => {
+    const current = (await transaction.get(analysisRef)).data();
+    const update = {
+      cursor: done ? null : `${docIndex}:${offset}`,
+      batches,
+      scannedDocs: FieldValue.increment(progress.scannedDocs),
+      failedDocs: FieldValue.increment(failed.size),
+      relevantBatches: FieldValue.increment(progress.relevantBatches),
+      updatedAt: new Date()
+    };
+    if (done) update.phase = 'reduce';
+    transaction.update(analysisRef, update);
+    return current.status === 'running';
+  });
+  console.log(`AI analysis ${analysisRef.id}: ${progress.scannedDocs} documents read in ${batches - analysis.batches} batches${done ? ', combining next' : ''}`);
+
+  if (!stillRunning) return null;
+  return done ? { phase: 'reduce', level: 0, cursor: null } : { phase: 'map', level: 0, cursor: `${docIndex}:${offset}` };
+}
+
+/**
+ * The reduce phase of runAiAnalysis: combines one level's partials, a group
+ * at a time, into the next level's, or into the final answer when the level
+ * makes a single group.
+ * @returns {Promise<Object|null>} The next task's phase, level and cursor, or null when finished or stopped.
+ */
+async function runAnalysisReduce(llm, analysisRef, analysis, level, cursor, startedAt) {
+  const snapshot = await analysisRef.collection('partials').where('level', '==', level).get();
+  const partials = snapshot.docs
+    .map(snap => snap.data())
+    .filter(partial => partial.relevant)
+    .sort((a, b) => a.index - b.index);
+
+  if (partials.length === 0) {
+    const failedNote = analysis.failedDocs > 0 ? ` ${analysis.failedDocs.toLocaleString()} could not be analyzed.` : '';
+    await analysisRef.update({
+      status: 'complete',
+      answer: `None of the ${analysis.totalDocs.toLocaleString()} documents analyzed bears on the question.${failedNote}`,
+      sources: [],
+      supportingDocIds: [],
+      completedAt: new Date(),
+      updatedAt: new Date()
+    });
+    return null;
+  }
+
+  const groups = groupPartials(partials, ANALYSIS_REDUCE_TOKENS * CHARS_PER_TOKEN);
+  const final = groups.length === 1;
+  let groupIndex = cursor ? Number(cursor) : 0;
+  while (groupIndex < groups.length && Date.now() - startedAt < ANALYSIS_TIME_BUDGET_MS) {
+    const group = groups[groupIndex];
+    const allowed = [...new Set(group.flatMap(partial => partial.sources))];
+    if (!final && group.length === 1) {
+      // Nothing to combine it with at this level
+      await analysisRef.collection('partials').doc(`${level + 1}-${groupIndex}`).set({ ...group[0], level: level + 1, index: groupIndex });
+      groupIndex++;
+      continue;
+    }
+
+    const { text: answer, finishReason } = await llm.generate(
+      buildReducePrompt(analysis.question, group.map(partial => partial.answer), final)
+    );
+    if (!answer) {
+      throw new Error(finishReason === 'MAX_TOKENS'
+        ? 'The combined answer exceeded the maximum output length. Try a narrower question or scope.'
+        : 'The AI service returned no answer');
+    }
+    const cited = citedDocIds(answer, allowed);
+    const sources = cited.length > 0 ? cited : allowed;
+
+    if (final) {
+      await analysisRef.update({
+        status: 'complete',
+        answer: finishReason === 'MAX_TOKENS' ? `${answer}\n\n[Response truncated - maximum output length reached]` : answer,
+        sources,
+        supportingDocIds: allowed,
+        reducedGroups: 1,
+        completedAt: new Date(),
+        updatedAt: new Date()
+      });
+      console.log(`AI analysis ${analysisRef.id}: complete, citing ${sources.length} of ${allowed.length} supporting documents`);
+      return null;
+    }
+    await analysisRef.collection('partials').doc(`${level + 1}-${groupIndex}`).set({
+      level: level + 1,
+      index: groupIndex,
+      answer,
+      docIds: [...new Set(group.flatMap(partial => partial.docIds))],
+      sources,
+      relevant: true
+    });
+    groupIndex++;
+  }
+
+  const done = groupIndex >= groups.length;
+  const stillRunning = await db.runTransaction(async (transaction) => {
+    const current = (await transaction.get(analysisRef)).data();
+    transaction.update(analysisRef, {
+      level: done ? level + 1 : level,
+      cursor: done ? null : String(groupIndex),
+      reduceGroups: groups.length,
+      reducedGroups: done ? 0 : groupIndex,
+      updatedAt: new Date()
+    });
+    return current.status === 'running';
+  });
+  console.log(`AI analysis ${analysisRef.id}: level ${level}, ${groupIndex} of ${groups.length} groups combined`);
+
+  if (!stillRunning) return null;
+  return done ? { phase: 'reduce', level: level + 1, cursor: null } : { phase: 'reduce', level, cursor: String(groupIndex) };
+}
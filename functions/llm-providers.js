@@ -0,0 +1,167 @@
+import { callGenerativeApi, streamGenerativeApi } from './generative-api.js';
+
+// Language model providers for AI answers, analyses and privilege
+// descriptions.
+//
+// A provider generates text for a prompt, either whole (generate) or as it
+// is written (stream), and counts a prompt's tokens (countTokens). It is
+// made for a matter's settings (see public/js/llm-settings.js): the model,
+// temperature and reply length are the matter's, and a call can lower the
+// reply length or change the temperature for its own purpose.
+//
+// The provider is chosen by the LLM_PROVIDER environment variable:
+//   gemini  - Gemini models on the Generative Language API (the default)
+//   mock    - a deterministic reply built from the prompt, with no network
+//             calls (the default in the emulator; for tests, too); asked
+//             for structured output, it replies with the cited claims of
+//             citations.js
+// Others can be added with registerLlmProvider().
+
+const MOCK_CHARS_PER_TOKEN = 4;
+const MOCK_QUOTE_WORDS = 12; // Words of each document quoted in a mock reply
+
+const factories = new Map();
+
+/**
+ * Makes a provider available under a name.
+ * @param {string} name - The LLM_PROVIDER value that selects it.
+ * @param {Function} factory - Given the matter's settings, returns
+ *   { name, model, generate(prompt, options), countTokens(prompt, options), stream(prompt, options) }:
+ *   generate resolves to { text, finishReason, model }, countTokens to a
+ *   number, and stream yields { text, finishReason } with the text written
+ *   since the previous yield. finishReason is 'MAX_TOKENS' when the reply was
+ *   cut short (its text may then be partial or null). The options are
+ *   { temperature, maxOutputTokens, responseSchema, signal }: with a
+ *   responseSchema (an OpenAPI schema) the text is JSON in that shape, and
+ *   an aborted signal stops the call.
+ */
+export function registerLlmProvider(name, factory) {
+  factories.set(name, factory);
+}
+
+/**
+ * The provider in use, for a matter's settings.
+ * @param {{model: string, temperature: number, maxOutputTokens: number}} settings
+ * @param {string} [name] - Defaults to LLM_PROVIDER, then 'mock' in the emulator and 'gemini' elsewhere.
+ * @returns {{name: string, model: string, generate: Function, countTokens: Function, stream: Function}}
+ * @throws {Error} For an unknown provider.
+ */
+export function getLlmProvider(settings, name = process.env.LLM_PROVIDER || (process.env.FUNCTIONS_EMULATOR === 'true' ? 'mock' : 'gemini')) {
+  const factory = factories.get(name);
+  if (!factory) throw new Error(`Unknown LLM provider "${name}"; expected one of ${[...factories.keys()].join(', ')}`);
+  return factory(settings);
+}
+
+// The reply text of a Gemini response, and why it ended
+function geminiReply(payload) {
+  const candidate = payload.candidates?.[0];
+  const text = (candidate?.content?.parts || []).map(part => part.text || '').join('');
+  return { text: text || null, finishReason: candidate?.finishReason || payload.promptFeedback?.blockReason || null };
+}
+
+registerLlmProvider('gemini', (settings) => {
+  const contents = (prompt) => [{ role: 'user', parts: [{ text: prompt }] }];
+  const request = (prompt, { temperature = settings.temperature, maxOutputTokens = settings.maxOutputTokens, responseSchema } = {}) => ({
+    contents: contents(prompt),
+    generationConfig: {
+      temperature,
+      maxOutputTokens,
+      ...(responseSchema ? { responseMimeType: 'application/json', responseSchema } : {})
+    }
+  });
+  const method = (name) => `models/${settings.model}:${name}`;
+
+  return {
+    name: 'gemini',
+    model: settings.model,
+    generate: async (prompt, options = {}) => {
+      const payload = await callGenerativeApi(method('generateContent'), request(prompt, options), { signal: options.signal });
+      return { ...geminiReply(payload), model: settings.model };
+    },
+    countTokens: async (prompt, { signal } = {}) => {
+      const payload = await callGenerativeApi(method('countTokens'), { contents: contents(prompt) }, { signal });
+      return payload.totalTokens ?? 0;
+    },
+    stream: async function* (prompt, options = {}) {
+      for await (const payload of streamGenerativeApi(method('streamGenerateContent'), request(prompt, options), { signal: options.signal })) {
+        const { text, finishReason } = geminiReply(payload);
+        yield { text: text || '', finishReason };
+      }
+    }
+  };
+});
+
+// The opening words of each document in a prompt ("Document <ID>:" headings)
+function quoteDocuments(prompt) {
+  return prompt.split(/^(?=Document [^\s:(]+[^\n]*:$)/m).slice(1).map(section => {
+    const [heading, ...body] = section.split('\n');
+    // The text follows the metadata, after the first blank line
+    const text = body.map(line => line.trim());
+    const quotable = (line) => line && !line.startsWith('[') && line !== '---';
+    const first = text.slice(text.indexOf('') + 1).find(quotable) || text.find(quotable);
+    return {
+      docId: heading.match(/^Document ([^\s:(]+)/)[1],
+      quote: first ? first.split(/\s+/).slice(0, MOCK_QUOTE_WORDS).join(' ') : null
+    };
+  });
+}
+
+/**
+ * A mock model's reply: a short quotation from each document in the prompt,
+ * cited by ID, or, for a prompt of notes, the cited notes themselves. The
+ * same prompt always gives the same reply.
+ * @param {string} prompt
+ * @param {boolean} [structured] - Reply with cited claims in JSON (see citations.js).
+ * @returns {string}
+ */
+export function mockReply(prompt, structured = false) {
+  const quoted = quoteDocuments(prompt);
+  if (structured) {
+    return JSON.stringify({
+      claims: [
+        { statement: `Mock answer drawn from ${quoted.length} document(s); no AI service was called.`, citations: [] },
+        ...quoted.filter(({ quote }) => quote).map(({ docId, quote }) => ({
+          statement: `- ${docId} begins "${quote}".`,
+          citations: [{ docId, quote }]
+        }))
+      ]
+    });
+  }
+
+  const lines = quoted.map(({ docId, quote }) => quote ? `- "${quote}" [${docId}]` : `- (no text) [${docId}]`);
+  if (lines.length === 0) {
+    const notes = prompt.split('\n').map(line => line.trim()).filter(line => /\[[^\]]+\]/.test(line) && !line.includes('e.g.'));
+    lines.push(...new Set(notes));
+  }
+  const tokens = Math.ceil(prompt.length / MOCK_CHARS_PER_TOKEN);
+  return [
+    `Mock reply to a prompt of about ${tokens.toLocaleString()} tokens; no AI service was called.`,
+    ...(lines.length > 0 ? lines : ['(The prompt named no documents.)'])
+  ].join('\n');
+}
+
+registerLlmProvider('mock', (settings) => {
+  const reply = (prompt, { maxOutputTokens = settings.maxOutputTokens, responseSchema, signal } = {}) => {
+    signal?.throwIfAborted();
+    const text = mockReply(prompt, Boolean(responseSchema));
+    const limit = maxOutputTokens * MOCK_CHARS_PER_TOKEN;
+    return text.length > limit
+      ? { text: text.slice(0, limit), finishReason: 'MAX_TOKENS' }
+      : { text, finishReason: 'STOP' };
+  };
+
+  return {
+    name: 'mock',
+    model: 'mock',
+    generate: async (prompt, options = {}) => ({ ...reply(prompt, options), model: 'mock' }),
+    countTokens: async (prompt) => Math.ceil(prompt.length / MOCK_CHARS_PER_TOKEN),
+    stream: async function* (prompt, options = {}) {
+      const { text, finishReason } = reply(prompt, options);
+      const words = text.match(/\S+\s*/g) || [];
+      for (let i = 0; i < words.length; i++) {
+        options.signal?.throwIfAborted();
+        yield { text: words[i], finishReason: i === words.length - 1 ? finishReason : null };
+      }
+    }
+  };
+});
@@ -0,0 +1,330 @@
+import { FieldValue, FieldPath } from 'firebase-admin/firestore';
+import { analyzeText, analyzeTokens } from './shared/text-analysis.js';
+import {
+  SEARCHABLE_METADATA_FIELDS,
+  MIN_WILDCARD_PREFIX,
+  parseQuery,
+  evaluateQuery,
+  isPlainTerms,
+  queryLeaves,
+  positiveTerms,
+  createRecordSource,
+  joinFieldTokens,
+  fieldsFor,
+  isWildcardWord,
+  expandWildcard
+} from './shared/search-query.js';
+
+// Persistent inverted index over document text and metadata, scored with BM25.
+//
+// Layout under artifacts/{appId}/users/{userId}:
+//   searchTerms/{term}/postings/{docId}  { tf, length, positions }   one posting per term per document
+//   searchDocs/{docId}                    { length, terms, textStoragePath, indexedAt }
+//   searchLexicon/{prefix}/words/{word}   {}          indexed words by their first letters, for wildcards
+//   searchIndex/stats                     { docCount, totalLength }
+// searchDocs records what each document was indexed with, so re-indexing can
+// remove postings for terms the document no longer contains.
+//
+// Queries use the syntax in public/js/search-query.js (shared/ here).
+
+const MAX_INDEXED_CHARS = 2000000; // Longer texts are indexed up to this point
+const MAX_POSITIONS_PER_POSTING = 1000; // Phrase and proximity matches are found among these
+const MAX_WILDCARD_EXPANSIONS = 100; // Stems a single wildcard may expand to
+const MAX_LEXICON_WORDS = 5000; // Indexed words read to expand a single wildcard
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+function userPath(appId, userId) {
+  return `artifacts/${appId}/users/${userId}`;
+}
+
+/**
+ * The indexed content of a document: its Bates number, metadata and text,
+ * each indexed as a separate field (see joinFieldTokens()).
+ * @returns {Array<string>}
+ */
+export function searchableFields(docId, data, text) {
+  const metadata = SEARCHABLE_METADATA_FIELDS.map(field => data[field]).filter(Boolean).map(String);
+  return [docId, ...metadata, (text || '').substring(0, MAX_INDEXED_CHARS)];
+}
+
+/**
+ * Whether a document write changed anything the index holds.
+ */
+export function searchableContentChanged(before, after) {
+  if (before.textStoragePath !== after.textStoragePath) return true;
+  return SEARCHABLE_METADATA_FIELDS.some(field => before[field] !== after[field]);
+}
+
+/**
+ * Groups analyzed tokens by term.
+ * @returns {Map<string, Array<number>>} term -> positions
+ */
+function termPositions(analyzed) {
+  const positions = new Map();
+  for (const { term, position } of analyzed) {
+    if (!positions.has(term)) positions.set(term, []);
+    positions.get(term).push(position);
+  }
+  return positions;
+}
+
+/**
+ * Indexes (or re-indexes) one document. Safe to repeat: postings are
+ * overwritten, and the collection statistics are adjusted by the difference
+ * from what the document was last indexed with.
+ * @param {Firestore} db
+ * @param {Object} params
+ * @param {Array<string>} params.fields - From searchableFields().
+ * @param {string|null} params.textStoragePath - Recorded for rebuilds.
+ * @returns {Promise<{terms: number, length: number}>}
+ */
+export async function indexDocument(db, { appId, userId, docId, fields, textStoragePath = null }) {
+  const base = userPath(appId, userId);
+  const recordRef = db.doc(`${base}/searchDocs/${docId}`);
+  const previousSnap = await recordRef.get();
+  const previousTerms = previousSnap.exists ? previousSnap.data().terms.split(' ').filter(Boolean) : [];
+
+  const analyzed = joinFieldTokens(fields.map(field => analyzeTokens(field)));
+  const positions = termPositions(analyzed);
+  const length = analyzed.length;
+
+  const writer = db.bulkWriter();
+  for (const [term, termPositionList] of positions) {
+    writer.set(db.doc(`${base}/searchTerms/${term}/postings/${docId}`), {
+      tf: termPositionList.length,
+      length,
+      positions: termPositionList.slice(0, MAX_POSITIONS_PER_POSTING)
+    });
+  }
+  for (const term of previousTerms) {
+    if (!positions.has(term)) writer.delete(db.doc(`${base}/searchTerms/${term}/postings/${docId}`));
+  }
+
+  // Words are only ever added to the lexicon; a stale word expands to a term
+  // with no postings, which matches nothing. Each word is its own document,
+  // so no prefix outgrows a document however many words share it.
+  const words = new Set(analyzed.map(({ token }) => token).filter(isWildcardWord));
+  for (const word of words) {
+    writer.set(db.doc(`${base}/searchLexicon/${word.substring(0, MIN_WILDCARD_PREFIX)}/words/${word}`), {});
+  }
+  await writer.close();
+
+  await db.runTransaction(async (transaction) => {
+    const current = await transaction.get(recordRef);
+    const previousLength = current.exists ? current.data().length : 0;
+    transaction.set(recordRef, {
+      length,
+      terms: [...positions.keys()].join(' '),
+      textStoragePath,
+      indexedAt: FieldValue.serverTimestamp()
+    });
+    transaction.set(db.doc(`${base}/searchIndex/stats`), {
+      docCount: FieldValue.increment(current.exists ? 0 : 1),
+      totalLength: FieldValue.increment(length - previousLength)
+    }, { merge: true });
+  });
+
+  return { terms: positions.size, length };
+}
+
+/**
+ * Removes a deleted document's postings and statistics.
+ */
+export async function removeDocumentFromIndex(db, { appId, userId, docId }) {
+  const base = userPath(appId, userId);
+  const recordRef = db.doc(`${base}/searchDocs/${docId}`);
+  const snap = await recordRef.get();
+  if (!snap.exists) return;
+
+  const writer = db.bulkWriter();
+  for (const term of snap.data().terms.split(' ').filter(Boolean)) {
+    writer.delete(db.doc(`${base}/searchTerms/${term}/postings/${docId}`));
+  }
+  await writer.close();
+
+  await db.runTransaction(async (transaction) => {
+    const current = await transaction.get(recordRef);
+    if (!current.exists) return;
+    const { length } = current.data();
+    transaction.delete(recordRef);
+    transaction.set(db.doc(`${base}/searchIndex/stats`), {
+      docCount: FieldValue.increment(-1),
+      totalLength: FieldValue.increment(-length)
+    }, { merge: true });
+  });
+}
+
+/**
+ * Reads the postings of each term.
+ * @returns {Promise<Map<string, Map<string, Object>>>} term -> docId -> { tf, length, positions }
+ */
+async function loadPostings(db, base, terms) {
+  const postings = new Map();
+  await Promise.all([...terms].map(async (term) => {
+    const snapshot = await db.collection(`${base}/searchTerms/${term}/postings`).get();
+    const byDoc = new Map();
+    snapshot.forEach(posting => byDoc.set(posting.id, posting.data()));
+    postings.set(term, byDoc);
+  }));
+  return postings;
+}
+
+/**
+ * The stems a wildcard matches among the collection's indexed words.
+ */
+async function expandFromLexicon(db, base, node) {
+  // The words starting with the wildcard's whole prefix, by document ID
+  const snapshot = await db.collection(`${base}/searchLexicon/${node.prefix.substring(0, MIN_WILDCARD_PREFIX)}/words`)
+    .where(FieldPath.documentId(), '>=', node.prefix)
+    .where(FieldPath.documentId(), '<', `${node.prefix}\uffff`)
+    .limit(MAX_LEXICON_WORDS)
+    .get();
+  if (snapshot.size === MAX_LEXICON_WORDS) {
+    console.warn(`Wildcard ${node.pattern}: reading only the first ${MAX_LEXICON_WORDS} indexed words.`);
+  }
+  const stems = expandWildcard(node, snapshot.docs.map(word => word.id));
+  if (stems.length > MAX_WILDCARD_EXPANSIONS) {
+    console.warn(`Wildcard ${node.pattern} matches ${stems.length} terms; using the first ${MAX_WILDCARD_EXPANSIONS}.`);
+  }
+  return stems.slice(0, MAX_WILDCARD_EXPANSIONS);
+}
+
+/**
+ * Whether every document a query can match has a posting for one of its
+ * terms. Otherwise (e.g. NOT-only or range-only queries) every document has
+ * to be considered.
+ */
+function coveredByIndex(node) {
+  switch (node.type) {
+    case 'and':
+      return node.children.some(coveredByIndex);
+    case 'or':
+      return node.children.every(coveredByIndex);
+    case 'not':
+    case 'range':
+      return false;
+    case 'near':
+      return true;
+    default:
+      // Scoped terms are covered when their fields are part of the indexed content
+      return !node.field || fieldsFor(node.field).every(key => key === 'id' || SEARCHABLE_METADATA_FIELDS.includes(key));
+  }
+}
+
+/**
+ * Scores documents with BM25 over the given terms.
+ * @returns {Array<{docId: string, score: number, matchedTerms: Array<string>}>} Best first.
+ */
+function rankDocuments(docIds, terms, postings, { docCount, totalLength }) {
+  const averageLength = totalLength / docCount || 1;
+  const scores = new Map(docIds.map(docId => [docId, { docId, score: 0, matchedTerms: [] }]));
+  for (const term of terms) {
+    const byDoc = postings.get(term);
+    if (!byDoc || byDoc.size === 0) continue;
+    const idf = Math.log(1 + (docCount - byDoc.size + 0.5) / (byDoc.size + 0.5));
+    for (const [docId, { tf, length }] of byDoc) {
+      const entry = scores.get(docId);
+      if (!entry) continue;
+      entry.score += idf * (tf * (BM25_K1 + 1)) / (tf + BM25_K1 * (1 - BM25_B + BM25_B * length / averageLength));
+      entry.matchedTerms.push(term);
+    }
+  }
+  return [...scores.values()].sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Reads the document records a query's field-scoped clauses are checked against.
+ * @returns {Promise<Map<string, Object>>} docId -> record (with id)
+ */
+async function loadRecords(db, base, docIds) {
+  const docsRef = db.collection(`${base}/docs`);
+  const records = new Map();
+  for (let i = 0; i < docIds.length; i += 300) {
+    const snapshots = await db.getAll(...docIds.slice(i, i + 300).map(docId => docsRef.doc(docId)));
+    snapshots.forEach(snap => {
+      if (snap.exists) records.set(snap.id, { id: snap.id, ...snap.data() });
+    });
+  }
+  return records;
+}
+
+/**
+ * Searches the index.
+ * Any query syntax from search-query.js is evaluated exactly; the matches are
+ * ranked with BM25. With ranked: true, a query of plain words (or one that is
+ * not valid syntax) is treated as a natural-language question instead: every
+ * document containing any of its words is ranked.
+ * @param {Firestore} db
+ * @param {Object} params
+ * @param {string} params.query
+ * @param {number} [params.limit]
+ * @param {boolean} [params.ranked]
+ * @returns {Promise<{hits: Array<{docId: string, score: number, matchedTerms: Array<string>}>, total: number, terms: Array<string>}>}
+ *   total is the number of matching documents; terms are the stems the query looked for.
+ * @throws {Error} For invalid syntax (unless ranked).
+ */
+export async function searchIndex(db, { appId, userId, query, limit = 20, ranked = false }) {
+  const base = userPath(appId, userId);
+
+  let tree;
+  try {
+    tree = parseQuery(query);
+  } catch (error) {
+    if (!ranked) throw error;
+    tree = null;
+  }
+  const naturalLanguage = ranked && isPlainTerms(tree);
+  const terms = naturalLanguage ? [...new Set(analyzeText(query))] : positiveTerms(tree);
+  if (!naturalLanguage && !tree) return { hits: [], total: 0, terms };
+  if (naturalLanguage && terms.length === 0) return { hits: [], total: 0, terms };
+
+  const statsSnap = await db.doc(`${base}/searchIndex/stats`).get();
+  const stats = statsSnap.exists ? statsSnap.data() : {};
+  if (!(stats.docCount > 0)) return { hits: [], total: 0, terms };
+
+  if (naturalLanguage) {
+    const postings = await loadPostings(db, base, terms);
+    const docIds = [...new Set([...postings.values()].flatMap(byDoc => [...byDoc.keys()]))];
+    const ranking = rankDocuments(docIds, terms, postings, stats);
+    return { hits: ranking.slice(0, limit), total: ranking.length, terms };
+  }
+
+  // Terms each leaf needs postings for; wildcards are expanded from the lexicon
+  const leaves = queryLeaves(tree);
+  const wildcardStems = new Map();
+  for (const leaf of leaves) {
+    if (leaf.type === 'wildcard') wildcardStems.set(leaf, await expandFromLexicon(db, base, leaf));
+  }
+  const neededTerms = new Set(leaves.flatMap(leaf => {
+    if (leaf.type === 'term') return [leaf.term];
+    if (leaf.type === 'phrase') return leaf.terms.map(({ term }) => term);
+    return wildcardStems.get(leaf) || [];
+  }));
+  const postings = await loadPostings(db, base, neededTerms);
+
+  let candidateIds;
+  if (coveredByIndex(tree)) {
+    candidateIds = [...new Set([...postings.values()].flatMap(byDoc => [...byDoc.keys()]))];
+  } else {
+    const snapshot = await db.collection(`${base}/docs`).select().get();
+    candidateIds = snapshot.docs.map(snap => snap.id);
+  }
+  const records = leaves.some(leaf => leaf.field) ? await loadRecords(db, base, candidateIds) : new Map();
+
+  const positionsIn = (term, docId) => postings.get(term)?.get(docId)?.positions || [];
+  const matches = candidateIds.filter(docId => {
+    const recordSource = createRecordSource(records.get(docId) || { id: docId });
+    return evaluateQuery(tree, {
+      termPositions: (field, term) => field ? recordSource.termPositions(field, term) : positionsIn(term, docId),
+      wildcardPositions: (field, node) => field
+        ? recordSource.wildcardPositions(field, node)
+        : (wildcardStems.get(node) || []).flatMap(term => positionsIn(term, docId)).sort((a, b) => a - b),
+      fieldValues: (field) => recordSource.fieldValues(field)
+    });
+  });
+
+  const rankingTerms = [...new Set([...terms, ...[...wildcardStems.values()].flat()])];
+  const ranking = rankDocuments(matches, rankingTerms, postings, stats);
+  return { hits: ranking.slice(0, limit), total: ranking.length, terms: rankingTerms };
+}
@@ -0,0 +1,397 @@
+import { FieldValue } from 'firebase-admin/firestore';
+import { analyzeText } from './shared/text-analysis.js';
+import { applyTextRedactions } from './shared/redaction-text.js';
+
+// Passage-level retrieval for AI queries: document text is split into
+// overlapping chunks, each embedded (see embeddings.js) and stored with its
+// text, so a query can be answered from the most relevant passages of many
+// documents instead of the opening and closing lines of a few.
+//
+// Layout under artifacts/{appId}/users/{userId}:
+//   semanticChunks/{docId}_{index}  { docId, index, start, end, text, embedder, embedding }
+//   semanticDocs/{docId}            { chunkCount, embedder, textStoragePath, indexedAt }
+// start and end are character offsets into the extracted text, which is
+// stored unredacted: redactions are applied to passages as they are
+// retrieved (redactPassage()), so they take effect without re-indexing.
+// semanticChunks needs the vector index in firestore.indexes.json.
+//
+// Retrieval is hybrid: passages nearest the query's embedding and passages
+// of the best keyword matches (from search-index.js) are ranked by BM25 over
+// the query terms and by vector distance, and the two rankings are merged by
+// reciprocal rank fusion.
+
+const CHUNK_CHARS = 1600; // Target passage length, about 400 tokens
+const CHUNK_OVERLAP_CHARS = 200; // Consecutive passages share this much text, so no sentence is only ever seen cut
+const MAX_CHUNKS_PER_DOC = 500; // Longer texts are indexed up to this point
+const VECTOR_CANDIDATES = 100; // Passages taken from the vector search
+const RRF_K = 60; // Reciprocal rank fusion constant: higher flattens the difference between ranks
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+function userPath(appId, userId) {
+  return `artifacts/${appId}/users/${userId}`;
+}
+
+function chunkRef(db, base, docId, index) {
+  return db.doc(`${base}/semanticChunks/${docId}_${index}`);
+}
+
+/**
+ * Where a passage starting at start should end: at a paragraph break if
+ * there is one in its second half, else a sentence end, else a space.
+ */
+function chunkEnd(text, start) {
+  const limit = start + CHUNK_CHARS;
+  if (limit >= text.length) return text.length;
+  const window = text.slice(start + CHUNK_CHARS / 2, limit);
+  for (const pattern of [/\n\s*\n/g, /[.!?]["')\]]?\s/g, /\s/g]) {
+    const breaks = [...window.matchAll(pattern)];
+    if (breaks.length > 0) {
+      const last = breaks[breaks.length - 1];
+      return start + CHUNK_CHARS / 2 + last.index + last[0].length;
+    }
+  }
+  return limit;
+}
+
+/**
+ * Splits a text into overlapping passages.
+ * @param {string} text
+ * @returns {Array<{index: number, start: number, end: number, text: string}>}
+ *   At most MAX_CHUNKS_PER_DOC; blank passages are left out.
+ */
+export function chunkText(text) {
+  const chunks = [];
+  let start = 0;
+  while (start < text.length && chunks.length < MAX_CHUNKS_PER_DOC) {
+    const end = chunkEnd(text, start);
+    const passage = text.slice(start, end);
+    if (passage.trim()) chunks.push({ index: chunks.length, start, end, text: passage });
+    if (end >= text.length) break;
+    // The next passage starts at a word boundary within the overlap
+    let next = Math.max(start + 1, end - CHUNK_OVERLAP_CHARS);
+    const space = text.slice(next, end).search(/\s\S/);
+    if (space !== -1) next += space + 1;
+    start = next;
+  }
+  return chunks;
+}
+
+/**
+ * Whether a document's stored passages are up to date.
+ * @param {Object|null} record - Its semanticDocs record.
+ * @param {Object} data - The document's fields.
+ * @param {Object} embedder - From getEmbedder().
+ */
+export function passagesCurrent(record, data, embedder) {
+  return Boolean(record) && record.embedder === embedder.name && record.textStoragePath === (data.textStoragePath || null);
+}
+
+/**
+ * Chunks, embeds and stores a document's text, replacing what it was
+ * indexed with before.
+ * @param {Firestore} db
+ * @param {Object} embedder - From getEmbedder().
+ * @param {Object} params
+ * @param {string} params.text - The document's extracted text ('' for none).
+ * @param {string|null} params.textStoragePath - Recorded to tell when the text changes.
+ * @returns {Promise<{chunks: number}>}
+ */
+export async function indexDocumentPassages(db, embedder, { appId, userId, docId, text, textStoragePath = null }) {
+  const base = userPath(appId, userId);
+  const recordRef = db.doc(`${base}/semanticDocs/${docId}`);
+  const previousSnap = await recordRef.get();
+  const previousCount = previousSnap.exists ? previousSnap.data().chunkCount : 0;
+
+  const chunks = chunkText(text || '');
+  const vectors = chunks.length > 0 ? await embedder.embedDocuments(chunks.map(chunk => chunk.text)) : [];
+
+  const writer = db.bulkWriter();
+  chunks.forEach((chunk, i) => {
+    writer.set(chunkRef(db, base, docId, chunk.index), {
+      docId,
+      ...chunk,
+      embedder: embedder.name,
+      embedding: FieldValue.vector(vectors[i])
+    });
+  });
+  for (let index = chunks.length; index < previousCount; index++) {
+    writer.delete(chunkRef(db, base, docId, index));
+  }
+  writer.set(recordRef, {
+    chunkCount: chunks.length,
+    embedder: embedder.name,
+    textStoragePath,
+    indexedAt: FieldValue.serverTimestamp()
+  });
+  await writer.close();
+  return { chunks: chunks.length };
+}
+
+/**
+ * Removes a deleted document's passages.
+ */
+export async function removeDocumentPassages(db, { appId, userId, docId }) {
+  const base = userPath(appId, userId);
+  const recordRef = db.doc(`${base}/semanticDocs/${docId}`);
+  const snap = await recordRef.get();
+  if (!snap.exists) return;
+
+  const writer = db.bulkWriter();
+  for (let index = 0; index < snap.data().chunkCount; index++) {
+    writer.delete(chunkRef(db, base, docId, index));
+  }
+  writer.delete(recordRef);
+  await writer.close();
+}
+
+/**
+ * Whether any of a user's documents have stored passages.
+ * @returns {Promise<boolean>}
+ */
+export async function hasSemanticIndex(db, { appId, userId }) {
+  const snapshot = await db.collection(`${userPath(appId, userId)}/semanticDocs`).limit(1).get();
+  return !snapshot.empty;
+}
+
+/**
+ * Reads the stored passages of the given documents.
+ * @returns {Promise<Array<Object>>}
+ */
+async function loadPassages(db, base, docIds, embedder) {
+  const passages = [];
+  // 'in' queries take at most 30 values
+  for (let i = 0; i < docIds.length; i += 30) {
+    const snapshot = await db.collection(`${base}/semanticChunks`)
+      .where('docId', 'in', docIds.slice(i, i + 30))
+      .select('docId', 'index', 'start', 'end', 'text', 'embedder')
+      .get();
+    snapshot.forEach(snap => {
+      const { embedder: name, ...passage } = snap.data();
+      if (name === embedder.name) passages.push(passage);
+    });
+  }
+  return passages;
+}
+
+/**
+ * Every passage of the given documents: stored ones where they are current,
+ * otherwise chunked from loadText() (already redacted).
+ * @returns {Promise<Array<Object>>}
+ */
+async function passagesOf(db, base, embedder, docIds, loadText) {
+  if (docIds.length === 0) return [];
+  const records = await db.getAll(...docIds.map(docId => db.doc(`${base}/semanticDocs/${docId}`)));
+  const indexed = docIds.filter((_, i) => records[i].exists && records[i].data().embedder === embedder.name);
+  const passages = (await loadPassages(db, base, indexed, embedder)).map(passage => ({ ...passage, redacted: false }));
+  for (const docId of docIds.filter(docId => !indexed.includes(docId))) {
+    for (const chunk of chunkText(await loadText(docId))) passages.push({ docId, ...chunk, redacted: true });
+  }
+  return passages;
+}
+
+/**
+ * Scores passages with BM25 over the query terms. Term statistics come from
+ * the candidate passages themselves.
+ * @returns {Map<Object, {score: number, matchedTerms: Array<string>}>} For passages matching any term.
+ */
+function scorePassages(passages, terms) {
+  const analyzed = passages.map(passage => analyzeText(passage.text));
+  const averageLength = analyzed.reduce((sum, passageTerms) => sum + passageTerms.length, 0) / analyzed.length || 1;
+  const counts = analyzed.map(passageTerms => {
+    const tf = new Map();
+    for (const term of passageTerms) tf.set(term, (tf.get(term) || 0) + 1);
+    return tf;
+  });
+
+  const scores = new Map();
+  for (const term of new Set(terms)) {
+    const matching = counts.filter(tf => tf.has(term)).length;
+    if (matching === 0) continue;
+    const idf = Math.log(1 + (passages.length - matching + 0.5) / (matching + 0.5));
+    passages.forEach((passage, i) => {
+      const tf = counts[i].get(term);
+      if (!tf) return;
+      if (!scores.has(passage)) scores.set(passage, { score: 0, matchedTerms: [] });
+      const entry = scores.get(passage);
+      entry.score += idf * (tf * (BM25_K1 + 1)) / (tf + BM25_K1 * (1 - BM25_B + BM25_B * analyzed[i].length / averageLength));
+      entry.matchedTerms.push(term);
+    });
+  }
+  return scores;
+}
+
+/**
+ * Finds the passages most relevant to a query.
+ * Candidates are the VECTOR_CANDIDATES passages nearest the query and every
+ * passage of the keyword matches given. A keyword match without current
+ * passages (not yet indexed, or indexed with another embedder) is chunked
+ * from loadText() and ranked on its keywords alone.
+ * @param {Firestore} db
+ * @param {Object} embedder - From getEmbedder().
+ * @param {Object} params
+ * @param {string} params.query
+ * @param {Array<string>} params.terms - Stems to rank keyword matches by.
+ * @param {Array<string>} params.keywordDocIds - The best keyword matches, best first.
+ * @param {Set<string>|null} [params.allowedDocIds] - When set, only these documents' passages are returned.
+ * @param {Function} params.loadText - Resolves a Beg Bates to the document's text, redactions applied.
+ * @returns {Promise<Array<{docId: string, start: number, end: number, text: string, redacted: boolean, score: number, matchedTerms: Array<string>}>>}
+ *   Best first. redacted is true when the text already has redactions applied.
+ */
+export async function retrievePassages(db, embedder, { appId, userId, query, terms, keywordDocIds, allowedDocIds = null, loadText }) {
+  const base = userPath(appId, userId);
+  const allowed = (docId) => !allowedDocIds || allowedDocIds.has(docId);
+
+  const queryVector = await embedder.embedQuery(query);
+  const nearest = await db.collection(`${base}/semanticChunks`)
+    .where('embedder', '==', embedder.name)
+    .findNearest({
+      vectorField: 'embedding',
+      queryVector,
+      limit: VECTOR_CANDIDATES,
+      distanceMeasure: 'COSINE'
+    })
+    .get();
+
+  const candidates = new Map();
+  const add = (passage) => {
+    const key = `${passage.docId}_${passage.index}`;
+    if (!candidates.has(key)) candidates.set(key, passage);
+    return candidates.get(key);
+  };
+  const vectorRanked = [];
+  nearest.forEach(snap => {
+    const { docId, index, start, end, text } = snap.data();
+    if (allowed(docId)) vectorRanked.push(add({ docId, index, start, end, text, redacted: false }));
+  });
+
+  (await passagesOf(db, base, embedder, keywordDocIds.filter(allowed), loadText)).forEach(add);
+
+  const passages = [...candidates.values()];
+  if (passages.length === 0) return [];
+  const keywordScores = scorePassages(passages, terms);
+  const keywordRank = new Map([...keywordScores].sort((a, b) => b[1].score - a[1].score).map(([passage], i) => [passage, i]));
+  const vectorRank = new Map(vectorRanked.map((passage, i) => [passage, i]));
+
+  return passages
+    .map(passage => ({
+      ...passage,
+      score: (vectorRank.has(passage) ? 1 / (RRF_K + vectorRank.get(passage) + 1) : 0) +
+        (keywordRank.has(passage) ? 1 / (RRF_K + keywordRank.get(passage) + 1) : 0),
+      matchedTerms: keywordScores.get(passage)?.matchedTerms || []
+    }))
+    .filter(passage => passage.score > 0)
+    .sort((a, b) => b.score - a.score || a.docId.localeCompare(b.docId, undefined, { numeric: true }) || a.start - b.start);
+}
+
+/**
+ * The passages of documents added to a query's context for another reason
+ * (such as being in a matching document's family): each document's
+ * passages matching the query terms first, then the rest in text order.
+ * @param {Firestore} db
+ * @param {Object} embedder - From getEmbedder().
+ * @param {Object} params - As for retrievePassages(), with docIds for the documents.
+ * @returns {Promise<Array<Object>>} Like retrievePassages(), with a score of 0.
+ */
+export async function documentPassages(db, embedder, { appId, userId, docIds, terms, loadText }) {
+  const passages = await passagesOf(db, userPath(appId, userId), embedder, docIds, loadText);
+  const keywordScores = passages.length > 0 ? scorePassages(passages, terms) : new Map();
+  const scoreOf = (passage) => keywordScores.get(passage)?.score || 0;
+  return passages
+    .sort((a, b) => docIds.indexOf(a.docId) - docIds.indexOf(b.docId) || scoreOf(b) - scoreOf(a) || a.start - b.start)
+    .map(passage => ({ ...passage, score: 0, matchedTerms: keywordScores.get(passage)?.matchedTerms || [] }));
+}
+
+/**
+ * Applies a document's text redactions to one of its stored passages.
+ * Spans are moved to the passage's offsets and clipped to it; a span whose
+ * offsets miss the passage but whose quote appears in it is redacted where
+ * the quote is, as locateTextRedactions() would in the full text.
+ * @param {{start: number, text: string}} passage
+ * @param {Array<Object>} spans - The document's textSpans.
+ * @returns {string}
+ */
+export function redactPassage(passage, spans) {
+  const { start: offset, text } = passage;
+  const moved = [];
+  for (const span of spans) {
+    const start = span.start - offset;
+    const end = span.end - offset;
+    if (end > 0 && start < text.length) {
+      const inside = start >= 0 && end <= text.length;
+      moved.push({ start: Math.max(0, start), end: Math.min(text.length, end), quote: inside ? span.quote : undefined, reason: span.reason });
+    } else if (span.quote && text.includes(span.quote)) {
+      moved.push({ start, end, quote: span.quote, reason: span.reason });
+    }
+  }
+  return moved.length > 0 ? applyTextRedactions(text, moved) : text;
+}
+
+/**
+ * Picks the passages for a prompt, best first, within a size budget.
+ * @param {Array<Object>} passages - From retrievePassages().
+ * @param {Object} limits
+ * @param {number} limits.maxChars - For passage text plus overheads.
+ * @param {number} limits.maxPerDoc - Passages from any one document.
+ * @param {number} limits.maxPassages
+ * @param {number} limits.passageOverhead - Characters each passage adds to the prompt besides its text.
+ * @param {Function} limits.docOverhead - Characters a document adds to the prompt besides its passages.
+ * @param {Array<string>} [limits.firstDocIds] - Documents whose best passage is taken before any other passage.
+ * @returns {Array<Object>} The chosen passages.
+ */
+export function selectPassages(passages, { maxChars, maxPerDoc, maxPassages, passageOverhead, docOverhead, firstDocIds = [] }) {
+  const chosen = [];
+  const perDoc = new Map();
+  let used = 0;
+  const take = (passage) => {
+    const count = perDoc.get(passage.docId) || 0;
+    const cost = passage.text.length + passageOverhead + (count === 0 ? docOverhead(passage.docId) : 0);
+    if (chosen.length >= maxPassages || count >= maxPerDoc || used + cost > maxChars) return;
+    chosen.push(passage);
+    perDoc.set(passage.docId, count + 1);
+    used += cost;
+  };
+
+  for (const docId of firstDocIds) {
+    const best = passages.find(passage => passage.docId === docId);
+    if (best) take(best);
+  }
+  for (const passage of passages) {
+    if (!chosen.includes(passage)) take(passage);
+  }
+  return chosen;
+}
+
+/**
+ * Groups chosen passages by document, in the order of each document's best
+ * passage, with each document's passages in text order and overlapping ones
+ * joined. Redactions are applied after grouping (see redactPassage()), as
+ * joining goes by the offsets of the text as stored.
+ * @param {Array<Object>} passages - From selectPassages().
+ * @returns {Array<{docId: string, passages: Array<{start: number, end: number, text: string, redacted: boolean}>, matchedTerms: Array<string>}>}
+ */
+export function groupPassages(passages) {
+  const byDoc = new Map();
+  for (const passage of passages) {
+    if (!byDoc.has(passage.docId)) byDoc.set(passage.docId, []);
+    byDoc.get(passage.docId).push(passage);
+  }
+
+  return [...byDoc].map(([docId, docPassages]) => {
+    const joined = [];
+    for (const { start, end, text, redacted } of [...docPassages].sort((a, b) => a.start - b.start)) {
+      const last = joined[joined.length - 1];
+      if (last && last.redacted === redacted && start <= last.end) {
+        last.text += text.slice(last.end - start);
+        last.end = Math.max(last.end, end);
+      } else {
+        joined.push({ start, end, text, redacted });
+      }
+    }
+    return {
+      docId,
+      passages: joined,
+      matchedTerms: [...new Set(docPassages.flatMap(passage => passage.matchedTerms))]
+    };
+  });
+}
@@ -0,0 +1,72 @@
+// AI analyses: questions answered over many documents by the
+// startAiAnalysis / runAiAnalysis Cloud Functions, which summarize batches
+// of documents against the question and then combine the partial answers
+// (see functions/ai-analysis.js).
+//
+// An analysis is kept in aiAnalyses/{analysisId}, with its question, status
+// (running, complete, cancelled or failed), phase ('map' while documents
+// are read, 'reduce' while partial answers are combined) and running counts;
+// once complete, with its answer, the documents the answer cites (sources)
+// and every document a partial answer cited (supportingDocIds).
+
+import {
+    doc,
+    updateDoc,
+    collection,
+    query,
+    orderBy,
+    limit,
+    onSnapshot
+} from "https://www.gstatic.com/firebasejs/11.6.1/firebase-firestore.js";
+
+const analysesPath = (appId, userId) => `artifacts/${appId}/users/${userId}/aiAnalyses`;
+
+/**
+ * Listens to the most recent analysis.
+ * @param {Function} onChange - Called with the analysis ({ id, ...fields }) or null.
+ * @param {Function} onError
+ * @returns {Function} Unsubscribes.
+ */
+export function listenToLatestAiAnalysis(db, appId, userId, onChange, onError) {
+    const latest = query(collection(db, analysesPath(appId, userId)), orderBy('createdAt', 'desc'), limit(1));
+    return onSnapshot(latest, (snapshot) => {
+        const [analysis] = snapshot.docs;
+        onChange(analysis ? { id: analysis.id, ...analysis.data() } : null);
+    }, onError);
+}
+
+/**
+ * Stops a running analysis after the model call in progress.
+ * @returns {Promise<void>}
+ */
+export async function cancelAiAnalysis(db, appId, userId, analysisId) {
+    await updateDoc(doc(db, analysesPath(appId, userId), analysisId), { status: 'cancelled', updatedAt: new Date() });
+}
+
+/**
+ * A line describing an analysis's progress or outcome.
+ * @param {Object} analysis
+ * @returns {string}
+ */
+export function describeAiAnalysis(analysis) {
+    const docs = `${analysis.totalDocs.toLocaleString()} document${analysis.totalDocs === 1 ? '' : 's'}`;
+    const failed = analysis.failedDocs > 0 ? ` • ${analysis.failedDocs.toLocaleString()} could not be analyzed` : '';
+    switch (analysis.status) {
+        case 'running':
+            if (analysis.phase === 'map') {
+                return `Reading ${analysis.scannedDocs.toLocaleString()} of ${docs} (${analysis.batches.toLocaleString()} batches, ` +
+                    `${analysis.relevantBatches.toLocaleString()} with relevant notes)${failed}`;
+            }
+            return analysis.reduceGroups > 1
+                ? `Combining notes: ${analysis.reducedGroups.toLocaleString()} of ${analysis.reduceGroups.toLocaleString()} groups${failed}`
+                : `Writing the answer from ${analysis.relevantBatches.toLocaleString()} batches of notes${failed}`;
+        case 'complete':
+            return `Analyzed ${docs} on ${analysis.completedAt?.toDate().toLocaleString()}${failed}`;
+        case 'cancelled':
+            return `Stopped after reading ${analysis.scannedDocs.toLocaleString()} of ${docs}.`;
+        case 'failed':
+            return `The analysis failed: ${analysis.error || 'unknown error'}`;
+        default:
+            return '';
+    }
+}
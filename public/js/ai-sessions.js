@@ -0,0 +1,147 @@
+// Conversations with the AI assistant: each question asked through the
+// docQuery Cloud Function is kept, with its answer, in a session, and a
+// question asked in an open session follows up on the earlier ones (see
+// functions/ai-sessions.js).
+//
+// A session is kept in aiSessions/{sessionId} ({ title, turnCount,
+// createdAt, updatedAt }), and its turns in aiSessions/{sessionId}/turns
+// ({ index, question, answer, claims, sourceIds, tokenInfo, createdAt }),
+// where claims are the answer's statements with their quote-level
+// citations, or null for an answer that could not be checked.
+
+import {
+    doc,
+    collection,
+    query,
+    orderBy,
+    limit,
+    getDocs,
+    onSnapshot,
+    writeBatch
+} from "https://www.gstatic.com/firebasejs/11.6.1/firebase-firestore.js";
+
+const MAX_LISTED_SESSIONS = 100;
+// Firestore allows 500 writes per batch
+const DELETE_BATCH_SIZE = 400;
+
+const sessionsPath = (appId, userId) => `artifacts/${appId}/users/${userId}/aiSessions`;
+
+/**
+ * Listens to the sessions, most recently used first.
+ * @param {Function} onChange - Called with an array of sessions ({ id, ...fields }).
+ * @param {Function} onError
+ * @returns {Function} Unsubscribes.
+ */
+export function listenToAiSessions(db, appId, userId, onChange, onError) {
+    const recent = query(collection(db, sessionsPath(appId, userId)), orderBy('updatedAt', 'desc'), limit(MAX_LISTED_SESSIONS));
+    return onSnapshot(recent, (snapshot) => {
+        onChange(snapshot.docs.map(session => ({ id: session.id, ...session.data() })));
+    }, onError);
+}
+
+/**
+ * Loads a session's turns, in order.
+ * @returns {Promise<Array<Object>>}
+ */
+export async function loadAiSessionTurns(db, appId, userId, sessionId) {
+    const snapshot = await getDocs(query(collection(db, sessionsPath(appId, userId), sessionId, 'turns'), orderBy('index')));
+    return snapshot.docs.map(turn => turn.data());
+}
+
+/**
+ * Deletes a session and its turns.
+ * @returns {Promise<void>}
+ */
+export async function deleteAiSession(db, appId, userId, sessionId) {
+    const turns = await getDocs(collection(db, sessionsPath(appId, userId), sessionId, 'turns'));
+    for (let i = 0; i < turns.docs.length; i += DELETE_BATCH_SIZE) {
+        const batch = writeBatch(db);
+        turns.docs.slice(i, i + DELETE_BATCH_SIZE).forEach(turn => batch.delete(turn.ref));
+        await batch.commit();
+    }
+    const batch = writeBatch(db);
+    batch.delete(doc(db, sessionsPath(appId, userId), sessionId));
+    await batch.commit();
+}
+
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+const CITATION_NOTES = {
+    'not-found': 'quotation not found in the document',
+    'not-in-context': 'document not among those the answer was drawn from',
+    'too-short': 'quotation too short to check'
+};
+
+/**
+ * Builds a session as a memorandum: a standalone HTML page laid out for
+ * printing, with each question as a heading, its answer, and the quotations
+ * the answer cites as numbered notes (unverified ones marked).
+ * @param {Object} session - { title, createdAt }
+ * @param {Array<Object>} turns - From loadAiSessionTurns().
+ * @param {Object} [options]
+ * @param {string} [options.from] - The author line.
+ * @returns {string}
+ */
+export function buildAiSessionMemoHtml(session, turns, { from = '' } = {}) {
+    const notes = [];
+    const paragraph = (text) => `<p>${escapeHtml(text).replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>')}`;
+    const sections = turns.map((turn, i) => {
+        const body = turn.claims
+            ? turn.claims.map(claim => {
+                const refs = claim.citations.map(citation => {
+                    notes.push(citation);
+                    return `<sup>${notes.length}</sup>`;
+                }).join('');
+                const flag = claim.status === 'unverified' ? ' <span class="flag">[not verified]</span>' : '';
+                return `${paragraph(claim.statement)}${refs}${flag}</p>`;
+            }).join('\n')
+            : turn.answer.split(/\n+/).filter(Boolean).map(line => `${paragraph(line)}</p>`).join('\n');
+        return `<h2>${i + 1}. ${escapeHtml(turn.question)}</h2>\n${body}`;
+    }).join('\n');
+    const noteItems = notes.map(({ docId, quote, verified, problem }) =>
+        `<li><strong>${escapeHtml(docId)}</strong>: “${escapeHtml(quote)}”${verified ? '' : ` <span class="flag">[${escapeHtml(CITATION_NOTES[problem] || 'not verified')}]</span>`}</li>`
+    ).join('\n');
+    const started = session.createdAt?.toDate ? session.createdAt.toDate() : new Date(session.createdAt || Date.now());
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(session.title)}</title>
+<style>
+    @page { margin: 1in; }
+    body { font-family: Georgia, 'Times New Roman', serif; font-size: 12pt; line-height: 1.5; color: #000; margin: 1in; }
+    h1 { font-size: 16pt; text-align: center; letter-spacing: 0.2em; margin: 0 0 18pt; }
+    table.heading { border-collapse: collapse; margin-bottom: 12pt; }
+    table.heading td { padding: 2pt 12pt 2pt 0; vertical-align: top; }
+    hr { border: 0; border-top: 1px solid #000; margin: 12pt 0; }
+    h2 { font-size: 12pt; margin: 18pt 0 6pt; }
+    p { margin: 0 0 6pt; white-space: pre-wrap; }
+    sup { font-size: 8pt; }
+    .flag { font-style: italic; color: #7f1d1d; }
+    ol.notes { font-size: 10pt; padding-left: 18pt; }
+    .note { font-size: 10pt; font-style: italic; }
+    @media print { body { margin: 0; } }
+</style>
+</head>
+<body>
+<h1>MEMORANDUM</h1>
+<table class="heading">
+<tr><td><strong>FROM:</strong></td><td>${escapeHtml(from)}</td></tr>
+<tr><td><strong>DATE:</strong></td><td>${escapeHtml(new Date().toLocaleDateString())}</td></tr>
+<tr><td><strong>RE:</strong></td><td>${escapeHtml(session.title)}</td></tr>
+</table>
+<p class="note">Questions put to the AI document assistant on ${escapeHtml(started.toLocaleDateString())}, with its answers. Each quotation was checked against the text of the cited document; those marked were not found there and should not be relied on without review.</p>
+<hr>
+${sections}
+${notes.length > 0 ? `<hr>\n<h2>Citations</h2>\n<ol class="notes">\n${noteItems}\n</ol>` : ''}
+</body>
+</html>
+`;
+}
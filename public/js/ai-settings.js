@@ -0,0 +1,30 @@
+// AI model settings, set per matter in settings/ai (see llm-settings.js).
+
+import {
+    doc,
+    getDoc,
+    setDoc
+} from "https://www.gstatic.com/firebasejs/11.6.1/firebase-firestore.js";
+import { resolveLlmSettings, validateLlmSettings } from './llm-settings.js';
+
+const settingsRef = (db, appId, userId) => doc(db, `artifacts/${appId}/users/${userId}/settings`, 'ai');
+
+/**
+ * Loads the matter's AI model settings, or the defaults where none were saved.
+ * @returns {Promise<{model: string, temperature: number, maxOutputTokens: number}>}
+ */
+export async function loadAiSettings(db, appId, userId) {
+    const snapshot = await getDoc(settingsRef(db, appId, userId));
+    return resolveLlmSettings(snapshot.exists() ? snapshot.data() : {});
+}
+
+/**
+ * Saves the matter's AI model settings. They apply from the next AI query.
+ * @returns {Promise<Object>} The saved settings.
+ * @throws {Error} For a setting out of range.
+ */
+export async function saveAiSettings(db, appId, userId, settings) {
+    const validated = validateLlmSettings(settings);
+    await setDoc(settingsRef(db, appId, userId), { ...validated, updatedAt: new Date() });
+    return validated;
+}
@@ -0,0 +1,151 @@
+// Email threads and near-duplicate sets for Review, from the startAnalytics /
+// runAnalytics Cloud Functions (see functions/analytics.js for the layout).
+//
+// Each document's result, when it has one, is
+//   { threadId, threadSize, threadIndex, inclusive }        for emails
+//   { nearDupeGroup, nearDupeSize, similarity }             for near-duplicates
+// where threadId is the thread's first message and nearDupeGroup the near-
+// duplicate set's pivot (its longest text), both by Beg Bates.
+
+import {
+    doc,
+    getDocs,
+    updateDoc,
+    collection,
+    onSnapshot
+} from "https://www.gstatic.com/firebasejs/11.6.1/firebase-firestore.js";
+
+export const ANALYTICS_FILTERS = [
+    { value: '', label: 'All documents' },
+    { value: 'inclusive', label: 'Inclusive emails only' },
+    { value: 'nonInclusive', label: 'Non-inclusive emails' },
+    { value: 'threaded', label: 'Emails in a thread' },
+    { value: 'nearDupes', label: 'Near-duplicates' },
+    { value: 'pivots', label: 'Near-duplicate pivots and unique documents' }
+];
+
+export const ANALYTICS_GROUPINGS = [
+    { value: '', label: 'No thread or near-duplicate grouping' },
+    { value: 'threads', label: 'Group email threads' },
+    { value: 'nearDupes', label: 'Group near-duplicates' }
+];
+
+const runsPath = (appId, userId) => `artifacts/${appId}/users/${userId}/analyticsRuns`;
+
+const compareBates = (a, b) => a.id.localeCompare(b.id, undefined, { numeric: true });
+
+/**
+ * Listens to the analytics runs.
+ * @param {Function} onChange - Called with { latest, complete }: the most
+ *   recent run, and the most recent complete one (whose results are shown);
+ *   either may be null.
+ * @param {Function} onError
+ * @returns {Function} Unsubscribes.
+ */
+export function listenToAnalyticsRuns(db, appId, userId, onChange, onError) {
+    return onSnapshot(collection(db, runsPath(appId, userId)), (snapshot) => {
+        const runs = snapshot.docs
+            .map(d => ({ id: d.id, ...d.data() }))
+            .sort((a, b) => b.createdAt.toMillis() - a.createdAt.toMillis());
+        onChange({ latest: runs[0] || null, complete: runs.find(run => run.status === 'complete') || null });
+    }, onError);
+}
+
+/**
+ * Stops a running analytics run. Its partial results are discarded.
+ * @returns {Promise<void>}
+ */
+export async function cancelAnalyticsRun(db, appId, userId, runId) {
+    await updateDoc(doc(db, runsPath(appId, userId), runId), { status: 'cancelled', updatedAt: new Date() });
+}
+
+/**
+ * Loads the results of a complete run.
+ * @returns {Promise<Map<string, Object>>} Beg Bates -> result.
+ */
+export async function loadAnalyticsResults(db, appId, userId, runId) {
+    const snapshot = await getDocs(collection(db, runsPath(appId, userId), runId, 'results'));
+    const byDocId = new Map();
+    snapshot.forEach(chunk => {
+        for (const [docId, result] of Object.entries(chunk.data().docs)) byDocId.set(docId, result);
+    });
+    return byDocId;
+}
+
+/**
+ * Whether a document's result passes a filter from ANALYTICS_FILTERS.
+ * @param {string} docId
+ * @param {Object} [result]
+ * @param {string} filter
+ * @returns {boolean}
+ */
+export function matchesAnalyticsFilter(docId, result, filter) {
+    if (!filter) return true;
+    if (filter === 'inclusive') return Boolean(result?.threadId) && result.inclusive;
+    if (filter === 'nonInclusive') return Boolean(result?.threadId) && !result.inclusive;
+    if (filter === 'threaded') return (result?.threadSize || 0) > 1;
+    if (filter === 'nearDupes') return Boolean(result?.nearDupeGroup);
+    if (filter === 'pivots') return !result?.nearDupeGroup || result.nearDupeGroup === docId;
+    return false;
+}
+
+/**
+ * The members of a document's thread or near-duplicate set that are loaded.
+ * @param {Object} doc
+ * @param {Map<string, Object>} results - From loadAnalyticsResults().
+ * @param {Array<Object>} docs - The loaded documents.
+ * @param {string} grouping - 'threads' or 'nearDupes'.
+ * @returns {Array<Object>} In thread order, or pivot first then by similarity; [] when the document has none.
+ */
+export function analyticsGroupOf(doc, results, docs, grouping) {
+    const key = groupKey(results.get(doc.id), grouping);
+    if (!key) return [];
+    return sortGroup(docs.filter(other => groupKey(results.get(other.id), grouping) === key), results, grouping);
+}
+
+function groupKey(result, grouping) {
+    if (!result) return null;
+    if (grouping === 'threads') return result.threadSize > 1 ? result.threadId : null;
+    if (grouping === 'nearDupes') return result.nearDupeGroup || null;
+    return null;
+}
+
+function sortGroup(members, results, grouping) {
+    if (grouping === 'threads') {
+        return members.sort((a, b) => results.get(a.id).threadIndex - results.get(b.id).threadIndex || compareBates(a, b));
+    }
+    const pivot = results.get(members[0].id).nearDupeGroup;
+    return members.sort((a, b) => (b.id === pivot) - (a.id === pivot) || results.get(b.id).similarity - results.get(a.id).similarity || compareBates(a, b));
+}
+
+/**
+ * Orders a document list so the members of each thread or near-duplicate set
+ * follow one another, at the place of the first member listed.
+ * @param {Array<Object>} docs
+ * @param {Map<string, Object>} results - From loadAnalyticsResults().
+ * @param {string} grouping - 'threads' or 'nearDupes'.
+ * @returns {Array<{doc: Object, depth: number}>} depth is 1 for members after a group's first.
+ */
+export function arrangeByAnalyticsGroup(docs, results, grouping) {
+    const groups = new Map();
+    for (const doc of docs) {
+        const key = groupKey(results.get(doc.id), grouping);
+        if (!key) continue;
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(doc);
+    }
+
+    const rows = [];
+    const placed = new Set();
+    for (const doc of docs) {
+        const key = groupKey(results.get(doc.id), grouping);
+        if (!key) {
+            rows.push({ doc, depth: 0 });
+            continue;
+        }
+        if (placed.has(key)) continue;
+        placed.add(key);
+        sortGroup(groups.get(key), results, grouping).forEach((member, index) => rows.push({ doc: member, depth: index === 0 ? 0 : 1 }));
+    }
+    return rows;
+}
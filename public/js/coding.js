@@ -0,0 +1,208 @@
+// Document coding: the review decisions recorded for each document.
+//
+// Coding is kept in a sibling collection of docs (coding/{Beg Bates}) rather
+// than on the document itself, so overlays, volume rollbacks and re-indexing
+// never touch review decisions. The tag layout (privilege types, issue tags
+// and redaction reasons) is set per matter in settings/codingLayout.
+
+import {
+    doc,
+    getDoc,
+    setDoc,
+    writeBatch,
+    collection,
+    onSnapshot,
+    arrayUnion,
+    arrayRemove
+} from "https://www.gstatic.com/firebasejs/11.6.1/firebase-firestore.js";
+
+export const RESPONSIVENESS = {
+    responsive: 'Responsive',
+    nonResponsive: 'Non-responsive'
+};
+
+export const DEFAULT_CODING_LAYOUT = {
+    privilegeTypes: ['Attorney-Client', 'Work Product', 'Common Interest'],
+    issueTags: [],
+    redactionReasons: ['Privileged', 'PII']
+};
+
+// Firestore allows 500 writes per batch
+const CODING_BATCH_SIZE = 400;
+
+const codingPath = (appId, userId) => `artifacts/${appId}/users/${userId}/coding`;
+const layoutRef = (db, appId, userId) => doc(db, `artifacts/${appId}/users/${userId}/settings`, 'codingLayout');
+
+/**
+ * Cleans a list of tag names: trimmed, blanks and repeats (ignoring case) dropped.
+ * @param {Array<string>} names
+ * @returns {Array<string>}
+ */
+export function cleanTagNames(names) {
+    const seen = new Set();
+    const cleaned = [];
+    for (const name of names || []) {
+        const trimmed = String(name).trim();
+        if (!trimmed || seen.has(trimmed.toLowerCase())) continue;
+        seen.add(trimmed.toLowerCase());
+        cleaned.push(trimmed);
+    }
+    return cleaned;
+}
+
+/**
+ * Loads the matter's tag layout, or the default one if none was saved.
+ * @returns {Promise<{privilegeTypes: Array<string>, issueTags: Array<string>, redactionReasons: Array<string>}>}
+ */
+export async function loadCodingLayout(db, appId, userId) {
+    const snapshot = await getDoc(layoutRef(db, appId, userId));
+    const saved = snapshot.exists() ? snapshot.data() : {};
+    return {
+        privilegeTypes: saved.privilegeTypes || DEFAULT_CODING_LAYOUT.privilegeTypes,
+        issueTags: saved.issueTags || DEFAULT_CODING_LAYOUT.issueTags,
+        redactionReasons: saved.redactionReasons || DEFAULT_CODING_LAYOUT.redactionReasons
+    };
+}
+
+/**
+ * Saves the matter's tag layout. Coding already using a removed tag keeps it.
+ * @returns {Promise<Object>} The saved layout.
+ */
+export async function saveCodingLayout(db, appId, userId, { privilegeTypes, issueTags, redactionReasons }) {
+    const layout = {
+        privilegeTypes: cleanTagNames(privilegeTypes),
+        issueTags: cleanTagNames(issueTags),
+        redactionReasons: cleanTagNames(redactionReasons)
+    };
+    if (layout.privilegeTypes.length === 0) {
+        throw new Error('Enter at least one privilege type.');
+    }
+    if (layout.redactionReasons.length === 0) {
+        throw new Error('Enter at least one redaction reason.');
+    }
+    await setDoc(layoutRef(db, appId, userId), { ...layout, updatedAt: new Date() });
+    return layout;
+}
+
+/**
+ * Listens to the coding of every document.
+ * @param {Function} onChange - Called with a Map of Beg Bates to coding.
+ * @param {Function} onError
+ * @returns {Function} Unsubscribes.
+ */
+export function listenToCoding(db, appId, userId, onChange, onError) {
+    return onSnapshot(collection(db, codingPath(appId, userId)), (snapshot) => {
+        const codingByDocId = new Map();
+        snapshot.forEach(d => codingByDocId.set(d.id, d.data()));
+        onChange(codingByDocId);
+    }, onError);
+}
+
+/**
+ * Records coding for one or more documents. Fields not in changes are left
+ * as they are.
+ * @param {Array<string>} docIds
+ * @param {Object} changes - Any of responsiveness (a RESPONSIVENESS key or
+ *   null), privileged, privilegeType, privilegeDescription (for the privilege
+ *   log), hot, comments; and addIssues / removeIssues, lists of issue tags.
+ * @returns {Promise<void>}
+ */
+export async function saveCoding(db, appId, userId, docIds, changes) {
+    const { addIssues, removeIssues, ...fields } = changes;
+    if (fields.responsiveness !== undefined && fields.responsiveness !== null && !RESPONSIVENESS[fields.responsiveness]) {
+        throw new Error(`Unknown responsiveness "${fields.responsiveness}".`);
+    }
+    if (fields.privileged === false) fields.privilegeType = null;
+    if (addIssues?.length) fields.issues = arrayUnion(...addIssues);
+    else if (removeIssues?.length) fields.issues = arrayRemove(...removeIssues);
+
+    const data = { ...fields, updatedAt: new Date(), updatedBy: userId };
+    for (let i = 0; i < docIds.length; i += CODING_BATCH_SIZE) {
+        const batch = writeBatch(db);
+        for (const docId of docIds.slice(i, i + CODING_BATCH_SIZE)) {
+            batch.set(doc(db, codingPath(appId, userId), docId), { ...data, docId }, { merge: true });
+        }
+        await batch.commit();
+    }
+}
+
+/**
+ * Whether a document has any coding decision recorded.
+ * @param {Object} [coding]
+ * @returns {boolean}
+ */
+export function isCoded(coding) {
+    return Boolean(coding && (coding.responsiveness || coding.privileged || coding.hot || coding.issues?.length));
+}
+
+/**
+ * The coding filters offered for the document list.
+ * @param {Object} layout - From loadCodingLayout().
+ * @returns {Array<{value: string, label: string}>}
+ */
+export function codingFilterOptions(layout) {
+    return [
+        { value: '', label: 'All coding' },
+        { value: 'uncoded', label: 'Not yet coded' },
+        ...Object.entries(RESPONSIVENESS).map(([value, label]) => ({ value, label })),
+        { value: 'privileged', label: 'Privileged' },
+        ...layout.privilegeTypes.map(type => ({ value: `privilegeType:${type}`, label: `Privileged – ${type}` })),
+        { value: 'hot', label: 'Hot' },
+        ...layout.issueTags.map(tag => ({ value: `issue:${tag}`, label: `Issue – ${tag}` }))
+    ];
+}
+
+/**
+ * Whether a document's coding passes a filter from codingFilterOptions().
+ * @param {Object} [coding]
+ * @param {string} filter
+ * @returns {boolean}
+ */
+export function matchesCodingFilter(coding, filter) {
+    if (!filter) return true;
+    if (filter === 'uncoded') return !isCoded(coding);
+    if (!coding) return false;
+    if (RESPONSIVENESS[filter]) return coding.responsiveness === filter;
+    if (filter === 'privileged') return Boolean(coding.privileged);
+    if (filter === 'hot') return Boolean(coding.hot);
+    if (filter.startsWith('privilegeType:')) return Boolean(coding.privileged) && coding.privilegeType === filter.slice('privilegeType:'.length);
+    if (filter.startsWith('issue:')) return (coding.issues || []).includes(filter.slice('issue:'.length));
+    return false;
+}
+
+/**
+ * Short labels for a document's coding, for the document list.
+ * @param {Object} [coding]
+ * @returns {Array<{label: string, kind: string}>} kind is responsive, nonResponsive, privileged, hot or issue.
+ */
+export function codingBadges(coding) {
+    if (!coding) return [];
+    const badges = [];
+    if (coding.responsiveness) badges.push({ label: RESPONSIVENESS[coding.responsiveness] || coding.responsiveness, kind: coding.responsiveness });
+    if (coding.privileged) badges.push({ label: coding.privilegeType ? `Priv – ${coding.privilegeType}` : 'Privileged', kind: 'privileged' });
+    if (coding.hot) badges.push({ label: 'Hot', kind: 'hot' });
+    for (const tag of coding.issues || []) badges.push({ label: tag, kind: 'issue' });
+    return badges;
+}
+
+/**
+ * The coding that can be applied to several documents at once.
+ * @param {Object} layout - From loadCodingLayout().
+ * @returns {Array<{label: string, changes: Object}>} changes as taken by saveCoding().
+ */
+export function bulkCodingActions(layout) {
+    return [
+        { label: 'Mark Responsive', changes: { responsiveness: 'responsive' } },
+        { label: 'Mark Non-responsive', changes: { responsiveness: 'nonResponsive' } },
+        { label: 'Clear responsiveness', changes: { responsiveness: null } },
+        { label: 'Mark Privileged', changes: { privileged: true } },
+        ...layout.privilegeTypes.map(type => ({ label: `Mark Privileged – ${type}`, changes: { privileged: true, privilegeType: type } })),
+        { label: 'Mark Not privileged', changes: { privileged: false } },
+        { label: 'Mark Hot', changes: { hot: true } },
+        { label: 'Mark Not hot', changes: { hot: false } },
+        ...layout.issueTags.flatMap(tag => [
+            { label: `Add issue – ${tag}`, changes: { addIssues: [tag] } },
+            { label: `Remove issue – ${tag}`, changes: { removeIssues: [tag] } }
+        ])
+    ];
+}
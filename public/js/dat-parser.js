@@ -0,0 +1,364 @@
+// Concordance (.dat) load file parsing.
+//
+// A Concordance DAT is a delimited text file whose first record holds the
+// field names. By convention fields are separated by ASCII 20 (¶ when shown
+// in Windows-1252), wrapped in ASCII 254 (þ), and newlines inside a value are
+// either kept as-is inside the quotes or replaced with ASCII 174 (®).
+//
+// The parser below is a character state machine rather than a line splitter,
+// so a quoted value may span any number of physical lines, and it is fed in
+// chunks so a multi-gigabyte file never has to be held in memory as a string.
+
+export const DEFAULT_DAT_OPTIONS = {
+    delimiter: String.fromCharCode(20),  // ¶
+    quote: String.fromCharCode(254),     // þ
+    newline: String.fromCharCode(174)    // ®
+};
+
+// Bytes sampled from the start of the file to detect its encoding
+const ENCODING_SAMPLE_BYTES = 64 * 1024;
+// Characters of a rejected row kept for the report
+const REJECT_PREVIEW_CHARS = 200;
+
+/**
+ * Creates an incremental DAT parser. Text is fed in with push() and every
+ * completed record is handed to onRecord as an object keyed by header name.
+ * Rows that cannot be parsed are handed to onReject with their line number.
+ * @param {Object} options - delimiter, quote and newline characters. Pass an
+ *   empty string for quote when the file has no text qualifier, or for
+ *   newline when there is no newline substitute.
+ * @param {Function} onRecord - Called with (record, lineNumber).
+ * @param {Function} onReject - Called with { line, reason, expected, found, preview }.
+ * @returns {{push: Function, end: Function, headers: Function}}
+ */
+export function createDatParser(options, onRecord, onReject) {
+    const { delimiter, quote, newline } = { ...DEFAULT_DAT_OPTIONS, ...options };
+    if (!delimiter || delimiter.length !== 1) {
+        throw new Error('The field delimiter must be a single character.');
+    }
+    if (quote && (quote.length !== 1 || quote === delimiter)) {
+        throw new Error('The text qualifier must be a single character different from the delimiter.');
+    }
+
+    let headers = null;
+    let fields = [];
+    let field = '';
+    let inQuotes = false;
+    let quoteClosed = false;    // a closing quote was seen for the current field
+    let pendingQuote = false;   // quote seen in a value: either its end or the first of a doubled þþ
+    let pendingCR = false;      // \r seen; a following \n belongs to the same line break
+    let line = 1;               // physical line of the character being read
+    let recordLine = 1;         // physical line the current record started on
+    let raw = '';               // start of the current record, for reject previews
+    let sawBOM = false;
+
+    const decodeValue = (value) => (newline ? value.split(newline).join('\n') : value);
+    const delimiterCode = delimiter.charCodeAt(0);
+    const quoteCode = quote ? quote.charCodeAt(0) : -1;
+    const isSpecial = (code) => code === delimiterCode || code === quoteCode || code === 13 || code === 10;
+
+    function endField() {
+        fields.push(decodeValue(field));
+        field = '';
+        quoteClosed = false;
+    }
+
+    function endRecord() {
+        endField();
+        const rowFields = fields;
+        const rowLine = recordLine;
+        const preview = raw;
+        fields = [];
+        raw = '';
+        recordLine = line;
+
+        // Skip blank lines
+        if (rowFields.length === 1 && rowFields[0].trim() === '') return;
+
+        if (!headers) {
+            // A trailing delimiter on the header line yields an empty last name
+            if (rowFields.length > 1 && rowFields[rowFields.length - 1].trim() === '') rowFields.pop();
+            headers = rowFields.map(h => h.trim());
+            return;
+        }
+
+        // Tolerate a single trailing empty field from a trailing delimiter
+        if (rowFields.length === headers.length + 1 && rowFields[rowFields.length - 1] === '') {
+            rowFields.pop();
+        }
+
+        if (rowFields.length !== headers.length) {
+            onReject({
+                line: rowLine,
+                reason: `expected ${headers.length} fields, got ${rowFields.length}`,
+                expected: headers.length,
+                found: rowFields.length,
+                preview
+            });
+            return;
+        }
+
+        const record = {};
+        for (let j = 0; j < headers.length; j++) {
+            record[headers[j]] = rowFields[j];
+        }
+        onRecord(record, rowLine);
+    }
+
+    function handleChar(ch) {
+        // The \n of a \r\n record break belongs to the previous record
+        if (ch === '\n' && pendingCR && !inQuotes && !pendingQuote) {
+            pendingCR = false;
+            return;
+        }
+        if (raw.length < REJECT_PREVIEW_CHARS) raw += ch;
+
+        if (inQuotes) {
+            if (ch === quote) {
+                inQuotes = false;
+                pendingCR = false;
+                pendingQuote = true; // could be a doubled (escaped) quote
+                return;
+            }
+            if (ch === '\r') {
+                pendingCR = true;
+                field += '\n';
+                line++;
+                return;
+            }
+            if (ch === '\n') {
+                if (pendingCR) {
+                    pendingCR = false;
+                    return;
+                }
+                field += '\n';
+                line++;
+                return;
+            }
+            pendingCR = false;
+            field += ch;
+            return;
+        }
+
+        if (pendingQuote) {
+            pendingQuote = false;
+            if (ch === quote) {
+                // "þþ" inside a quoted value is a literal þ
+                field += quote;
+                inQuotes = true;
+                return;
+            }
+            quoteClosed = true;
+        }
+        pendingCR = false;
+
+        if (ch === delimiter) {
+            endField();
+            return;
+        }
+        if (ch === '\r' || ch === '\n') {
+            if (ch === '\r') pendingCR = true;
+            line++;
+            endRecord();
+            return;
+        }
+        if (ch === quote && field === '' && !quoteClosed) {
+            inQuotes = true;
+            return;
+        }
+        // Text after a closing quote or stray quote characters in an
+        // unquoted field are kept rather than failing the whole row.
+        field += ch;
+    }
+
+    return {
+        push(text) {
+            let start = 0;
+            if (!sawBOM) {
+                sawBOM = true;
+                if (text.charCodeAt(0) === 0xFEFF) start = 1;
+            }
+            let i = start;
+            while (i < text.length) {
+                // Fast path: copy a run of ordinary characters in one step
+                if (!pendingQuote && !pendingCR) {
+                    let j = i;
+                    while (j < text.length && !isSpecial(text.charCodeAt(j))) j++;
+                    if (j > i) {
+                        const run = text.slice(i, j);
+                        if (raw.length < REJECT_PREVIEW_CHARS) raw += run.slice(0, REJECT_PREVIEW_CHARS - raw.length);
+                        field += run;
+                        i = j;
+                        continue;
+                    }
+                }
+                handleChar(text[i]);
+                i++;
+            }
+        },
+        end() {
+            if (inQuotes) {
+                onReject({
+                    line: recordLine,
+                    reason: 'unterminated quoted field at end of file',
+                    expected: headers ? headers.length : null,
+                    found: fields.length + 1,
+                    preview: raw
+                });
+                return;
+            }
+            if (pendingQuote) {
+                pendingQuote = false;
+                quoteClosed = true;
+            }
+            if (field !== '' || fields.length > 0) {
+                endRecord();
+            }
+        },
+        headers() {
+            return headers;
+        }
+    };
+}
+
+/**
+ * Guesses the text encoding of a DAT from its first bytes.
+ * BOMs are trusted; otherwise UTF-16 is recognized by its zero bytes, and a
+ * sample that is valid UTF-8 is read as UTF-8. Everything else is read as
+ * Windows-1252, which is what most Concordance exports actually are.
+ * @param {Uint8Array} bytes - The first bytes of the file.
+ * @returns {string} A TextDecoder encoding label.
+ */
+export function detectDatEncoding(bytes) {
+    if (bytes.length >= 2 && bytes[0] === 0xFF && bytes[1] === 0xFE) return 'utf-16le';
+    if (bytes.length >= 2 && bytes[0] === 0xFE && bytes[1] === 0xFF) return 'utf-16be';
+    if (bytes.length >= 3 && bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF) return 'utf-8';
+
+    // UTF-16 without a BOM: most characters are ASCII, so every other byte is 0
+    let evenZeros = 0;
+    let oddZeros = 0;
+    const sampleLength = Math.min(bytes.length, 4096);
+    for (let i = 0; i < sampleLength; i++) {
+        if (bytes[i] === 0) {
+            if (i % 2 === 0) evenZeros++; else oddZeros++;
+        }
+    }
+    if (oddZeros > sampleLength / 4) return 'utf-16le';
+    if (evenZeros > sampleLength / 4) return 'utf-16be';
+
+    try {
+        // stream: true so a multi-byte character cut off at the end of the sample is not an error
+        new TextDecoder('utf-8', { fatal: true }).decode(bytes, { stream: true });
+        return 'utf-8';
+    } catch (e) {
+        return 'windows-1252';
+    }
+}
+
+/**
+ * Streams a DAT file from disk through the parser.
+ * @param {File} file - The .dat file to read.
+ * @param {Object} [options] - Parser options plus:
+ *   encoding: a TextDecoder label, or 'auto' (default) to detect it;
+ *   onRecord: called with (record, lineNumber) for each record. When given,
+ *     records are not collected in the result;
+ *   onProgress: called with (bytesRead, totalBytes).
+ * @returns {Promise<Object>} { headers, records, rejects, encoding, recordCount }
+ */
+export async function parseDatFile(file, options = {}) {
+    const { encoding: requestedEncoding = 'auto', onRecord, onProgress, ...parserOptions } = options;
+
+    const encoding = requestedEncoding && requestedEncoding !== 'auto'
+        ? requestedEncoding
+        : detectDatEncoding(new Uint8Array(await file.slice(0, ENCODING_SAMPLE_BYTES).arrayBuffer()));
+    console.log(`Reading .dat as ${encoding}`);
+
+    const records = [];
+    const rejects = [];
+    let recordCount = 0;
+    const parser = createDatParser(parserOptions, (record, line) => {
+        recordCount++;
+        if (onRecord) onRecord(record, line);
+        else records.push(record);
+    }, (reject) => {
+        console.warn(`Rejected .dat line ${reject.line}: ${reject.reason}`);
+        rejects.push(reject);
+    });
+
+    const decoder = new TextDecoder(encoding);
+    const reader = file.stream().getReader();
+    let bytesRead = 0;
+    for (;;) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        bytesRead += value.byteLength;
+        parser.push(decoder.decode(value, { stream: true }));
+        if (onProgress) onProgress(bytesRead, file.size);
+    }
+    parser.push(decoder.decode());
+    parser.end();
+
+    const headers = parser.headers();
+    if (!headers) {
+        throw new Error("File is empty or has no header line.");
+    }
+
+    console.log(`Successfully parsed ${recordCount} records (${rejects.length} rejected).`);
+    return { headers, records, rejects, encoding, recordCount };
+}
+
+/**
+ * Reads just enough of a DAT file to return its header row.
+ * @param {File} file - The .dat file to read.
+ * @param {Object} [options] - Parser options plus encoding (see parseDatFile).
+ * @returns {Promise<Array<string>>} The field names.
+ */
+export async function readDatHeaders(file, options = {}) {
+    const { encoding: requestedEncoding = 'auto', ...parserOptions } = options;
+    const encoding = requestedEncoding && requestedEncoding !== 'auto'
+        ? requestedEncoding
+        : detectDatEncoding(new Uint8Array(await file.slice(0, ENCODING_SAMPLE_BYTES).arrayBuffer()));
+
+    const parser = createDatParser(parserOptions, () => {}, () => {});
+    const decoder = new TextDecoder(encoding);
+    const reader = file.stream().getReader();
+    try {
+        while (!parser.headers()) {
+            const { done, value } = await reader.read();
+            if (done) {
+                parser.push(decoder.decode());
+                parser.end();
+                break;
+            }
+            parser.push(decoder.decode(value, { stream: true }));
+        }
+    } finally {
+        reader.cancel().catch(() => {});
+    }
+
+    const headers = parser.headers();
+    if (!headers) {
+        throw new Error("File is empty or has no header line.");
+    }
+    return headers;
+}
+
+/**
+ * Parses DAT content that is already in memory.
+ * @param {string} datContent - The full text content of the .dat file.
+ * @param {Object} [options] - delimiter, quote and newline characters.
+ * @returns {Object} { headers, records, rejects }
+ */
+export function parseDAT(datContent, options = {}) {
+    const records = [];
+    const rejects = [];
+    const parser = createDatParser(options, record => records.push(record), reject => rejects.push(reject));
+    parser.push(datContent);
+    parser.end();
+
+    const headers = parser.headers();
+    if (!headers) {
+        throw new Error("File is empty or has no header line.");
+    }
+    return { headers, records, rejects };
+}
@@ -0,0 +1,71 @@
+// Duplicate tracking for Review.
+//
+// Documents with the same dupeGroupId (see hashing.js) are the same item.
+// Deduplication is either global (one copy across the whole collection) or
+// per custodian (one copy per custodian, so each custodian's set stays
+// complete). The copy with the lowest Beg Bates is the one kept.
+
+import { FIELD } from './field-mapping.js';
+
+export const DEDUP_SCOPES = ['global', 'custodian'];
+
+const compareBates = (a, b) => a.id.localeCompare(b.id, undefined, { numeric: true });
+
+function custodianKey(doc) {
+    return String(doc[FIELD.custodian] || '').trim().toLowerCase();
+}
+
+/**
+ * Groups documents into duplicate sets for one dedup scope.
+ * @param {Array<Object>} docs - Review documents (with id).
+ * @param {string} scope - 'global' or 'custodian'.
+ * @returns {{groupOf: Function, isDuplicate: Function}}
+ *   groupOf(doc) returns the document's duplicate set sorted by Beg Bates
+ *   (just [doc] when it has none); isDuplicate(doc) is true for every copy
+ *   except the one kept.
+ */
+export function buildDuplicateIndex(docs, scope) {
+    const keyOf = (doc) => {
+        if (!doc.dupeGroupId) return null;
+        return scope === 'custodian' ? `${doc.dupeGroupId}|${custodianKey(doc)}` : doc.dupeGroupId;
+    };
+
+    const groups = new Map();
+    for (const doc of docs) {
+        const key = keyOf(doc);
+        if (!key) continue;
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(doc);
+    }
+    for (const members of groups.values()) members.sort(compareBates);
+
+    const groupOf = (doc) => {
+        const key = keyOf(doc);
+        return (key && groups.get(key)) || [doc];
+    };
+    return {
+        groupOf,
+        isDuplicate: (doc) => {
+            const members = groupOf(doc);
+            return members.length > 1 && members[0].id !== doc.id;
+        }
+    };
+}
+
+/**
+ * Lists the custodians that hold a copy of the same item, other than the
+ * document's own custodian.
+ * @param {Object} doc
+ * @param {Array<Object>} group - The document's global duplicate set.
+ * @returns {Array<string>}
+ */
+export function otherCustodians(doc, group) {
+    const own = custodianKey(doc);
+    const names = new Map();
+    for (const member of group) {
+        const key = custodianKey(member);
+        if (member.id === doc.id || key === own || names.has(key)) continue;
+        names.set(key, member[FIELD.custodian] || '(no custodian)');
+    }
+    return [...names.values()];
+}
@@ -0,0 +1,38 @@
+// Browser download and CSV helpers for generated reports and exports.
+
+// Text a spreadsheet would read as a formula (load file metadata is untrusted)
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+/**
+ * Serializes rows of values as RFC 4180 CSV. Text cells that would open as
+ * a formula in a spreadsheet are prefixed with an apostrophe.
+ * @param {Array<Array<*>>} rows - The first row is usually the header.
+ * @returns {string} CSV content.
+ */
+export function toCsv(rows) {
+    const escape = (value) => {
+        let str = String(value ?? '');
+        if (typeof value !== 'number' && FORMULA_START.test(str)) str = `'${str}`;
+        return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+    };
+    return rows.map(row => row.map(escape).join(',')).join('\r\n');
+}
+
+/**
+ * Offers generated content to the user as a file download.
+ * @param {string} filename - Suggested file name.
+ * @param {string|Blob} content - File content.
+ * @param {string} [mimeType] - Used when content is a string.
+ */
+export function downloadFile(filename, content, mimeType = 'text/plain;charset=utf-8') {
+    const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    // Give the browser a moment to start the download before revoking
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
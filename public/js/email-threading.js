@@ -0,0 +1,288 @@
+// Email threading: grouping the messages of a conversation and finding the
+// inclusive ones, whose content no later reply already quotes in full.
+//
+// Messages are linked by their Message-ID, In-Reply-To and References
+// headers where the load file has them. Messages the headers do not connect
+// are linked when they share a normalized subject and a participant and one
+// quotes the other's authored text. Quoting is measured on word shingles: a
+// message is contained in another when nearly all shingles of its authored
+// part appear in the other's text. Long texts keep a sample of their
+// shingles chosen by hash, so the same ones are kept wherever they appear.
+// This module is shared with the Cloud Functions (see
+// functions/copy-shared.js), which run the analysis.
+
+import { tokenize } from './text-analysis.js';
+import { shingleHashes } from './near-duplicates.js';
+
+// Canonical field names, as in field-mapping.js
+export const EMAIL_FIELDS = {
+    messageId: '_MessageID',
+    inReplyTo: '_InReplyTo',
+    references: '_References',
+    from: '_From',
+    to: '_To',
+    cc: '_CC',
+    bcc: '_BCC',
+    subject: '_Subject',
+    sentDate: '_SentDate'
+};
+
+// Quoting is compared on shorter shingles than near-duplicates, so short replies can be matched
+const QUOTE_SHINGLE_SIZE = 3;
+// Share of a message's authored shingles that must appear in another message to count as quoted there
+const CONTAINMENT_THRESHOLD = 0.8;
+// Authored shingles kept per message, and text shingles per message, to bound what is stored
+const MAX_BODY_SHINGLES = 200;
+const MAX_TEXT_SHINGLES = 5000;
+// When sampling leaves fewer of a message's authored shingles than this to compare, it is not shown to be quoted
+const MIN_COMPARED_SHINGLES = 3;
+const HASH_RANGE = 2 ** 32;
+// Messages with the same subject are compared with this many sent after them
+const SUBJECT_WINDOW = 100;
+// A message's quoting candidates are the messages holding any of its first few authored shingles
+// that a sample rate in the thread keeps
+const CANDIDATE_SHINGLES = 5;
+
+const SUBJECT_PREFIX = /^\s*(?:(?:re|fw|fwd|aw|sv|wg|tr|rif|antw)(?:\[\d+\])?\s*:|\[(?:external|ext|secure)\])\s*/i;
+const HEADER_LINE = /^\s*(?:from|to|cc|bcc|sent|date|subject|attachments|importance)\s*:/i;
+// Lines that start the quoted part of a reply or forward
+const QUOTE_STARTS = [
+    /^-{2,}\s*(?:original|forwarded) message\s*-{2,}/i,
+    /^_{10,}\s*$/,
+    /^on\s.{4,200}\swrote:\s*$/i,
+    /^\s*from:\s.+/i,
+    /^\s*>/
+];
+
+/**
+ * Whether a document looks like an email: it has a Message-ID, or a sender
+ * and recipients.
+ * @param {Object} data - The document's fields.
+ * @returns {boolean}
+ */
+export function isEmail(data) {
+    const f = EMAIL_FIELDS;
+    return Boolean(data[f.messageId] || (data[f.from] && (data[f.to] || data[f.cc] || data[f.bcc])));
+}
+
+/**
+ * Reduces a subject to what replies and forwards keep: "RE: Fw: Budget" -> "budget".
+ * @param {string} subject
+ * @returns {string}
+ */
+export function normalizeSubject(subject) {
+    let value = String(subject || '');
+    for (let previous = null; previous !== value;) {
+        previous = value;
+        value = value.replace(SUBJECT_PREFIX, '');
+    }
+    return value.replace(/\s+/g, ' ').trim().toLowerCase();
+}
+
+/**
+ * The message IDs in a header value, normalized for comparison.
+ * @param {string} value - e.g. "<a@b.com> <c@d.com>"
+ * @returns {Array<string>}
+ */
+export function parseMessageIds(value) {
+    const text = String(value || '').trim();
+    if (!text) return [];
+    const bracketed = [...text.matchAll(/<([^<>\s]+)>/g)].map(match => match[1]);
+    const ids = bracketed.length > 0 ? bracketed : text.split(/[\s,;]+/);
+    return [...new Set(ids.map(id => id.trim().toLowerCase()).filter(Boolean))];
+}
+
+/**
+ * The people on a message: email addresses where the fields have them,
+ * otherwise the names listed.
+ * @param {Object} data - The document's fields.
+ * @returns {Array<string>}
+ */
+export function participantsOf(data) {
+    const people = new Set();
+    for (const field of ['from', 'to', 'cc', 'bcc']) {
+        const value = String(data[EMAIL_FIELDS[field]] || '');
+        const addresses = value.match(/[\w.+'-]+@[\w-]+(?:\.[\w-]+)+/g);
+        const names = addresses || value.split(/[;\n]+/);
+        for (const name of names) {
+            const person = name.replace(/["']/g, '').replace(/\s+/g, ' ').trim().toLowerCase();
+            if (person) people.add(person);
+        }
+    }
+    return [...people];
+}
+
+/**
+ * The part of a message its sender wrote: the text after any leading header
+ * block and before the first quoted reply or forward.
+ * @param {string} text
+ * @returns {string}
+ */
+export function authoredText(text) {
+    const lines = String(text || '').split(/\r\n|\r|\n/);
+    let start = 0;
+    while (start < lines.length && !lines[start].trim()) start++;
+    if (start < lines.length && HEADER_LINE.test(lines[start])) {
+        while (start < lines.length && lines[start].trim()) start++;
+    }
+    let end = start;
+    while (end < lines.length && !QUOTE_STARTS.some(pattern => pattern.test(lines[end]))) end++;
+    return lines.slice(start, end).join('\n');
+}
+
+// Whether a shingle is in a sample taken at a rate: those whose hash is in
+// the lowest 1/rate of the range. What a text keeps at a rate does not depend
+// on its length, so a quoted message's shingles are found in a long reply's
+// sample whenever the reply's rate keeps them.
+const keptAt = (hash, rate) => hash < HASH_RANGE / rate;
+
+// Samples shingle hashes at the lowest power-of-two rate that keeps at most max
+function sampleShingles(hashes, max) {
+    let shingles = [...hashes];
+    let rate = 1;
+    while (shingles.length > max) {
+        rate *= 2;
+        shingles = shingles.filter(hash => keptAt(hash, rate));
+    }
+    return { shingles, rate };
+}
+
+/**
+ * What threading needs to know about one email.
+ * @param {string} docId
+ * @param {Object} data - The document's fields.
+ * @param {string} text - Its extracted text.
+ * @returns {Object} For buildThreads(); small enough to store.
+ */
+export function emailFeatures(docId, data, text) {
+    const f = EMAIL_FIELDS;
+    const sentAt = Date.parse(data[f.sentDate] || data._Date || '');
+    const body = sampleShingles(shingleHashes(tokenize(authoredText(text)), QUOTE_SHINGLE_SIZE), MAX_BODY_SHINGLES);
+    const whole = sampleShingles(shingleHashes(tokenize(text), QUOTE_SHINGLE_SIZE), MAX_TEXT_SHINGLES);
+    return {
+        docId,
+        messageId: parseMessageIds(data[f.messageId])[0] || null,
+        inReplyTo: parseMessageIds(data[f.inReplyTo]),
+        references: parseMessageIds(data[f.references]),
+        subjectKey: normalizeSubject(data[f.subject]),
+        participants: participantsOf(data),
+        sentAt: Number.isNaN(sentAt) ? null : sentAt,
+        bodyShingles: body.shingles,
+        bodySampleRate: body.rate,
+        textShingles: whole.shingles,
+        textSampleRate: whole.rate
+    };
+}
+
+/**
+ * Whether one message's authored text appears in another's text.
+ * @param {Object} quoted - From emailFeatures().
+ * @param {Object} quoting - From emailFeatures(), with textShingleSet added by buildThreads().
+ * @returns {boolean}
+ */
+function isContainedIn(quoted, quoting) {
+    // Only the shingles both samples would keep can be compared
+    const rate = Math.max(quoted.bodySampleRate, quoting.textSampleRate);
+    const compared = quoted.bodyShingles.filter(shingle => keptAt(shingle, rate));
+    if (compared.length === 0) return false;
+    if (compared.length < quoted.bodyShingles.length && compared.length < MIN_COMPARED_SHINGLES) return false;
+    let found = 0;
+    for (const shingle of compared) {
+        if (quoting.textShingleSet.has(shingle)) found++;
+    }
+    return found / compared.length >= CONTAINMENT_THRESHOLD;
+}
+
+// Earlier sent first; undated messages and ties by Beg Bates
+function compareSent(a, b) {
+    if (a.sentAt !== null && b.sentAt !== null && a.sentAt !== b.sentAt) return a.sentAt - b.sentAt;
+    return a.docId.localeCompare(b.docId, undefined, { numeric: true });
+}
+
+/**
+ * Groups emails into threads and marks the inclusive ones. A message is not
+ * inclusive when another message in its thread quotes it and adds to it.
+ * When two messages quote each other (copies of the same message), the one
+ * sent first, or with the lower Beg Bates, is kept inclusive.
+ * @param {Array<Object>} emails - From emailFeatures().
+ * @returns {Map<string, {threadId: string, threadSize: number, threadIndex: number, inclusive: boolean}>}
+ *   By Beg Bates. threadId is the first message's Beg Bates; threadIndex
+ *   counts from 1 in sent order.
+ */
+export function buildThreads(emails) {
+    const parent = new Map(emails.map(email => [email.docId, email.docId]));
+    const find = (id) => {
+        while (parent.get(id) !== id) {
+            parent.set(id, parent.get(parent.get(id)));
+            id = parent.get(id);
+        }
+        return id;
+    };
+    const join = (a, b) => parent.set(find(a), find(b));
+
+    // Header links: messages naming the same message ID belong together
+    const byMessageId = new Map();
+    for (const email of emails) {
+        for (const id of [email.messageId, ...email.inReplyTo, ...email.references]) {
+            if (!id) continue;
+            if (byMessageId.has(id)) join(email.docId, byMessageId.get(id));
+            else byMessageId.set(id, email.docId);
+        }
+    }
+
+    // Fallback links within each subject: a shared participant and quoted text
+    for (const email of emails) email.textShingleSet = new Set(email.textShingles);
+    const bySubject = new Map();
+    for (const email of emails) {
+        if (!email.subjectKey) continue;
+        if (!bySubject.has(email.subjectKey)) bySubject.set(email.subjectKey, []);
+        bySubject.get(email.subjectKey).push(email);
+    }
+    for (const members of bySubject.values()) {
+        members.sort(compareSent);
+        for (let i = 0; i < members.length; i++) {
+            const people = new Set(members[i].participants);
+            for (let j = i + 1; j < Math.min(members.length, i + 1 + SUBJECT_WINDOW); j++) {
+                const a = members[i];
+                const b = members[j];
+                if (find(a.docId) === find(b.docId)) continue;
+                if (!b.participants.some(person => people.has(person))) continue;
+                if (isContainedIn(a, b) || isContainedIn(b, a)) join(a.docId, b.docId);
+            }
+        }
+    }
+
+    const threads = new Map();
+    for (const email of emails) {
+        const root = find(email.docId);
+        if (!threads.has(root)) threads.set(root, []);
+        threads.get(root).push(email);
+    }
+
+    const result = new Map();
+    for (const members of threads.values()) {
+        members.sort(compareSent);
+        const threadId = members[0].docId;
+        const rates = [...new Set(members.map(email => email.textSampleRate))];
+        const holding = new Map();   // text shingle -> indexes of the members whose text has it
+        members.forEach((email, index) => {
+            for (const shingle of email.textShingles) {
+                if (!holding.has(shingle)) holding.set(shingle, []);
+                holding.get(shingle).push(index);
+            }
+        });
+        members.forEach((email, index) => {
+            // A member quoting the message holds every shingle its rate keeps
+            const lookups = new Set(rates.flatMap(rate => email.bodyShingles.filter(shingle => keptAt(shingle, rate)).slice(0, CANDIDATE_SHINGLES)));
+            const candidates = new Set([...lookups].flatMap(shingle => holding.get(shingle) || []));
+            candidates.delete(index);
+            const superseded = [...candidates].some(otherIndex => {
+                const other = members[otherIndex];
+                return isContainedIn(email, other) && (!isContainedIn(other, email) || otherIndex < index);
+            });
+            result.set(email.docId, { threadId, threadSize: members.length, threadIndex: index + 1, inclusive: !superseded });
+        });
+    }
+    for (const email of emails) delete email.textShingleSet;
+    return result;
+}
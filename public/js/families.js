@@ -0,0 +1,139 @@
+// Document families: a parent (usually an email) and its attachments.
+//
+// Families are worked out at ingest and stored on each document as
+//   familyId    - Beg Bates of the family's parent (null for standalone documents)
+//   parentDocId - Beg Bates of the document's parent (null for the parent itself)
+// Review groups the loaded documents by familyId, and so do the functions
+// when they add family members to an AI query's context (see
+// functions/copy-shared.js).
+
+import { FIELD } from './load-file-fields.js';
+
+const STANDALONE = { familyId: null, parentDocId: null };
+
+/**
+ * Load file fields families are built from; an overlay that changes any of
+ * them also rewrites the family fields.
+ */
+export const FAMILY_SOURCE_FIELDS = [FIELD.begAttach, FIELD.endAttach, FIELD.parentId];
+
+const clean = (value) => String(value || '').trim();
+
+/**
+ * Builds a resolver for the family fields of a volume's records.
+ * The attachment range is used when present: by Concordance convention every
+ * member of a family carries the same Beg Attach, the parent's Beg Bates.
+ * Otherwise a ParentID field is followed up to the top-level parent.
+ * @param {Array<Object>} records - Canonical records of the volume.
+ * @returns {Function} record -> { familyId, parentDocId }
+ */
+export function buildFamilyResolver(records) {
+    const parentOf = new Map();
+    for (const record of records) {
+        const docId = record[FIELD.begBates];
+        const parentId = clean(record[FIELD.parentId]);
+        if (docId && parentId && parentId !== docId) parentOf.set(docId, parentId);
+    }
+    const hasChildren = new Set(parentOf.values());
+
+    const rootOf = (docId) => {
+        const seen = new Set([docId]);
+        let current = docId;
+        while (parentOf.has(current)) {
+            const next = parentOf.get(current);
+            if (seen.has(next)) {
+                console.warn(`ParentID loop at ${docId}; treating ${current} as the top-level parent.`);
+                break;
+            }
+            seen.add(next);
+            current = next;
+        }
+        return current;
+    };
+
+    return (record) => {
+        const docId = record[FIELD.begBates];
+        const begAttach = clean(record[FIELD.begAttach]);
+        if (begAttach) {
+            // A range covering only the document itself means it has no attachments
+            const endAttach = clean(record[FIELD.endAttach]);
+            const ownEnd = clean(record[FIELD.endBates]) || docId;
+            if (begAttach === docId && (!endAttach || endAttach === ownEnd)) return STANDALONE;
+            return { familyId: begAttach, parentDocId: begAttach === docId ? null : begAttach };
+        }
+        if (parentOf.has(docId)) return { familyId: rootOf(docId), parentDocId: parentOf.get(docId) };
+        if (hasChildren.has(docId)) return { familyId: docId, parentDocId: null };
+        return STANDALONE;
+    };
+}
+
+/**
+ * Indexes loaded documents by family.
+ * @param {Array<Object>} docs - Review documents (with id).
+ * @returns {Map<string, Array<Object>>} familyId -> members, parent first, then by Beg Bates.
+ */
+export function groupFamilies(docs) {
+    const families = new Map();
+    for (const doc of docs) {
+        if (!doc.familyId) continue;
+        if (!families.has(doc.familyId)) families.set(doc.familyId, []);
+        families.get(doc.familyId).push(doc);
+    }
+    for (const [familyId, members] of families) {
+        members.sort((a, b) => (b.id === familyId) - (a.id === familyId) || a.id.localeCompare(b.id, undefined, { numeric: true }));
+    }
+    return families;
+}
+
+/**
+ * @param {Object} doc
+ * @param {Map} families - From groupFamilies().
+ * @returns {Array<Object>} The document's loaded family members (just [doc] when it has none).
+ */
+export function familyMembers(doc, families) {
+    return (doc.familyId && families.get(doc.familyId)) || [doc];
+}
+
+/**
+ * Adds every loaded family member of the given documents.
+ * @param {Array<Object>} docs - e.g. search hits.
+ * @param {Map} families - From groupFamilies().
+ * @param {Array<Object>} allDocs - All loaded documents, in display order.
+ * @returns {Array<Object>} The expanded set, in the order of allDocs.
+ */
+export function expandToFamilies(docs, families, allDocs) {
+    const ids = new Set();
+    for (const doc of docs) {
+        for (const member of familyMembers(doc, families)) ids.add(member.id);
+    }
+    return allDocs.filter(doc => ids.has(doc.id));
+}
+
+/**
+ * Orders a document list so attachments follow their parent.
+ * Attachments whose parent is not in the list keep their own place.
+ * @param {Array<Object>} docs
+ * @param {Map} families - From groupFamilies().
+ * @returns {Array<{doc: Object, depth: number}>} depth is 1 for an attachment shown under its parent.
+ */
+export function arrangeByFamily(docs, families) {
+    const present = new Set(docs.map(doc => doc.id));
+    const placed = new Set();
+    const rows = [];
+
+    for (const doc of docs) {
+        if (placed.has(doc.id)) continue;
+        if (doc.familyId && doc.familyId !== doc.id && present.has(doc.familyId)) continue; // placed under its parent
+
+        rows.push({ doc, depth: 0 });
+        placed.add(doc.id);
+        if (doc.familyId === doc.id) {
+            for (const member of familyMembers(doc, families)) {
+                if (member.id === doc.id || !present.has(member.id) || placed.has(member.id)) continue;
+                rows.push({ doc: member, depth: 1 });
+                placed.add(member.id);
+            }
+        }
+    }
+    return rows;
+}
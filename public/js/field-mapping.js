@@ -0,0 +1,154 @@
+// Load file field mapping.
+//
+// Vendors name the same load file fields differently (BEGDOC, ProdBegBates,
+// "Beg Bates", ...). After a .dat is parsed, its headers are mapped onto a set
+// of canonical roles and each record is rewritten so the mapped values are
+// stored under the canonical field names the rest of the app reads. Mappings
+// are saved per vendor as named profiles and reused on later loads.
+
+import {
+    doc,
+    setDoc,
+    getDocs,
+    collection
+} from "https://www.gstatic.com/firebasejs/11.6.1/firebase-firestore.js";
+import { CANONICAL_FIELDS, FIELD } from './load-file-fields.js';
+
+export { CANONICAL_FIELDS, FIELD } from './load-file-fields.js';
+
+/**
+ * Order in which metadata is listed in the Review viewer.
+ */
+export const PREFERRED_METADATA_KEYS = [
+    FIELD.begBates, FIELD.endBates, FIELD.begAttach, FIELD.endAttach, FIELD.parentId,
+    FIELD.from, FIELD.to, FIELD.cc, FIELD.bcc, FIELD.sentDate, FIELD.subject,
+    FIELD.custodian, FIELD.hash, FIELD.nativePath, FIELD.textPath
+];
+
+/**
+ * Reduces a header to lowercase letters and digits so "Beg Bates",
+ * "BEG_BATES" and "BegBates" compare equal.
+ * @param {string} header
+ * @returns {string}
+ */
+export function normalizeHeader(header) {
+    return String(header).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Guesses a mapping from load file headers to canonical roles.
+ * An exact canonical field name wins over an alias; each header is used once.
+ * @param {Array<string>} headers - Headers from the parsed .dat.
+ * @returns {Object} role -> header (roles with no match are omitted).
+ */
+export function detectMapping(headers) {
+    const mapping = {};
+    const used = new Set();
+    const byNormalized = new Map(headers.map(h => [normalizeHeader(h), h]));
+
+    for (const { role, field, aliases } of CANONICAL_FIELDS) {
+        const candidates = [normalizeHeader(field), ...aliases.map(normalizeHeader)];
+        for (const candidate of candidates) {
+            const header = byNormalized.get(candidate);
+            if (header && !used.has(header)) {
+                mapping[role] = header;
+                used.add(header);
+                break;
+            }
+        }
+    }
+    return mapping;
+}
+
+/**
+ * Checks a mapping against a set of headers.
+ * @param {Object} mapping - role -> header.
+ * @param {Array<string>} headers
+ * @returns {Array<string>} Problems found; empty when the mapping is usable.
+ */
+export function validateMapping(mapping, headers) {
+    const problems = [];
+    for (const { role, label, required } of CANONICAL_FIELDS) {
+        const header = mapping[role];
+        if (!header) {
+            if (required) problems.push(`${label} must be mapped.`);
+            continue;
+        }
+        if (!headers.includes(header)) {
+            problems.push(`${label} is mapped to "${header}", which is not in this load file.`);
+        }
+    }
+    return problems;
+}
+
+/**
+ * Rewrites a parsed record so mapped values are stored under canonical field
+ * names. Unmapped fields are kept under their original header.
+ * @param {Object} record - A record from the .dat parser.
+ * @param {Object} mapping - role -> header.
+ * @returns {Object} The canonical record.
+ */
+export function applyMapping(record, mapping) {
+    const mappedHeaders = new Map();
+    for (const [role, header] of Object.entries(mapping)) {
+        if (header && FIELD[role]) mappedHeaders.set(header, FIELD[role]);
+    }
+
+    const result = {};
+    for (const [key, value] of Object.entries(record)) {
+        if (!mappedHeaders.has(key)) result[key] = value;
+    }
+    for (const [header, field] of mappedHeaders) {
+        if (header in record) result[field] = record[header];
+    }
+    return result;
+}
+
+/**
+ * Picks the saved profile that best fits a set of headers: every header the
+ * profile maps must be present, and the profile mapping the most roles wins.
+ * @param {Array<Object>} profiles - Saved profiles.
+ * @param {Array<string>} headers
+ * @returns {Object|null} The best profile, or null if none fits.
+ */
+export function findMatchingProfile(profiles, headers) {
+    let best = null;
+    let bestCount = 0;
+    for (const profile of profiles) {
+        const mappedHeaders = Object.values(profile.mapping || {}).filter(Boolean);
+        if (mappedHeaders.length === 0 || !profile.mapping.begBates) continue;
+        if (!mappedHeaders.every(h => headers.includes(h))) continue;
+        if (mappedHeaders.length > bestCount) {
+            best = profile;
+            bestCount = mappedHeaders.length;
+        }
+    }
+    return best;
+}
+
+/**
+ * Loads the user's saved mapping profiles.
+ * @returns {Promise<Array<Object>>} Profiles sorted by name.
+ */
+export async function loadMappingProfiles(db, appId, userId) {
+    const snapshot = await getDocs(collection(db, `artifacts/${appId}/users/${userId}/mappingProfiles`));
+    const profiles = [];
+    snapshot.forEach(d => profiles.push({ id: d.id, ...d.data() }));
+    return profiles.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Saves (or replaces) a named mapping profile.
+ * @returns {Promise<Object>} The saved profile.
+ */
+export async function saveMappingProfile(db, appId, userId, name, mapping, headers) {
+    const trimmed = name.trim();
+    if (!trimmed) {
+        throw new Error('Enter a profile name, e.g. the vendor name.');
+    }
+    // Profile names become document IDs, which may not contain "/"
+    const id = trimmed.replace(/\//g, '_');
+    const profile = { name: trimmed, mapping, headers, updatedAt: new Date() };
+    await setDoc(doc(db, `artifacts/${appId}/users/${userId}/mappingProfiles`, id), profile);
+    return { id, ...profile };
+}
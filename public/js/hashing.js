@@ -0,0 +1,188 @@
+// Native file hashing for deduplication.
+//
+// MD5 and SHA-1 are computed together in a single streaming pass over the
+// file. crypto.subtle cannot digest a stream and does not offer MD5, so both
+// are implemented here; natives of any size are hashed chunk by chunk.
+
+const BLOCK_SIZE = 64;
+
+/**
+ * Builds an incremental Merkle-Damgard hasher around a 64-byte block function.
+ * @param {Object} spec
+ * @param {Function} spec.init - Returns the initial state (Int32Array).
+ * @param {Function} spec.compress - (state, dataView, offset) processes one block.
+ * @param {boolean} spec.bigEndian - Byte order of the length and the digest words.
+ * @returns {{update: Function, digest: Function}}
+ */
+function createHasher({ init, compress, bigEndian }) {
+    const state = init();
+    const block = new Uint8Array(BLOCK_SIZE);
+    const blockView = new DataView(block.buffer);
+    let blockLength = 0;
+    let totalLength = 0;
+
+    function update(bytes) {
+        totalLength += bytes.length;
+        let i = 0;
+        if (blockLength > 0) {
+            const take = Math.min(BLOCK_SIZE - blockLength, bytes.length);
+            block.set(bytes.subarray(0, take), blockLength);
+            blockLength += take;
+            i = take;
+            if (blockLength < BLOCK_SIZE) return;
+            compress(state, blockView, 0);
+            blockLength = 0;
+        }
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        for (; i + BLOCK_SIZE <= bytes.length; i += BLOCK_SIZE) {
+            compress(state, view, i);
+        }
+        block.set(bytes.subarray(i), 0);
+        blockLength = bytes.length - i;
+    }
+
+    function digest() {
+        const bitLength = totalLength * 8;
+        const padding = new Uint8Array((blockLength < 56 ? 56 : 120) - blockLength + 8);
+        padding[0] = 0x80;
+        const lengthView = new DataView(padding.buffer, padding.length - 8);
+        // Lengths fit in 53 bits, so the high word is computed by division
+        const low = bitLength >>> 0;
+        const high = Math.floor(bitLength / 0x100000000) >>> 0;
+        if (bigEndian) {
+            lengthView.setUint32(0, high);
+            lengthView.setUint32(4, low);
+        } else {
+            lengthView.setUint32(0, low, true);
+            lengthView.setUint32(4, high, true);
+        }
+        totalLength -= padding.length; // update() below counts the padding
+        update(padding);
+
+        const out = new DataView(new ArrayBuffer(state.length * 4));
+        state.forEach((word, j) => out.setInt32(j * 4, word, !bigEndian));
+        return Array.from(new Uint8Array(out.buffer), b => b.toString(16).padStart(2, '0')).join('');
+    }
+
+    return { update, digest };
+}
+
+// MD5 (RFC 1321)
+const MD5_SHIFTS = [
+    7, 12, 17, 22, 7, 12, 17, 22, 7, 12, 17, 22, 7, 12, 17, 22,
+    5, 9, 14, 20, 5, 9, 14, 20, 5, 9, 14, 20, 5, 9, 14, 20,
+    4, 11, 16, 23, 4, 11, 16, 23, 4, 11, 16, 23, 4, 11, 16, 23,
+    6, 10, 15, 21, 6, 10, 15, 21, 6, 10, 15, 21, 6, 10, 15, 21
+];
+const MD5_CONSTANTS = Int32Array.from({ length: 64 }, (_, i) => Math.floor(Math.abs(Math.sin(i + 1)) * 0x100000000));
+const md5Words = new Int32Array(16);
+
+function md5Compress(state, view, offset) {
+    for (let j = 0; j < 16; j++) md5Words[j] = view.getInt32(offset + j * 4, true);
+    let [a, b, c, d] = state;
+    for (let i = 0; i < 64; i++) {
+        let f, g;
+        if (i < 16) { f = (b & c) | (~b & d); g = i; }
+        else if (i < 32) { f = (d & b) | (~d & c); g = (5 * i + 1) % 16; }
+        else if (i < 48) { f = b ^ c ^ d; g = (3 * i + 5) % 16; }
+        else { f = c ^ (b | ~d); g = (7 * i) % 16; }
+        const sum = (a + f + MD5_CONSTANTS[i] + md5Words[g]) | 0;
+        a = d;
+        d = c;
+        c = b;
+        b = (b + ((sum << MD5_SHIFTS[i]) | (sum >>> (32 - MD5_SHIFTS[i])))) | 0;
+    }
+    state[0] = (state[0] + a) | 0;
+    state[1] = (state[1] + b) | 0;
+    state[2] = (state[2] + c) | 0;
+    state[3] = (state[3] + d) | 0;
+}
+
+// SHA-1 (FIPS 180-4)
+const sha1Words = new Int32Array(80);
+
+function sha1Compress(state, view, offset) {
+    for (let j = 0; j < 16; j++) sha1Words[j] = view.getInt32(offset + j * 4);
+    for (let j = 16; j < 80; j++) {
+        const x = sha1Words[j - 3] ^ sha1Words[j - 8] ^ sha1Words[j - 14] ^ sha1Words[j - 16];
+        sha1Words[j] = (x << 1) | (x >>> 31);
+    }
+    let [a, b, c, d, e] = state;
+    for (let j = 0; j < 80; j++) {
+        let f, k;
+        if (j < 20) { f = (b & c) | (~b & d); k = 0x5A827999; }
+        else if (j < 40) { f = b ^ c ^ d; k = 0x6ED9EBA1; }
+        else if (j < 60) { f = (b & c) | (b & d) | (c & d); k = 0x8F1BBCDC | 0; }
+        else { f = b ^ c ^ d; k = 0xCA62C1D6 | 0; }
+        const t = (((a << 5) | (a >>> 27)) + f + e + k + sha1Words[j]) | 0;
+        e = d;
+        d = c;
+        c = (b << 30) | (b >>> 2);
+        b = a;
+        a = t;
+    }
+    state[0] = (state[0] + a) | 0;
+    state[1] = (state[1] + b) | 0;
+    state[2] = (state[2] + c) | 0;
+    state[3] = (state[3] + d) | 0;
+    state[4] = (state[4] + e) | 0;
+}
+
+export function createMd5() {
+    return createHasher({
+        init: () => Int32Array.of(0x67452301, 0xEFCDAB89, 0x98BADCFE, 0x10325476),
+        compress: md5Compress,
+        bigEndian: false
+    });
+}
+
+export function createSha1() {
+    return createHasher({
+        init: () => Int32Array.of(0x67452301, 0xEFCDAB89, 0x98BADCFE, 0x10325476, 0xC3D2E1F0),
+        compress: sha1Compress,
+        bigEndian: true
+    });
+}
+
+/**
+ * Computes the MD5 and SHA-1 of a file in one streaming pass.
+ * @param {File|Object} file - A File or any object with stream() (e.g. a zip entry).
+ * @returns {Promise<{md5: string, sha1: string}>} Lowercase hex digests.
+ */
+export async function hashFile(file) {
+    const md5 = createMd5();
+    const sha1 = createSha1();
+    const reader = file.stream().getReader();
+    for (;;) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        md5.update(value);
+        sha1.update(value);
+    }
+    return { md5: md5.digest(), sha1: sha1.digest() };
+}
+
+/**
+ * Recognizes a hash value from a load file by its length.
+ * @param {string} value - e.g. the DAT's MD5Hash or SHA1Hash column.
+ * @returns {Object|null} { md5 } or { sha1 }, or null if the value is not an MD5 or SHA-1.
+ */
+export function parseLoadFileHash(value) {
+    const hex = String(value || '').trim().toLowerCase().replace(/^0x/, '');
+    if (/^[0-9a-f]{32}$/.test(hex)) return { md5: hex };
+    if (/^[0-9a-f]{40}$/.test(hex)) return { sha1: hex };
+    return null;
+}
+
+/**
+ * The duplicate group a document belongs to: documents with the same group ID
+ * are the same item. MD5 is preferred because it is what load files most often
+ * carry, so computed and vendor-supplied hashes group together.
+ * @param {Object} hashes - { md5, sha1 } (either may be missing).
+ * @returns {string|null} e.g. "md5:9e107d9d372bb6826bd81d3542a419d6"
+ */
+export function dupeGroupIdFor(hashes) {
+    if (hashes.md5) return `md5:${hashes.md5}`;
+    if (hashes.sha1) return `sha1:${hashes.sha1}`;
+    return null;
+}
@@ -0,0 +1,88 @@
+// Search hit highlighting for the Text panel.
+//
+// Hits are words whose stem is one of the search terms (so "negotiating"
+// lights up for a search on "negotiation") or that match a wildcard. The text
+// is inserted as text nodes with <mark> elements around hits; it is never
+// parsed as HTML. Large documents are scanned and rendered in slices that
+// yield to the browser between them.
+
+import { tokenSpans, stem, STOP_WORDS } from './text-analysis.js';
+import { positiveLeaves, positiveTerms } from './search-query.js';
+
+const MAX_HITS = 10000; // Hits beyond this are not highlighted
+const TOKENS_PER_SLICE = 20000;
+const HITS_PER_SLICE = 500;
+
+const nextFrame = () => new Promise(resolve => setTimeout(resolve, 0));
+
+/**
+ * What to highlight: the unscoped terms and wildcards of a search query
+ * outside NOT clauses, plus any extra stemmed terms.
+ * @param {Object} params
+ * @param {Object|null} [params.tree] - From parseQuery().
+ * @param {Array<string>} [params.terms] - Stemmed terms, e.g. those the AI retrieval matched.
+ * @returns {{terms: Set<string>, wildcards: Array<RegExp>, isEmpty: boolean}}
+ */
+export function createHighlighter({ tree = null, terms = [] } = {}) {
+    const leaves = positiveLeaves(tree).filter(leaf => !leaf.field);
+    const termSet = new Set([...positiveTerms({ type: 'and', children: leaves }), ...terms]);
+    const wildcards = leaves.filter(leaf => leaf.type === 'wildcard').map(leaf => leaf.regex);
+    return { terms: termSet, wildcards, isEmpty: termSet.size === 0 && wildcards.length === 0 };
+}
+
+/**
+ * Finds the hits in a text.
+ * @param {string} text
+ * @param {Object} highlighter - From createHighlighter().
+ * @param {Function} [isCurrent] - Returns false once the result is no longer wanted.
+ * @returns {Promise<Array<[number, number]>|null>} Character ranges [start, end), or null if abandoned.
+ */
+export async function findHits(text, highlighter, isCurrent = () => true) {
+    const hits = [];
+    if (highlighter.isEmpty) return hits;
+    let scanned = 0;
+    for (const { token, start, end } of tokenSpans(text)) {
+        if (++scanned % TOKENS_PER_SLICE === 0) {
+            await nextFrame();
+            if (!isCurrent()) return null;
+        }
+        if (STOP_WORDS.has(token)) continue;
+        if (highlighter.terms.has(stem(token)) || highlighter.wildcards.some(regex => regex.test(token))) {
+            hits.push([start, end]);
+            if (hits.length >= MAX_HITS) break;
+        }
+    }
+    return hits;
+}
+
+/**
+ * Replaces a container's content with the text, hits wrapped in
+ * <mark class="search-hit">.
+ * @param {HTMLElement} container
+ * @param {string} text
+ * @param {Array<[number, number]>} hits - From findHits().
+ * @param {Function} [isCurrent] - Returns false to stop rendering.
+ * @returns {Promise<Array<HTMLElement>|null>} The mark elements in order, or null if abandoned.
+ */
+export async function renderHighlightedText(container, text, hits, isCurrent = () => true) {
+    container.textContent = '';
+    const marks = [];
+    let offset = 0;
+    for (let i = 0; i < hits.length; i += HITS_PER_SLICE) {
+        const fragment = document.createDocumentFragment();
+        for (const [start, end] of hits.slice(i, i + HITS_PER_SLICE)) {
+            fragment.appendChild(document.createTextNode(text.slice(offset, start)));
+            const mark = document.createElement('mark');
+            mark.className = 'search-hit';
+            mark.textContent = text.slice(start, end);
+            fragment.appendChild(mark);
+            marks.push(mark);
+            offset = end;
+        }
+        container.appendChild(fragment);
+        await nextFrame();
+        if (!isCurrent()) return null;
+    }
+    container.appendChild(document.createTextNode(text.slice(offset)));
+    return marks;
+}
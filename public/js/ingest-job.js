@@ -0,0 +1,456 @@
+// Resumable ingest jobs.
+//
+// An ingest runs as a job with a manifest in Firestore:
+//   artifacts/{appId}/users/{uid}/ingestJobs/{jobId}           - totals and status
+//   artifacts/{appId}/users/{uid}/ingestJobs/{jobId}/items/{id} - one per record
+// Each record's metadata doc and its manifest item are committed in the same
+// batched write, so the manifest never claims a document that was not saved.
+// When the same volume is ingested again, records whose item is already
+// "done" for the current run are skipped.
+//
+// The job ID doubles as the volume ID: every document written by a job is
+// tagged with it, and each manifest item keeps the document's state from
+// before the volume touched it, so a volume can be compared and rolled back
+// (see volumes.js). Two modes are supported:
+//   'full'    - metadata plus native/text/image uploads; replaces the document
+//   'overlay' - metadata only; merges the selected fields into documents that
+//               already exist, keyed by Beg Bates
+
+import {
+    doc,
+    getDoc,
+    getDocs,
+    setDoc,
+    writeBatch,
+    collection,
+    query,
+    where,
+    arrayUnion
+} from "https://www.gstatic.com/firebasejs/11.6.1/firebase-firestore.js";
+import {
+    ref,
+    uploadBytes
+} from "https://www.gstatic.com/firebasejs/11.6.1/firebase-storage.js";
+import { toCsv } from './download.js';
+import { FIELD } from './field-mapping.js';
+import { hashFile, parseLoadFileHash, dupeGroupIdFor } from './hashing.js';
+
+const DEFAULT_CONCURRENCY = 6;
+// Records per Firestore batch; each record is two writes (doc + manifest item)
+const RECORDS_PER_BATCH = 50;
+const MAX_RETRIES = 4;
+const RETRY_BASE_DELAY_MS = 500;
+// Bytes at the start of a .dat read into its job ID
+const JOB_ID_CONTENT_BYTES = 1024 * 1024;
+
+// Error codes worth retrying: network blips, throttling and server hiccups
+const TRANSIENT_ERROR_CODES = new Set([
+    'storage/retry-limit-exceeded',
+    'storage/unknown',
+    'storage/server-file-wrong-size',
+    'unavailable',
+    'deadline-exceeded',
+    'resource-exhausted',
+    'aborted',
+    'internal'
+]);
+
+/**
+ * Returns true for errors that are likely to succeed on a retry.
+ * @param {Error} error
+ * @returns {boolean}
+ */
+export function isTransientError(error) {
+    if (!error) return false;
+    if (TRANSIENT_ERROR_CODES.has(error.code)) return true;
+    // fetch() network failures surface as a bare TypeError
+    return error instanceof TypeError || /network|timeout|timed out/i.test(error.message || '');
+}
+
+/**
+ * Runs fn, retrying transient failures with exponential backoff.
+ * @param {Function} fn - Async function to run.
+ * @param {number} [retries] - Attempts after the first.
+ * @returns {Promise<*>} The result of fn.
+ */
+export async function withRetry(fn, retries = MAX_RETRIES) {
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await fn();
+        } catch (error) {
+            if (attempt >= retries || !isTransientError(error)) throw error;
+            const delay = RETRY_BASE_DELAY_MS * 2 ** attempt * (0.5 + Math.random());
+            console.warn(`Transient error (attempt ${attempt + 1}/${retries + 1}), retrying in ${Math.round(delay)}ms:`, error.message);
+            await new Promise(resolve => setTimeout(resolve, delay));
+        }
+    }
+}
+
+/**
+ * Derives a stable job ID for a volume so selecting the same load file again
+ * resumes the same job. Vendors reuse .dat names, so the ID also covers the
+ * start of the file's content (its header and first records).
+ * @param {File} datFile - The volume's .dat file.
+ * @param {string} [mode] - 'full' or 'overlay'; the same .dat loaded in the
+ *   other mode is a different volume.
+ * @returns {Promise<string>} A hex ID.
+ */
+export async function volumeJobId(datFile, mode = 'full') {
+    const toHex = (digest) => Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+    const head = toHex(await crypto.subtle.digest('SHA-1', await datFile.slice(0, JOB_ID_CONTENT_BYTES).arrayBuffer()));
+    const key = `${datFile.name}|${datFile.size}|${head}${mode === 'overlay' ? '|overlay' : ''}`;
+    return toHex(await crypto.subtle.digest('SHA-1', new TextEncoder().encode(key))).slice(0, 20);
+}
+
+/**
+ * Looks up an existing manifest for a volume.
+ * @returns {Promise<Object|null>} The job document, or null.
+ */
+export async function getIngestJob(db, appId, userId, jobId) {
+    const snapshot = await getDoc(doc(db, `artifacts/${appId}/users/${userId}/ingestJobs`, jobId));
+    return snapshot.exists() ? { id: snapshot.id, ...snapshot.data() } : null;
+}
+
+/**
+ * Works out the hash fields stored on a document. A usable MD5 or SHA-1 in
+ * the load file's hash column is trusted as-is; otherwise the native is
+ * hashed (MD5 and SHA-1) while it is read. A load file SHA-1 alone is joined
+ * by the native's MD5, so the document groups with copies from volumes whose
+ * hashes were computed (see dupeGroupIdFor()).
+ * @param {Object} record - Canonical record.
+ * @param {File|Object|null} nativeFile - The native to hash, if any.
+ * @returns {Promise<Object>} { md5Hash, sha1Hash, hashSource, dupeGroupId }, or {} with no hash.
+ */
+export async function documentHashFields(record, nativeFile) {
+    let hashes = parseLoadFileHash(record[FIELD.hash]);
+    let hashSource = 'load file';
+    if (!hashes && nativeFile) {
+        hashes = await hashFile(nativeFile);
+        hashSource = 'computed';
+    } else if (hashes && !hashes.md5 && nativeFile) {
+        hashes = { md5: (await hashFile(nativeFile)).md5, sha1: hashes.sha1 };
+        hashSource = 'load file and computed';
+    }
+    if (!hashes) return {};
+    return {
+        md5Hash: hashes.md5 || null,
+        sha1Hash: hashes.sha1 || null,
+        hashSource,
+        dupeGroupId: dupeGroupIdFor(hashes)
+    };
+}
+
+/**
+ * Runs (or resumes) an ingest job.
+ *
+ * planRecord(record) describes one record's work and returns
+ *   { docId, uploads: [{ kind: 'native'|'text'|'image', sourcePath, file, storagePath, bates }] }
+ * where file is a File (or a zip-reader entry) and is null when the load file
+ * points at a file that was not found.
+ * In overlay mode planRecord only needs to return { docId }.
+ *
+ * @param {Object} params
+ * @param {Object} params.db - Firestore instance.
+ * @param {Object} params.storage - Storage instance.
+ * @param {string} params.appId
+ * @param {string} params.userId
+ * @param {string} params.jobId - From volumeJobId().
+ * @param {Object} params.volume - Descriptive fields stored on the manifest (file name, size...).
+ * @param {Array<Object>} params.records - Canonical records to ingest.
+ * @param {Function} params.planRecord - See above.
+ * @param {string} [params.mode] - 'full' (default) or 'overlay'.
+ * @param {Array<string>} [params.overlayFields] - Fields merged in overlay mode.
+ * @param {number} [params.concurrency] - Records processed in parallel.
+ * @param {Function} [params.onProgress] - Called with { done, failed, skipped, total, replaced, exceptions }.
+ * @returns {Promise<Object>} { jobId, runId, done, failed, skipped, total, replaced, exceptions, resumed }
+ */
+export async function runIngestJob({
+    db, storage, appId, userId, jobId, volume, records, planRecord,
+    mode = 'full', overlayFields = [],
+    concurrency = DEFAULT_CONCURRENCY, onProgress = () => {}
+}) {
+    if (mode === 'overlay' && overlayFields.length === 0) {
+        throw new Error('Select at least one field to overlay.');
+    }
+    const jobsPath = `artifacts/${appId}/users/${userId}/ingestJobs`;
+    const jobRef = doc(db, jobsPath, jobId);
+    const itemsPath = `${jobsPath}/${jobId}/items`;
+    const docsPath = `artifacts/${appId}/users/${userId}/docs`;
+
+    // --- 1. Open or resume the manifest ---
+    const existing = await getIngestJob(db, appId, userId, jobId);
+    const resumed = !!existing && !['completed', 'completed_with_errors', 'rolled_back'].includes(existing.status);
+    const runId = resumed ? existing.runId : `${Date.now()}`;
+
+    const doneIds = new Set();
+    const exceptions = [];
+    if (resumed) {
+        const itemsSnapshot = await getDocs(query(collection(db, itemsPath), where('runId', '==', runId)));
+        itemsSnapshot.forEach(item => {
+            const data = item.data();
+            if (data.status === 'done') {
+                doneIds.add(item.id);
+                exceptions.push(...(data.exceptions || []));
+            }
+        });
+        console.log(`Resuming ingest job ${jobId}: ${doneIds.size} of ${records.length} records already done.`);
+    }
+
+    const now = new Date();
+    await setDoc(jobRef, {
+        ...volume,
+        mode,
+        overlayFields: mode === 'overlay' ? overlayFields : [],
+        runId,
+        status: 'running',
+        totalRecords: records.length,
+        ...(resumed ? {} : { startedAt: now, doneCount: 0, failedCount: 0, exceptionCount: 0, replacedCount: 0 }),
+        updatedAt: now
+    }, { merge: true });
+
+    const stats = { done: doneIds.size, failed: 0, skipped: doneIds.size, total: records.length, replaced: 0, exceptions };
+    onProgress(stats);
+
+    // --- 2. Batched Firestore writes ---
+    let pending = [];
+    let flushChain = Promise.resolve();
+
+    // A batch that still fails after its retries fails its records (the
+    // items are not written, so a resumed run retries them) and rejects with
+    // error.recordsFailed set; the batches after it are still written.
+    function flush() {
+        if (pending.length === 0) return flushChain;
+        const toWrite = pending;
+        pending = [];
+        const written = flushChain.then(() => withRetry(async () => {
+            const batch = writeBatch(db);
+            for (const { docId, data, item } of toWrite) {
+                if (data && mode === 'overlay') batch.set(doc(db, docsPath, docId), data, { merge: true });
+                else if (data) batch.set(doc(db, docsPath, docId), data);
+                batch.set(doc(db, itemsPath, docId), item);
+            }
+            batch.set(jobRef, {
+                doneCount: stats.done,
+                failedCount: stats.failed,
+                exceptionCount: stats.exceptions.length,
+                replacedCount: (resumed ? existing.replacedCount || 0 : 0) + stats.replaced,
+                updatedAt: new Date()
+            }, { merge: true });
+            await batch.commit();
+        })).catch((error) => {
+            console.error(`Failed to save a batch of ${toWrite.length} records:`, error);
+            for (const { docId, item } of toWrite) {
+                if (item.status === 'done') {
+                    stats.done--;
+                    stats.failed++;
+                }
+                stats.exceptions.push({ docId, kind: 'record', sourcePath: '', problem: 'failed', message: `Not saved: ${error.message || String(error)}` });
+            }
+            onProgress(stats);
+            error.recordsFailed = true;
+            throw error;
+        });
+        flushChain = written.catch(() => {});
+        return written;
+    }
+
+    // --- 3. Per-record work ---
+
+    /**
+     * Reads the document's current state for the manifest. When an earlier
+     * run of this same volume already wrote the document, the state recorded
+     * by that run is kept so a rollback still goes back to before the volume.
+     */
+    async function readPriorState(docId) {
+        const snapshot = await withRetry(() => getDoc(doc(db, docsPath, docId)));
+        if (!snapshot.exists()) return { exists: false, previous: null };
+        const current = snapshot.data();
+        const alreadyApplied = mode === 'overlay'
+            ? (current.overlayVolumeIds || []).includes(jobId)
+            : current.volumeId === jobId;
+        if (alreadyApplied) {
+            const itemSnapshot = await withRetry(() => getDoc(doc(db, itemsPath, docId)));
+            if (itemSnapshot.exists()) {
+                const item = itemSnapshot.data();
+                return { exists: true, previous: item.previous || null, previousMissing: item.previousMissing, change: item.change };
+            }
+        }
+        return { exists: true, previous: current };
+    }
+
+    async function processOverlayRecord(record) {
+        const { docId } = planRecord(record);
+        const prior = await readPriorState(docId);
+        if (!prior.exists) {
+            const exception = { docId, kind: 'record', sourcePath: '', problem: 'missing', message: 'No existing document with this Beg Bates to overlay' };
+            stats.done++;
+            stats.exceptions.push(exception);
+            pending.push({ docId, data: null, item: { runId, status: 'done', change: 'none', exceptions: [exception], updatedAt: new Date() } });
+            return;
+        }
+
+        const fields = {};
+        for (const field of overlayFields) {
+            if (field in record) fields[field] = record[field];
+        }
+        // A hash overlay also regroups the document's duplicates
+        if (FIELD.hash in fields) {
+            Object.assign(fields, await documentHashFields(fields, null));
+        }
+
+        // Keep the overwritten values (and which fields did not exist yet) for rollback
+        let previousValues = {};
+        let previousMissing = [];
+        if (prior.change === 'overlaid') {
+            previousValues = prior.previous || {};
+            previousMissing = prior.previousMissing || [];
+        } else {
+            for (const field of Object.keys(fields)) {
+                if (field in prior.previous) previousValues[field] = prior.previous[field];
+                else previousMissing.push(field);
+            }
+        }
+        const data = { ...fields, overlayVolumeIds: arrayUnion(jobId) };
+
+        stats.done++;
+        pending.push({
+            docId,
+            data,
+            item: { runId, status: 'done', change: 'overlaid', previous: previousValues, previousMissing, exceptions: [], updatedAt: new Date() }
+        });
+    }
+
+    async function processRecord(record) {
+        if (mode === 'overlay') {
+            await processOverlayRecord(record);
+            onProgress(stats);
+            if (pending.length >= RECORDS_PER_BATCH) await flush();
+            return;
+        }
+
+        const { docId, uploads } = planRecord(record);
+        const prior = await readPriorState(docId);
+        const recordExceptions = [];
+        const uploaded = [];
+        let uploadFailed = false;
+
+        for (const upload of uploads) {
+            if (!upload.file) {
+                recordExceptions.push({ docId, kind: upload.kind, sourcePath: upload.sourcePath, problem: 'missing', message: 'File referenced by the load file was not found' });
+                continue;
+            }
+            try {
+                // Entries from a zipped volume are inflated just before upload
+                const body = typeof upload.file.blob === 'function' ? await upload.file.blob() : upload.file;
+                await withRetry(() => uploadBytes(ref(storage, upload.storagePath), body));
+                uploaded.push(upload);
+            } catch (error) {
+                console.error(`Failed to upload ${upload.kind} ${upload.sourcePath}:`, error);
+                uploadFailed = true;
+                recordExceptions.push({ docId, kind: upload.kind, sourcePath: upload.sourcePath, problem: 'failed', message: error.message || String(error) });
+            }
+        }
+
+        let hashFields = {};
+        const nativeUpload = uploads.find(u => u.kind === 'native' && u.file);
+        try {
+            hashFields = await documentHashFields(record, nativeUpload ? nativeUpload.file : null);
+        } catch (error) {
+            console.error(`Failed to hash ${docId}:`, error);
+            recordExceptions.push({ docId, kind: 'native', sourcePath: nativeUpload.sourcePath, problem: 'failed', message: `Could not hash the native: ${error.message || error}` });
+        }
+
+        const native = uploaded.find(u => u.kind === 'native');
+        const text = uploaded.find(u => u.kind === 'text');
+        const data = {
+            ...record, // Add all metadata from the .dat
+            ...hashFields,
+            nativeStoragePath: native ? native.storagePath : null,
+            textStoragePath: text ? text.storagePath : null,
+            imagePages: uploaded.filter(u => u.kind === 'image').map(u => ({ bates: u.bates, storagePath: u.storagePath })),
+            volumeId: jobId
+        };
+
+        const change = prior.change || (prior.previous ? 'replaced' : 'added');
+        if (change === 'replaced' && !prior.change) {
+            console.warn(`${docId} already exists and is being replaced by volume ${jobId}.`);
+            stats.replaced++;
+        }
+
+        // A failed upload leaves the item "failed" so a resumed run retries it
+        const status = uploadFailed ? 'failed' : 'done';
+        if (uploadFailed) stats.failed++; else stats.done++;
+        stats.exceptions.push(...recordExceptions);
+        pending.push({
+            docId,
+            data,
+            item: {
+                runId,
+                status,
+                change,
+                previous: prior.previous,
+                storagePaths: uploaded.map(u => u.storagePath),
+                exceptions: recordExceptions,
+                updatedAt: new Date()
+            }
+        });
+        onProgress(stats);
+        if (pending.length >= RECORDS_PER_BATCH) await flush();
+    }
+
+    // --- 4. Bounded-concurrency worker pool ---
+    const queue = records.filter(record => !doneIds.has(planRecord(record).docId));
+    let next = 0;
+    async function worker() {
+        while (next < queue.length) {
+            const record = queue[next++];
+            try {
+                await processRecord(record);
+            } catch (error) {
+                // Counted already, with the rest of its batch
+                if (error.recordsFailed) continue;
+                const docId = planRecord(record).docId;
+                console.error(`Failed to ingest ${docId}:`, error);
+                stats.failed++;
+                stats.exceptions.push({ docId, kind: 'record', sourcePath: '', problem: 'failed', message: error.message || String(error) });
+                onProgress(stats);
+            }
+        }
+    }
+
+    try {
+        await Promise.all(Array.from({ length: Math.min(concurrency, queue.length) }, worker));
+        await flush().catch((error) => {
+            if (!error.recordsFailed) throw error;
+        });
+    } catch (error) {
+        await setDoc(jobRef, { status: 'failed', error: error.message || String(error), updatedAt: new Date() }, { merge: true });
+        throw error;
+    }
+
+    const status = stats.failed > 0 ? 'failed' : (stats.exceptions.length > 0 ? 'completed_with_errors' : 'completed');
+    await setDoc(jobRef, {
+        status,
+        doneCount: stats.done,
+        failedCount: stats.failed,
+        exceptionCount: stats.exceptions.length,
+        replacedCount: (resumed ? existing.replacedCount || 0 : 0) + stats.replaced,
+        completedAt: new Date(),
+        updatedAt: new Date()
+    }, { merge: true });
+
+    return { jobId, runId, resumed, ...stats };
+}
+
+/**
+ * Builds the exception report for missing or failed natives, texts and images.
+ * @param {Array<Object>} exceptions - From runIngestJob().
+ * @returns {string} CSV content.
+ */
+export function buildExceptionReportCsv(exceptions) {
+    const rows = [['Beg Bates', 'File Type', 'Load File Path', 'Problem', 'Details']];
+    for (const e of exceptions) {
+        rows.push([e.docId, e.kind, e.sourcePath, e.problem, e.message]);
+    }
+    return toCsv(rows);
+}
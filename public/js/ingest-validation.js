@@ -0,0 +1,144 @@
+// Pre-ingest validation ("dry run") for production volumes.
+//
+// Cross-checks the parsed load file against the selected folders without
+// uploading or writing anything, so problems with a volume are found before
+// any partial data lands in Firestore.
+
+import { FIELD } from './field-mapping.js';
+import { toCsv } from './download.js';
+
+/**
+ * Splits a Bates number into its prefix and trailing number.
+ * "ABC-0000123" -> { prefix: "ABC-", number: 123, width: 7 }
+ * @param {string} bates
+ * @returns {Object|null} null when the value has no trailing digits.
+ */
+export function parseBates(bates) {
+    const match = /^(.*?)(\d+)$/.exec(String(bates || '').trim());
+    if (!match) return null;
+    return { prefix: match[1], number: parseInt(match[2], 10), width: match[2].length };
+}
+
+/**
+ * Finds overlapping and non-contiguous Bates ranges.
+ * Each record's range runs from Beg Bates to End Bates (or to Beg Bates when
+ * there is no End Bates). Ranges are compared within each Bates prefix.
+ * @param {Array<Object>} records - Canonical records.
+ * @returns {Array<Object>} { type: 'overlap'|'gap'|'invalid'|'unparseable', docId, otherDocId, message }
+ */
+export function findBatesRangeProblems(records) {
+    const problems = [];
+    const byPrefix = new Map();
+
+    for (const record of records) {
+        const docId = record[FIELD.begBates];
+        const beg = parseBates(docId);
+        const end = parseBates(record[FIELD.endBates] || docId);
+        if (!beg || !end) {
+            problems.push({ type: 'unparseable', docId, otherDocId: '', message: 'Bates number has no numeric part' });
+            continue;
+        }
+        if (end.prefix !== beg.prefix || end.number < beg.number) {
+            problems.push({ type: 'invalid', docId, otherDocId: '', message: `End Bates ${record[FIELD.endBates]} is not after Beg Bates ${docId}` });
+            continue;
+        }
+        if (!byPrefix.has(beg.prefix)) byPrefix.set(beg.prefix, []);
+        byPrefix.get(beg.prefix).push({ docId, beg: beg.number, end: end.number, width: beg.width, prefix: beg.prefix });
+    }
+
+    for (const ranges of byPrefix.values()) {
+        ranges.sort((a, b) => a.beg - b.beg || a.end - b.end);
+        for (let i = 1; i < ranges.length; i++) {
+            const prev = ranges[i - 1];
+            const curr = ranges[i];
+            if (curr.beg <= prev.end) {
+                problems.push({ type: 'overlap', docId: curr.docId, otherDocId: prev.docId, message: `${curr.docId} starts inside the range of ${prev.docId}` });
+            } else if (curr.beg > prev.end + 1) {
+                const format = n => prev.prefix + String(n).padStart(prev.width, '0');
+                const missingFrom = format(prev.end + 1);
+                const missingTo = format(curr.beg - 1);
+                problems.push({
+                    type: 'gap',
+                    docId: curr.docId,
+                    otherDocId: prev.docId,
+                    message: missingFrom === missingTo ? `${missingFrom} is missing` : `${missingFrom} to ${missingTo} are missing`
+                });
+            }
+        }
+    }
+    return problems;
+}
+
+/**
+ * Builds the dry-run report for a volume.
+ * @param {Object} params
+ * @param {Array<Object>} params.records - Canonical (mapped) records.
+ * @param {Array<Object>} params.rejects - Rows the .dat parser rejected.
+ * @param {Function} params.planRecord - Same planner the ingest job uses.
+ * @param {Object<string, Map>} params.fileMaps - kind -> Map(lookup key -> File).
+ * @returns {Object} { recordCount, missingFiles, unreferencedFiles, duplicateBates, rangeProblems, fieldCountProblems, issueCount }
+ */
+export function validateVolume({ records, rejects, planRecord, fileMaps }) {
+    const missingFiles = [];
+    const referenced = new Set();
+    const batesCounts = new Map();
+
+    for (const record of records) {
+        const docId = record[FIELD.begBates];
+        if (!docId) continue;
+        batesCounts.set(docId, (batesCounts.get(docId) || 0) + 1);
+
+        for (const upload of planRecord(record).uploads) {
+            if (upload.file) referenced.add(upload.file);
+            else missingFiles.push({ docId, kind: upload.kind, sourcePath: upload.sourcePath });
+        }
+    }
+
+    const unreferencedFiles = [];
+    for (const [kind, map] of Object.entries(fileMaps)) {
+        for (const [key, file] of map) {
+            if (!referenced.has(file)) unreferencedFiles.push({ kind, path: key, size: file.size });
+        }
+    }
+
+    const duplicateBates = [...batesCounts]
+        .filter(([, count]) => count > 1)
+        .map(([docId, count]) => ({ docId, count }));
+
+    // Ranges are checked once per Bates value so duplicates are not also reported as overlaps
+    const seen = new Set();
+    const uniqueRecords = records.filter(record => {
+        const docId = record[FIELD.begBates];
+        if (!docId || seen.has(docId)) return false;
+        seen.add(docId);
+        return true;
+    });
+    const rangeProblems = findBatesRangeProblems(uniqueRecords);
+
+    const fieldCountProblems = rejects.map(r => ({ line: r.line, message: r.reason }));
+
+    return {
+        recordCount: records.length,
+        missingFiles,
+        unreferencedFiles,
+        duplicateBates,
+        rangeProblems,
+        fieldCountProblems,
+        issueCount: missingFiles.length + unreferencedFiles.length + duplicateBates.length + rangeProblems.length + fieldCountProblems.length
+    };
+}
+
+/**
+ * Flattens a validation report into CSV rows.
+ * @param {Object} report - From validateVolume().
+ * @returns {string} CSV content.
+ */
+export function buildValidationReportCsv(report) {
+    const rows = [['Issue', 'Beg Bates / Line', 'Related', 'Details']];
+    for (const m of report.missingFiles) rows.push(['Missing file', m.docId, m.kind, m.sourcePath]);
+    for (const u of report.unreferencedFiles) rows.push(['Unreferenced file', '', u.kind, u.path]);
+    for (const d of report.duplicateBates) rows.push(['Duplicate Beg Bates', d.docId, '', `appears ${d.count} times`]);
+    for (const r of report.rangeProblems) rows.push([`Bates ${r.type}`, r.docId, r.otherDocId, r.message]);
+    for (const f of report.fieldCountProblems) rows.push(['Wrong field count', `line ${f.line}`, '', f.message]);
+    return toCsv(rows);
+}
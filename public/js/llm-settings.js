@@ -0,0 +1,61 @@
+// A matter's AI model settings, kept in settings/ai: the model that answers
+// questions and drafts privilege descriptions, its temperature and the most
+// it may write in one reply. The browser edits them (see ai-settings.js) and
+// the Cloud Functions read them before every model call. This module is
+// shared with the functions (see functions/copy-shared.js).
+
+export const DEFAULT_LLM_SETTINGS = {
+    model: 'gemini-2.5-flash',
+    temperature: 0.3,
+    maxOutputTokens: 8192
+};
+
+export const LLM_SETTING_LIMITS = {
+    temperature: { min: 0, max: 2 },
+    maxOutputTokens: { min: 256, max: 65536 }
+};
+
+const MODEL_NAME = /^[A-Za-z0-9][A-Za-z0-9._-]{0,99}$/;
+
+/**
+ * Checks settings entered for a matter.
+ * @param {{model: string, temperature: number|string, maxOutputTokens: number|string}} settings
+ * @returns {{model: string, temperature: number, maxOutputTokens: number}}
+ * @throws {Error} Naming the first setting out of range.
+ */
+export function validateLlmSettings({ model, temperature, maxOutputTokens }) {
+    const name = String(model ?? '').trim().replace(/^models\//, '');
+    if (!MODEL_NAME.test(name)) {
+        throw new Error('Enter a model name such as gemini-2.5-flash.');
+    }
+    const temp = Number(temperature);
+    const { min: minTemp, max: maxTemp } = LLM_SETTING_LIMITS.temperature;
+    if (String(temperature ?? '').trim() === '' || !(temp >= minTemp && temp <= maxTemp)) {
+        throw new Error(`Temperature must be between ${minTemp} and ${maxTemp}.`);
+    }
+    const tokens = Number(maxOutputTokens);
+    const { min: minTokens, max: maxTokens } = LLM_SETTING_LIMITS.maxOutputTokens;
+    if (!Number.isInteger(tokens) || tokens < minTokens || tokens > maxTokens) {
+        throw new Error(`Maximum reply length must be a whole number of tokens from ${minTokens.toLocaleString()} to ${maxTokens.toLocaleString()}.`);
+    }
+    return { model: name, temperature: temp, maxOutputTokens: tokens };
+}
+
+/**
+ * The settings in effect, given those saved for a matter: any missing or
+ * invalid value is the default.
+ * @param {Object} [saved]
+ * @returns {{model: string, temperature: number, maxOutputTokens: number}}
+ */
+export function resolveLlmSettings(saved) {
+    const resolved = { ...DEFAULT_LLM_SETTINGS };
+    for (const key of Object.keys(DEFAULT_LLM_SETTINGS)) {
+        if (saved?.[key] === undefined) continue;
+        try {
+            resolved[key] = validateLlmSettings({ ...resolved, [key]: saved[key] })[key];
+        } catch {
+            // Keep the default
+        }
+    }
+    return resolved;
+}
@@ -0,0 +1,53 @@
+// The canonical load file fields: the roles a vendor's .dat headers are
+// mapped onto (see field-mapping.js) and the field names they are stored
+// under on a document. Kept apart from the mapping, which reads and saves
+// profiles in Firestore, so the functions can share it (see
+// functions/copy-shared.js).
+
+/**
+ * Canonical roles, the field name each is stored under on a document, and
+ * header aliases used for auto-detection (compared after normalizeHeader()).
+ */
+export const CANONICAL_FIELDS = [
+    { role: 'begBates', field: 'Beg Bates', label: 'Begin Bates', required: true,
+      aliases: ['begbates', 'begdoc', 'prodbegbates', 'begno', 'bates', 'batesbegin', 'begindoc', 'startbates', 'docid', 'controlnumber'] },
+    { role: 'endBates', field: 'End Bates', label: 'End Bates',
+      aliases: ['endbates', 'enddoc', 'prodendbates', 'endno', 'batesend', 'enddocid'] },
+    { role: 'begAttach', field: 'Beg Attach', label: 'Begin Attachment',
+      aliases: ['begattach', 'begattachment', 'prodbegattach', 'attachbegin', 'begfamily', 'begattachbates', 'groupbegin'] },
+    { role: 'endAttach', field: 'End Attach', label: 'End Attachment',
+      aliases: ['endattach', 'endattachment', 'prodendattach', 'attachend', 'endfamily', 'endattachbates', 'groupend'] },
+    { role: 'parentId', field: '_ParentID', label: 'Parent ID',
+      aliases: ['parentid', 'parentdocid', 'parentbates', 'parent', 'parentdoc', 'parentcontrolnumber'] },
+    { role: 'nativePath', field: 'NativeFile', label: 'Native Path',
+      aliases: ['nativefile', 'nativelink', 'nativepath', 'native', 'filepath', 'doclink', 'nativefilepath'] },
+    { role: 'textPath', field: 'OCRPath', label: 'Text Path',
+      aliases: ['ocrpath', 'textpath', 'textlink', 'extractedtext', 'text', 'ocr', 'textfile', 'fulltext'] },
+    { role: 'from', field: '_From', label: 'From',
+      aliases: ['from', 'emailfrom', 'author', 'sender'] },
+    { role: 'to', field: '_To', label: 'To',
+      aliases: ['to', 'emailto', 'recipient', 'recipients'] },
+    { role: 'cc', field: '_CC', label: 'CC',
+      aliases: ['cc', 'emailcc'] },
+    { role: 'bcc', field: '_BCC', label: 'BCC',
+      aliases: ['bcc', 'emailbcc'] },
+    { role: 'subject', field: '_Subject', label: 'Subject',
+      aliases: ['subject', 'emailsubject', 'title'] },
+    { role: 'messageId', field: '_MessageID', label: 'Message ID',
+      aliases: ['messageid', 'internetmessageid', 'msgid', 'emailmessageid', 'intmsgid'] },
+    { role: 'inReplyTo', field: '_InReplyTo', label: 'In Reply To',
+      aliases: ['inreplyto', 'inreplytoid', 'emailinreplyto', 'replytoid'] },
+    { role: 'references', field: '_References', label: 'References',
+      aliases: ['references', 'emailreferences', 'internetreferences'] },
+    { role: 'sentDate', field: '_SentDate', label: 'Sent Date',
+      aliases: ['sentdate', 'datesent', 'emailsentdate', 'date', 'docdate', 'datecreated'] },
+    { role: 'custodian', field: '_Custodian', label: 'Custodian',
+      aliases: ['custodian', 'custodians', 'allcustodians', 'owner'] },
+    { role: 'hash', field: '_Hash', label: 'Hash',
+      aliases: ['hash', 'md5hash', 'md5', 'sha1hash', 'sha1', 'hashvalue', 'filehash'] }
+];
+
+/**
+ * Canonical field names by role, e.g. FIELD.begBates === 'Beg Bates'.
+ */
+export const FIELD = Object.fromEntries(CANONICAL_FIELDS.map(f => [f.role, f.field]));
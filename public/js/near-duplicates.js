@@ -0,0 +1,163 @@
+// Near-duplicate detection: documents whose text is nearly the same, such as
+// drafts of one memo or a letter sent to several recipients.
+//
+// A document's text is cut into overlapping word shingles (runs of
+// SHINGLE_SIZE words), and a MinHash signature of SIGNATURE_SIZE values
+// summarizes the set: the share of positions where two signatures agree
+// estimates the Jaccard similarity of the two shingle sets. Candidate pairs
+// come from locality-sensitive hashing over bands of the signature, so
+// documents are never compared all against all. This module is shared with
+// the Cloud Functions (see functions/copy-shared.js), which run the analysis.
+
+import { tokenize } from './text-analysis.js';
+
+export const SHINGLE_SIZE = 5;
+export const SIGNATURE_SIZE = 64;
+export const DEFAULT_NEAR_DUPLICATE_THRESHOLD = 0.8;
+
+// 16 bands of 4 rows: pairs at 0.8 similarity share a band with probability ~0.9996, at 0.5 ~0.64
+const LSH_BANDS = 16;
+const LSH_ROWS = SIGNATURE_SIZE / LSH_BANDS;
+// Texts with fewer shingles than this are too short to compare meaningfully
+const MIN_SHINGLES = 10;
+// Larger buckets (boilerplate shared by many documents) are compared against their first member only
+const MAX_PAIRWISE_BUCKET = 50;
+
+/**
+ * 32-bit FNV-1a hash of a string.
+ * @param {string} value
+ * @returns {number} An unsigned 32-bit integer.
+ */
+export function hashString(value) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < value.length; i++) {
+        hash ^= value.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+// MurmurHash3's finalizer, used to derive the signature's hash functions
+function mix(value) {
+    value ^= value >>> 16;
+    value = Math.imul(value, 0x85ebca6b);
+    value ^= value >>> 13;
+    value = Math.imul(value, 0xc2b2ae35);
+    value ^= value >>> 16;
+    return value >>> 0;
+}
+
+const SEEDS = Array.from({ length: SIGNATURE_SIZE }, (_, i) => mix(0x9e3779b9 + i));
+
+/**
+ * Hashes the distinct word shingles of a text.
+ * @param {string|Array<string>} text - Text, or tokens from tokenize().
+ * @param {number} [size] - Words per shingle.
+ * @returns {Set<number>}
+ */
+export function shingleHashes(text, size = SHINGLE_SIZE) {
+    const tokens = Array.isArray(text) ? text : tokenize(text);
+    const hashes = new Set();
+    for (let i = 0; i + size <= tokens.length; i++) {
+        hashes.add(hashString(tokens.slice(i, i + size).join(' ')));
+    }
+    return hashes;
+}
+
+/**
+ * The MinHash signature of a text.
+ * @param {string} text
+ * @returns {Array<number>|null} SIGNATURE_SIZE values, or null when the text is too short to compare.
+ */
+export function minHashSignature(text) {
+    const shingles = shingleHashes(text);
+    if (shingles.size < MIN_SHINGLES) return null;
+    const signature = new Array(SIGNATURE_SIZE).fill(0xffffffff);
+    for (const shingle of shingles) {
+        for (let i = 0; i < SIGNATURE_SIZE; i++) {
+            const value = mix(shingle ^ SEEDS[i]);
+            if (value < signature[i]) signature[i] = value;
+        }
+    }
+    return signature;
+}
+
+/**
+ * Estimates the similarity of two texts from their signatures.
+ * @param {Array<number>} a
+ * @param {Array<number>} b
+ * @returns {number} From 0 to 1.
+ */
+export function signatureSimilarity(a, b) {
+    let same = 0;
+    for (let i = 0; i < SIGNATURE_SIZE; i++) {
+        if (a[i] === b[i]) same++;
+    }
+    return same / SIGNATURE_SIZE;
+}
+
+/**
+ * Groups documents whose signatures are at least threshold similar, directly
+ * or through other members. Each group's pivot is its longest text (then the
+ * lowest Beg Bates), and each member is scored against it.
+ * @param {Array<{docId: string, signature: Array<number>|null, length: number}>} items - length in words.
+ * @param {number} [threshold]
+ * @returns {Array<{pivot: string, members: Array<{docId: string, similarity: number}>}>}
+ *   Groups of two or more, members pivot first then by similarity.
+ */
+export function groupNearDuplicates(items, threshold = DEFAULT_NEAR_DUPLICATE_THRESHOLD) {
+    const comparable = items.filter(item => item.signature);
+    const parent = comparable.map((_, i) => i);
+    const find = (i) => {
+        while (parent[i] !== i) i = parent[i] = parent[parent[i]];
+        return i;
+    };
+    const join = (i, j) => {
+        if (find(i) === find(j)) return;
+        if (signatureSimilarity(comparable[i].signature, comparable[j].signature) >= threshold) {
+            parent[find(i)] = find(j);
+        }
+    };
+
+    for (let band = 0; band < LSH_BANDS; band++) {
+        const buckets = new Map();
+        comparable.forEach((item, i) => {
+            const key = item.signature.slice(band * LSH_ROWS, (band + 1) * LSH_ROWS).join(',');
+            if (!buckets.has(key)) buckets.set(key, []);
+            buckets.get(key).push(i);
+        });
+        for (const bucket of buckets.values()) {
+            if (bucket.length < 2) continue;
+            if (bucket.length > MAX_PAIRWISE_BUCKET) {
+                for (const i of bucket.slice(1)) join(bucket[0], i);
+                continue;
+            }
+            for (let a = 0; a < bucket.length; a++) {
+                for (let b = a + 1; b < bucket.length; b++) join(bucket[a], bucket[b]);
+            }
+        }
+    }
+
+    const groups = new Map();
+    comparable.forEach((item, i) => {
+        const root = find(i);
+        if (!groups.has(root)) groups.set(root, []);
+        groups.get(root).push(item);
+    });
+
+    const compareBates = (a, b) => a.docId.localeCompare(b.docId, undefined, { numeric: true });
+    const result = [];
+    for (const members of groups.values()) {
+        if (members.length < 2) continue;
+        const pivot = members.reduce((best, item) => (
+            item.length > best.length || (item.length === best.length && compareBates(item, best) < 0) ? item : best
+        ));
+        result.push({
+            pivot: pivot.docId,
+            members: members
+                .map(item => ({ docId: item.docId, similarity: item === pivot ? 1 : signatureSimilarity(item.signature, pivot.signature) }))
+                .sort((a, b) => (b.docId === pivot.docId) - (a.docId === pivot.docId) || b.similarity - a.similarity || compareBates(a, b))
+        });
+    }
+    return result;
+}
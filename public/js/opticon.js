@@ -0,0 +1,86 @@
+// Opticon (.opt) image cross-reference support.
+//
+// An Opticon load file has one line per page image:
+//   ImageKey,VolumeName,ImagePath,DocumentBreak,FolderBreak,BoxBreak,PageCount
+// e.g.
+//   ABC000001,VOL001,IMAGES\001\ABC000001.tif,Y,,,3
+//   ABC000002,VOL001,IMAGES\001\ABC000002.tif,,,,
+//   ABC000003,VOL001,IMAGES\001\ABC000003.tif,,,,
+// A "Y" in DocumentBreak starts a new document whose first ImageKey is the
+// document's Beg Bates.
+
+/**
+ * Parses the text content of an Opticon .opt file.
+ * @param {string} optContent - The full text content of the .opt file.
+ * @returns {Array<Object>} One entry per page image, in file order.
+ */
+export function parseOPT(optContent) {
+    const lines = optContent.replace(/^\uFEFF/, '').split(/\r\n?|\n/);
+    const pages = [];
+
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+        if (line.trim() === '') continue;
+
+        const fields = line.split(',');
+        if (fields.length < 4) {
+            console.warn(`Skipping malformed .opt line ${i + 1}: expected at least 4 fields, got ${fields.length}`);
+            continue;
+        }
+
+        const [bates, volume, imagePath, docBreak, folderBreak, boxBreak, pageCount] = fields.map(f => (f || '').trim());
+        if (!bates || !imagePath) {
+            console.warn(`Skipping .opt line ${i + 1}: missing image key or path`);
+            continue;
+        }
+
+        pages.push({
+            bates,
+            volume,
+            imagePath,
+            documentBreak: docBreak.toUpperCase() === 'Y',
+            folderBreak: folderBreak.toUpperCase() === 'Y',
+            boxBreak: boxBreak.toUpperCase() === 'Y',
+            pageCount: pageCount ? parseInt(pageCount, 10) || null : null,
+            line: i + 1
+        });
+    }
+
+    console.log(`Parsed ${pages.length} page entries from .opt file.`);
+    return pages;
+}
+
+/**
+ * Groups Opticon page entries into documents keyed by Beg Bates.
+ * Pages that appear before the first document break are attached to a
+ * document of their own so they are not silently lost.
+ * @param {Array<Object>} pages - Output of parseOPT().
+ * @returns {Map<string, Array<Object>>} Beg Bates -> ordered page entries.
+ */
+export function groupPagesByDocument(pages) {
+    const documents = new Map();
+    let currentPages = null;
+
+    for (const page of pages) {
+        if (page.documentBreak || !currentPages) {
+            currentPages = [];
+            documents.set(page.bates, currentPages);
+        }
+        currentPages.push(page);
+    }
+
+    return documents;
+}
+
+/**
+ * Normalizes a load-file image path into the same lookup key used for
+ * folder uploads: backslashes become slashes, a leading "./" and the top
+ * folder name are dropped, and the result is upper-cased.
+ * "IMAGES\001\ABC000001.tif" -> "001/ABC000001.TIF"
+ * @param {string} path - The ImagePath value from the .opt file.
+ * @returns {string} The lookup key.
+ */
+export function imagePathKey(path) {
+    const clean = path.replace(/\\/g, '/').replace(/^(\.\/)+/, '').replace(/^\/+/, '');
+    return clean.substring(clean.indexOf('/') + 1).toUpperCase();
+}
@@ -0,0 +1,194 @@
+// Detection of personal and sensitive data in extracted text.
+//
+// Each detector finds candidates with a pattern and scores them: structure
+// that can be checked (Luhn for card numbers, the ABA checksum for routing
+// numbers, the number ranges never issued as SSNs) and a label such as "SSN"
+// or "routing" shortly before the match raise the confidence. Numbers that
+// are only sensitive in context (bare 9-digit SSNs, bank accounts, routing
+// numbers, dates of birth) are reported only after such a label. This module
+// is shared with the Cloud Functions (see functions/copy-shared.js), which
+// run the sweep.
+
+export const PII_TYPES = {
+    ssn: 'Social Security number',
+    creditCard: 'Credit card number',
+    bankAccount: 'Bank account number',
+    routingNumber: 'Routing number',
+    dateOfBirth: 'Date of birth',
+    phone: 'Phone number',
+    email: 'Email address',
+    address: 'Postal address'
+};
+
+// A document's detections beyond this are dropped (the sweep records that it happened)
+export const MAX_DETECTIONS_PER_DOC = 500;
+
+// How far before a match a label is looked for
+const LABEL_WINDOW = 40;
+
+const MONTH = '(?:Jan(?:uary)?|Feb(?:ruary)?|Mar(?:ch)?|Apr(?:il)?|May|June?|July?|Aug(?:ust)?|Sep(?:t(?:ember)?)?|Oct(?:ober)?|Nov(?:ember)?|Dec(?:ember)?)';
+const DATE = `(?:\\d{1,2}[/.-]\\d{1,2}[/.-](?:\\d{4}|\\d{2})|\\d{4}-\\d{2}-\\d{2}|${MONTH}\\.? \\d{1,2},? \\d{4}|\\d{1,2} ${MONTH}\\.? \\d{4})`;
+const STREET_SUFFIX = '(?:Street|St|Avenue|Ave|Road|Rd|Boulevard|Blvd|Lane|Ln|Drive|Dr|Court|Ct|Way|Place|Pl|Parkway|Pkwy|Highway|Hwy|Terrace|Ter|Circle|Cir|Square|Sq)';
+
+const LABELS = {
+    ssn: /\b(?:ssn|ss#|soc(?:ial)?\.? ?sec(?:urity)?(?: ?(?:no|number|#))?)\b/i,
+    phone: /\b(?:phone|tel|telephone|cell|mobile|fax|ph)\b/i,
+    routingNumber: /\b(?:routing|aba|rtn|transit)\b/i
+};
+
+/**
+ * Luhn checksum, as used by card numbers.
+ * @param {string} digits
+ * @returns {boolean}
+ */
+export function luhnValid(digits) {
+    let sum = 0;
+    for (let i = 0; i < digits.length; i++) {
+        let digit = Number(digits[digits.length - 1 - i]);
+        if (i % 2 === 1) {
+            digit *= 2;
+            if (digit > 9) digit -= 9;
+        }
+        sum += digit;
+    }
+    return digits.length > 0 && sum % 10 === 0;
+}
+
+/**
+ * ABA routing number checksum and Federal Reserve prefix.
+ * @param {string} digits - Nine digits.
+ * @returns {boolean}
+ */
+export function routingNumberValid(digits) {
+    if (!/^\d{9}$/.test(digits)) return false;
+    const prefix = Number(digits.slice(0, 2));
+    const validPrefix = prefix <= 12 || (prefix >= 21 && prefix <= 32) || (prefix >= 61 && prefix <= 72) || prefix === 80;
+    const d = [...digits].map(Number);
+    const checksum = 3 * (d[0] + d[3] + d[6]) + 7 * (d[1] + d[4] + d[7]) + (d[2] + d[5] + d[8]);
+    return validPrefix && checksum % 10 === 0;
+}
+
+function cardBrandKnown(digits) {
+    return /^(?:4\d{12}(?:\d{3}){0,2}|5[1-5]\d{14}|2(?:2[2-9][1-9]|2[3-9]\d|[3-6]\d\d|7[01]\d|720)\d{12}|3[47]\d{13}|6(?:011|5\d\d)\d{12,15}|35\d{14})$/.test(digits);
+}
+
+function labelledBefore(text, start, label) {
+    return label.test(text.slice(Math.max(0, start - LABEL_WINDOW), start));
+}
+
+// Each detector yields { start, end, confidence } for one type
+const DETECTORS = {
+    *ssn(text) {
+        for (const match of text.matchAll(/\b(?!000|666|9\d\d)\d{3}([- ])(?!00)\d{2}\1(?!0000)\d{4}\b/g)) {
+            const labelled = labelledBefore(text, match.index, LABELS.ssn);
+            yield { start: match.index, end: match.index + match[0].length, confidence: labelled ? 0.99 : 0.85 };
+        }
+        for (const match of text.matchAll(/\b(?!000|666|9\d\d)\d{3}(?!00)\d{2}(?!0000)\d{4}\b/g)) {
+            if (!labelledBefore(text, match.index, LABELS.ssn)) continue;
+            yield { start: match.index, end: match.index + match[0].length, confidence: 0.8 };
+        }
+    },
+
+    *creditCard(text) {
+        for (const match of text.matchAll(/\b\d(?:[ -]?\d){12,18}\b/g)) {
+            const digits = match[0].replace(/\D/g, '');
+            // No card number starts with 0 or repeats one digit; zero-padded control numbers do
+            if (digits[0] === '0' || /^(\d)\1*$/.test(digits) || !luhnValid(digits)) continue;
+            yield { start: match.index, end: match.index + match[0].length, confidence: cardBrandKnown(digits) ? 0.95 : 0.6 };
+        }
+    },
+
+    *bankAccount(text) {
+        for (const match of text.matchAll(/\b(?:account|acct|a\/c)\b(?:\s*(?:no|number|num|#))?[\s.:#-]*(\d[\d -]{4,20}\d)\b/gi)) {
+            const digits = match[1].replace(/\D/g, '');
+            if (digits.length < 6 || digits.length > 17) continue;
+            const start = match.index + match[0].length - match[1].length;
+            yield { start, end: start + match[1].length, confidence: 0.8 };
+        }
+    },
+
+    *routingNumber(text) {
+        for (const match of text.matchAll(/\b\d{9}\b/g)) {
+            if (!routingNumberValid(match[0]) || !labelledBefore(text, match.index, LABELS.routingNumber)) continue;
+            yield { start: match.index, end: match.index + 9, confidence: 0.9 };
+        }
+    },
+
+    *dateOfBirth(text) {
+        const pattern = new RegExp(`\\b(?:d\\.?o\\.?b\\.?|date of birth|birth ?date|born(?: on)?)[\\s:.-]*(${DATE})`, 'gi');
+        for (const match of text.matchAll(pattern)) {
+            const start = match.index + match[0].length - match[1].length;
+            yield { start, end: start + match[1].length, confidence: 0.9 };
+        }
+    },
+
+    *phone(text) {
+        for (const match of text.matchAll(/(?<![\w+])(?:\+?1[ .-]?)?(?:\([2-9]\d{2}\) ?|[2-9]\d{2}[ .-])\d{3}[ .-]\d{4}\b/g)) {
+            const labelled = labelledBefore(text, match.index, LABELS.phone);
+            yield { start: match.index, end: match.index + match[0].length, confidence: labelled ? 0.95 : 0.8 };
+        }
+        for (const match of text.matchAll(/(?<![\w+])\+[2-9]\d{0,2}(?:[ .-]?\d){7,12}\b/g)) {
+            const labelled = labelledBefore(text, match.index, LABELS.phone);
+            yield { start: match.index, end: match.index + match[0].length, confidence: labelled ? 0.9 : 0.7 };
+        }
+    },
+
+    *email(text) {
+        for (const match of text.matchAll(/\b[A-Za-z0-9._%+-]+@[A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)*\.[A-Za-z]{2,}\b/g)) {
+            yield { start: match.index, end: match.index + match[0].length, confidence: 0.99 };
+        }
+    },
+
+    *address(text) {
+        const street = new RegExp(
+            `\\b\\d{1,6}[ \\t]+(?:[A-Z][A-Za-z0-9.'-]*[ \\t]+){1,4}${STREET_SUFFIX}\\b\\.?` +
+            `(?:,?[ \\t]+(?:Apt|Suite|Ste|Unit|#)\\.?[ \\t]*[\\w-]+)?` +
+            `(?:,?\\s+([A-Z][A-Za-z.' -]{1,30}),[ \\t]*[A-Z]{2}[ \\t]+\\d{5}(?:-\\d{4})?\\b)?`,
+            'g'
+        );
+        for (const match of text.matchAll(street)) {
+            yield { start: match.index, end: match.index + match[0].length, confidence: match[1] ? 0.9 : 0.6 };
+        }
+        for (const match of text.matchAll(/\bP\.? ?O\.? Box \d+\b/gi)) {
+            yield { start: match.index, end: match.index + match[0].length, confidence: 0.7 };
+        }
+    }
+};
+
+/**
+ * Finds personal and sensitive data in a text. Where detections overlap,
+ * the most confident (then the longest) is kept.
+ * @param {string} text
+ * @returns {Array<{type: string, start: number, end: number, text: string, confidence: number}>}
+ *   In text order; type is a PII_TYPES key.
+ */
+export function detectPii(text) {
+    const candidates = [];
+    for (const [type, detect] of Object.entries(DETECTORS)) {
+        for (const found of detect(text)) candidates.push({ type, ...found });
+    }
+    candidates.sort((a, b) => b.confidence - a.confidence || (b.end - b.start) - (a.end - a.start) || a.start - b.start);
+
+    const kept = [];
+    for (const candidate of candidates) {
+        if (kept.some(other => candidate.start < other.end && other.start < candidate.end)) continue;
+        kept.push(candidate);
+    }
+    return kept
+        .sort((a, b) => a.start - b.start)
+        .map(detection => ({ ...detection, text: text.slice(detection.start, detection.end) }));
+}
+
+/**
+ * The text around a detection, for reviewing it without opening the document.
+ * @param {string} text
+ * @param {{start: number, end: number}} detection
+ * @param {number} [radius] - Characters shown on each side.
+ * @returns {string}
+ */
+export function detectionContext(text, { start, end }, radius = 40) {
+    const before = text.slice(Math.max(0, start - radius), start);
+    const after = text.slice(end, end + radius);
+    return `${start > radius ? '…' : ''}${before}${text.slice(start, end)}${after}${end + radius < text.length ? '…' : ''}`
+        .replace(/\s+/g, ' ');
+}
@@ -0,0 +1,165 @@
+// PII sweeps: the results of the startPiiScan / runPiiScan Cloud Functions,
+// and turning their detections into proposed redactions.
+//
+// A sweep is kept in piiScans/{scanId}, with its status (running, complete,
+// cancelled or failed) and running counts, and each document with detections
+// in piiScans/{scanId}/detections/{Beg Bates}:
+//   { docId, detections: [{ type, start, end, text, confidence, context }], truncated }
+// The functions write both; the browser only reads them and cancels sweeps.
+
+import {
+    doc,
+    getDoc,
+    getDocs,
+    updateDoc,
+    collection,
+    query,
+    orderBy,
+    limit,
+    onSnapshot
+} from "https://www.gstatic.com/firebasejs/11.6.1/firebase-firestore.js";
+import { PII_TYPES } from './pii-detection.js';
+import { loadRedactions, saveProposedRedactions, newRedactionId } from './redactions.js';
+
+// Documents whose proposals are saved at a time
+const PROPOSE_CONCURRENCY = 8;
+
+const scansPath = (appId, userId) => `artifacts/${appId}/users/${userId}/piiScans`;
+
+/**
+ * Listens to the most recent sweep.
+ * @param {Function} onChange - Called with the sweep ({ id, ...fields }) or null.
+ * @param {Function} onError
+ * @returns {Function} Unsubscribes.
+ */
+export function listenToLatestPiiScan(db, appId, userId, onChange, onError) {
+    const latest = query(collection(db, scansPath(appId, userId)), orderBy('createdAt', 'desc'), limit(1));
+    return onSnapshot(latest, (snapshot) => {
+        const [scan] = snapshot.docs;
+        onChange(scan ? { id: scan.id, ...scan.data() } : null);
+    }, onError);
+}
+
+/**
+ * Stops a running sweep after the part in progress. Detections already
+ * recorded are kept.
+ * @returns {Promise<void>}
+ */
+export async function cancelPiiScan(db, appId, userId, scanId) {
+    await updateDoc(doc(db, scansPath(appId, userId), scanId), { status: 'cancelled', updatedAt: new Date() });
+}
+
+/**
+ * Loads every document's detections from a sweep.
+ * @returns {Promise<Map<string, Object>>} Beg Bates -> { docId, detections, truncated }.
+ */
+export async function loadPiiDetections(db, appId, userId, scanId) {
+    const snapshot = await getDocs(collection(db, scansPath(appId, userId), scanId, 'detections'));
+    const byDocId = new Map();
+    snapshot.forEach(d => byDocId.set(d.id, d.data()));
+    return byDocId;
+}
+
+/**
+ * Loads one document's detections from a sweep.
+ * @returns {Promise<Array<Object>>} Empty if the sweep found nothing in it.
+ */
+export async function loadDocumentPiiDetections(db, appId, userId, scanId, docId) {
+    const snapshot = await getDoc(doc(db, scansPath(appId, userId), scanId, 'detections', docId));
+    return snapshot.exists() ? snapshot.data().detections : [];
+}
+
+/**
+ * Flattens a sweep's detections into report rows, filtered.
+ * @param {Map<string, Object>} detectionsByDocId - From loadPiiDetections().
+ * @param {Object} filters - { type (a PII_TYPES key or ''), minConfidence, docIds (a Set, or null for all) }
+ * @returns {Array<Object>} Detections with their docId, in Beg Bates then text order.
+ */
+export function filterPiiDetections(detectionsByDocId, { type = '', minConfidence = 0, docIds = null } = {}) {
+    const rows = [];
+    const ordered = [...detectionsByDocId.keys()].sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+    for (const docId of ordered) {
+        if (docIds && !docIds.has(docId)) continue;
+        for (const detection of detectionsByDocId.get(docId).detections) {
+            if (type && detection.type !== type) continue;
+            if (detection.confidence < minConfidence) continue;
+            rows.push({ docId, ...detection });
+        }
+    }
+    return rows;
+}
+
+/**
+ * Counts report rows by type.
+ * @param {Array<Object>} rows - From filterPiiDetections().
+ * @returns {Array<{type: string, label: string, count: number}>} Every type, in PII_TYPES order.
+ */
+export function countPiiByType(rows) {
+    const counts = new Map(Object.keys(PII_TYPES).map(type => [type, 0]));
+    for (const row of rows) counts.set(row.type, (counts.get(row.type) || 0) + 1);
+    return [...counts].map(([type, count]) => ({ type, label: PII_TYPES[type] || type, count }));
+}
+
+/**
+ * The proposed redactions for a document's detections, leaving out any
+ * already proposed or redacted at the same offsets.
+ * @param {Object} record - The document's redactions.
+ * @param {Array<Object>} detections
+ * @param {string} reason - The redaction reason given to each span.
+ * @returns {Array<Object>} New spans for record.proposedSpans.
+ */
+export function proposedSpansFor(record, detections, reason) {
+    const taken = new Set([...record.textSpans, ...record.proposedSpans].map(span => `${span.start}:${span.end}`));
+    const spans = [];
+    for (const detection of detections) {
+        const key = `${detection.start}:${detection.end}`;
+        if (taken.has(key)) continue;
+        taken.add(key);
+        spans.push({
+            id: newRedactionId(),
+            start: detection.start,
+            end: detection.end,
+            quote: detection.text,
+            reason,
+            piiType: detection.type,
+            confidence: detection.confidence
+        });
+    }
+    return spans;
+}
+
+/**
+ * Adds detections to their documents' proposed redactions, for a reviewer to
+ * accept or reject in Review. See proposedSpansFor().
+ * @param {Array<Object>} rows - From filterPiiDetections().
+ * @param {string} reason - The redaction reason given to each span.
+ * @param {Function} [onProgress] - Called with (documents done, total).
+ * @returns {Promise<{docIds: Array<string>, proposed: number}>} The documents changed and the spans added.
+ */
+export async function proposePiiRedactions(db, appId, userId, rows, reason, onProgress = () => {}) {
+    const rowsByDocId = new Map();
+    for (const row of rows) {
+        if (!rowsByDocId.has(row.docId)) rowsByDocId.set(row.docId, []);
+        rowsByDocId.get(row.docId).push(row);
+    }
+
+    const docIds = [];
+    let proposed = 0;
+    let done = 0;
+    const pending = [...rowsByDocId];
+    const worker = async () => {
+        while (pending.length > 0) {
+            const [docId, docRows] = pending.shift();
+            const record = await loadRedactions(db, appId, userId, docId);
+            const added = proposedSpansFor(record, docRows, reason);
+            if (added.length > 0) {
+                await saveProposedRedactions(db, appId, userId, record, [...record.proposedSpans, ...added]);
+                docIds.push(docId);
+                proposed += added.length;
+            }
+            onProgress(++done, rowsByDocId.size);
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(PROPOSE_CONCURRENCY, rowsByDocId.size) }, worker));
+    return { docIds, proposed };
+}
@@ -0,0 +1,117 @@
+// Privilege log: one entry per document coded privileged.
+//
+// Entries are built from load file metadata and the document's coding. The
+// description of the basis for each claim is written by a reviewer (or
+// drafted by the draftPrivilegeDescription Cloud Function and edited), and
+// saved with the coding as privilegeDescription.
+
+import { toCsv } from './download.js';
+import { FIELD } from './field-mapping.js';
+
+/**
+ * Log columns, in order.
+ */
+export const PRIVILEGE_LOG_COLUMNS = [
+    { key: 'begBates', label: 'Beg Bates' },
+    { key: 'endBates', label: 'End Bates' },
+    { key: 'date', label: 'Date' },
+    { key: 'author', label: 'Author' },
+    { key: 'recipients', label: 'Recipients' },
+    { key: 'cc', label: 'CC' },
+    { key: 'privilegeType', label: 'Privilege Type' },
+    { key: 'description', label: 'Description' }
+];
+
+/**
+ * Builds the log entries, in Bates order.
+ * @param {Array<Object>} docs - Loaded documents.
+ * @param {Map<string, Object>} codingByDocId - From listenToCoding().
+ * @returns {Array<Object>} Entries with docId, subject (for the reviewer's
+ *   reference, not logged) and a value for each PRIVILEGE_LOG_COLUMNS key.
+ */
+export function buildPrivilegeLog(docs, codingByDocId) {
+    const entries = [];
+    for (const doc of docs) {
+        const coding = codingByDocId.get(doc.id);
+        if (!coding?.privileged) continue;
+        entries.push({
+            docId: doc.id,
+            begBates: doc.id,
+            endBates: doc[FIELD.endBates] || doc.id,
+            date: doc[FIELD.sentDate] || doc._Date || '',
+            author: doc[FIELD.from] || '',
+            recipients: doc[FIELD.to] || '',
+            cc: doc[FIELD.cc] || '',
+            privilegeType: coding.privilegeType || '',
+            description: coding.privilegeDescription || '',
+            subject: doc[FIELD.subject] || doc['File Name'] || ''
+        });
+    }
+    return entries.sort((a, b) => a.begBates.localeCompare(b.begBates));
+}
+
+/**
+ * Builds the log as CSV.
+ * @param {Array<Object>} entries - From buildPrivilegeLog().
+ * @returns {string}
+ */
+export function buildPrivilegeLogCsv(entries) {
+    return toCsv([
+        PRIVILEGE_LOG_COLUMNS.map(column => column.label),
+        ...entries.map(entry => PRIVILEGE_LOG_COLUMNS.map(column => entry[column.key]))
+    ]);
+}
+
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Builds the log as a standalone HTML page laid out for printing (landscape),
+ * e.g. to save as PDF from the browser's print dialog.
+ * @param {Array<Object>} entries - From buildPrivilegeLog().
+ * @param {Object} [options]
+ * @param {string} [options.title]
+ * @returns {string}
+ */
+export function buildPrivilegeLogHtml(entries, { title = 'Privilege Log' } = {}) {
+    const header = PRIVILEGE_LOG_COLUMNS.map(column => `<th>${escapeHtml(column.label)}</th>`).join('');
+    const rows = entries.map(entry =>
+        `<tr>${PRIVILEGE_LOG_COLUMNS.map(column => `<td>${escapeHtml(entry[column.key])}</td>`).join('')}</tr>`
+    ).join('\n');
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+    @page { size: landscape; margin: 0.5in; }
+    body { font-family: Georgia, 'Times New Roman', serif; font-size: 10pt; color: #000; margin: 0.5in; }
+    h1 { font-size: 14pt; text-align: center; margin: 0 0 4pt; }
+    .generated { text-align: center; font-size: 9pt; margin: 0 0 12pt; }
+    table { width: 100%; border-collapse: collapse; }
+    thead { display: table-header-group; }
+    tr { page-break-inside: avoid; }
+    th, td { border: 1px solid #000; padding: 3pt 5pt; text-align: left; vertical-align: top; }
+    th { background: #e5e5e5; }
+    td:nth-child(-n+3) { white-space: nowrap; }
+    @media print { body { margin: 0; } }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<p class="generated">${entries.length} ${entries.length === 1 ? 'entry' : 'entries'} • Generated ${escapeHtml(new Date().toLocaleDateString())}</p>
+<table>
+<thead><tr>${header}</tr></thead>
+<tbody>
+${rows}
+</tbody>
+</table>
+</body>
+</html>
+`;
+}
@@ -0,0 +1,463 @@
+// Productions: renumbering, load files, volume packaging and the Bates
+// cross-reference.
+//
+// Produced documents get new Bates numbers, one per page image (one for a
+// document without images), in original Bates order so families stay
+// together. The volume uses the layout the ingest reads back:
+//   {VOLUME}/DATA/{VOLUME}.dat   Concordance DAT (ASCII 20 / þ / ®, UTF-8)
+//   {VOLUME}/DATA/{VOLUME}.opt   Opticon image cross-reference
+//   {VOLUME}/NATIVES/001/...     natives, named by production Beg Bates
+//   {VOLUME}/TEXT/001/...        extracted text, likewise
+//   {VOLUME}/IMAGES/001/...      page images, named by page Bates
+// Each production is recorded in productions/{id}, with the original to
+// production Bates cross-reference in productions/{id}/xref/{original Beg Bates}.
+//
+// A redacted document is produced from its rendered redactions (see
+// redactions.js): the redacted PDF as its native, numbered by its pages, and
+// the redacted text. Its page images are left out, since they show what was
+// redacted. One with text redactions has no redacted PDF, and is produced
+// as its redacted text alone; one redacted only with boxes has no text.
+
+import {
+    doc,
+    getDoc,
+    getDocs,
+    writeBatch,
+    collection,
+    query,
+    where,
+    orderBy,
+    limit
+} from "https://www.gstatic.com/firebasejs/11.6.1/firebase-firestore.js";
+import {
+    ref,
+    getDownloadURL
+} from "https://www.gstatic.com/firebasejs/11.6.1/firebase-storage.js";
+import { DEFAULT_DAT_OPTIONS } from './dat-parser.js';
+import { FIELD } from './field-mapping.js';
+import { toCsv } from './download.js';
+import { withRetry } from './ingest-job.js';
+import { createZipWriter } from './zip-writer.js';
+import { hasRedactions, hasPendingProposals, isRenderCurrent } from './redactions.js';
+
+export const DEFAULT_PRODUCTION_OPTIONS = {
+    prefix: 'PROD',
+    start: 1,
+    padding: 7,
+    volume: 'VOL001',
+    includeNatives: true,
+    includeText: true,
+    includeImages: true
+};
+
+// Documents per NATIVES/TEXT/IMAGES subfolder
+const DOCS_PER_FOLDER = 1000;
+// Documents whose files are downloaded at the same time
+const DOWNLOAD_CONCURRENCY = 4;
+// Cross-reference entries per Firestore batch
+const XREF_BATCH_SIZE = 400;
+
+/**
+ * Checks production options and fills in defaults.
+ * @param {Object} options
+ * @returns {Object} The options, with start and padding as numbers.
+ */
+export function validateProductionOptions(options) {
+    const merged = { ...DEFAULT_PRODUCTION_OPTIONS, ...options };
+    const prefix = String(merged.prefix || '').trim();
+    const volume = String(merged.volume || '').trim();
+    const start = Number(merged.start);
+    const padding = Number(merged.padding);
+
+    if (!/^[A-Za-z0-9_-]*$/.test(prefix)) {
+        throw new Error('The Bates prefix may only contain letters, digits, "-" and "_".');
+    }
+    if (!/^[A-Za-z0-9_-]+$/.test(volume)) {
+        throw new Error('Enter a volume name of letters, digits, "-" and "_", e.g. VOL001.');
+    }
+    if (!Number.isInteger(start) || start < 0) {
+        throw new Error('The start number must be a whole number of 0 or more.');
+    }
+    if (!Number.isInteger(padding) || padding < 1 || padding > 12) {
+        throw new Error('The number padding must be between 1 and 12 digits.');
+    }
+    return { ...merged, prefix, volume, start, padding };
+}
+
+/**
+ * Formats a Bates number, e.g. formatBates('PROD', 42, 7) === 'PROD0000042'.
+ * @returns {string}
+ */
+export function formatBates(prefix, number, padding) {
+    return `${prefix}${String(number).padStart(padding, '0')}`;
+}
+
+function fileExtension(path) {
+    const name = String(path || '').split('/').pop();
+    const dot = name.lastIndexOf('.');
+    return dot > 0 ? name.slice(dot + 1).toLowerCase() : '';
+}
+
+/**
+ * Numbers the documents to produce.
+ * @param {Array<Object>} docs - The documents to produce.
+ * @param {Object} options - From validateProductionOptions().
+ * @param {Map<string, Object>} [redactionsByDocId] - From listRedactions().
+ * @returns {{entries: Array<Object>, pageCount: number, firstBates: string, lastBates: string}}
+ *   Each entry is { doc, redacted, begBates, endBates, pageBates, begAttach,
+ *   endAttach, folder }, where redacted is the rendered redactions or null.
+ */
+export function planProduction(docs, options, redactionsByDocId = new Map()) {
+    const { prefix, start, padding } = options;
+    const ordered = [...docs].sort((a, b) => a.id.localeCompare(b.id, undefined, { numeric: true }));
+
+    const unreviewed = ordered.filter(doc => hasPendingProposals(redactionsByDocId.get(doc.id)));
+    if (unreviewed.length > 0) {
+        const listed = unreviewed.slice(0, 5).map(doc => doc.id).join(', ');
+        throw new Error(`Accept or reject the proposed redactions of ${unreviewed.length} document(s) first: ${listed}${unreviewed.length > 5 ? ', ...' : ''}`);
+    }
+
+    const unrendered = ordered.filter(doc => {
+        const record = redactionsByDocId.get(doc.id);
+        return hasRedactions(record) && !isRenderCurrent(record);
+    });
+    if (unrendered.length > 0) {
+        const listed = unrendered.slice(0, 5).map(doc => doc.id).join(', ');
+        throw new Error(`Render the redactions of ${unrendered.length} document(s) first: ${listed}${unrendered.length > 5 ? ', ...' : ''}`);
+    }
+
+    let next = start;
+    const entries = ordered.map((doc, index) => {
+        const record = redactionsByDocId.get(doc.id);
+        const redacted = hasRedactions(record) ? record.rendered : null;
+        const imagePages = Array.isArray(doc.imagePages) ? doc.imagePages : [];
+        const pageCount = redacted ? redacted.pageCount : imagePages.length;
+        const pageBates = Array.from({ length: Math.max(1, pageCount) }, (_, i) => formatBates(prefix, next + i, padding));
+        next += pageBates.length;
+        return {
+            doc,
+            redacted,
+            begBates: pageBates[0],
+            endBates: pageBates[pageBates.length - 1],
+            pageBates,
+            begAttach: '',
+            endAttach: '',
+            folder: String(Math.floor(index / DOCS_PER_FOLDER) + 1).padStart(3, '0')
+        };
+    });
+
+    const lastNumber = next - 1;
+    if (entries.length > 0 && String(lastNumber).length > padding) {
+        throw new Error(`The last Bates number (${lastNumber}) does not fit in ${padding} digits. Increase the padding.`);
+    }
+
+    // Attachment ranges span the produced members of each family
+    const families = new Map();
+    for (const entry of entries) {
+        if (!entry.doc.familyId) continue;
+        if (!families.has(entry.doc.familyId)) families.set(entry.doc.familyId, []);
+        families.get(entry.doc.familyId).push(entry);
+    }
+    for (const members of families.values()) {
+        for (const entry of members) {
+            entry.begAttach = members[0].begBates;
+            entry.endAttach = members[members.length - 1].endBates;
+        }
+    }
+
+    return {
+        entries,
+        pageCount: lastNumber - start + 1,
+        firstBates: entries.length ? entries[0].begBates : '',
+        lastBates: entries.length ? entries[entries.length - 1].endBates : ''
+    };
+}
+
+/**
+ * Finds an earlier production whose Bates range overlaps a planned one.
+ * Production numbers must be unique for the cross-reference lookup to work.
+ * @param {Array<Object>} productions - From listProductions().
+ * @param {Object} plan - From planProduction().
+ * @param {Object} options - From validateProductionOptions().
+ * @returns {Object|null} The overlapping production.
+ */
+export function findOverlappingProduction(productions, plan, options) {
+    if (plan.entries.length === 0) return null;
+    const first = options.start;
+    const last = options.start + plan.pageCount - 1;
+    return productions.find(production => {
+        if (production.prefix.toUpperCase() !== options.prefix.toUpperCase()) return false;
+        const produced = (bates) => Number(bates.slice(production.prefix.length));
+        return produced(production.firstBates) <= last && produced(production.lastBates) >= first;
+    }) || null;
+}
+
+/**
+ * Where an entry's files go in the volume, relative to the volume folder.
+ * @returns {{native: string|null, text: string|null, images: Array<string>}}
+ */
+function entryPaths(entry, options) {
+    const { doc, redacted } = entry;
+    if (redacted) {
+        return {
+            native: options.includeNatives && redacted.nativePath ? `NATIVES/${entry.folder}/${entry.begBates}.pdf` : null,
+            text: options.includeText && redacted.textPath ? `TEXT/${entry.folder}/${entry.begBates}.txt` : null,
+            images: []
+        };
+    }
+    const nativeExt = fileExtension(doc.nativeStoragePath);
+    const imagePages = Array.isArray(doc.imagePages) ? doc.imagePages : [];
+    return {
+        native: options.includeNatives && doc.nativeStoragePath
+            ? `NATIVES/${entry.folder}/${entry.begBates}${nativeExt ? `.${nativeExt}` : ''}`
+            : null,
+        text: options.includeText && doc.textStoragePath ? `TEXT/${entry.folder}/${entry.begBates}.txt` : null,
+        images: options.includeImages
+            ? imagePages.map((page, i) => `IMAGES/${entry.folder}/${entry.pageBates[i]}.${fileExtension(page.storagePath) || 'tif'}`)
+            : []
+    };
+}
+
+// Load files use Windows paths relative to the volume folder
+const loadFilePath = (path) => (path ? path.replace(/\//g, '\\') : '');
+
+/**
+ * Fields written to the production DAT. Headers are ones the field mapping
+ * recognizes, so a production can be loaded back in.
+ */
+export const PRODUCTION_DAT_FIELDS = [
+    { header: 'BegBates', value: (entry) => entry.begBates },
+    { header: 'EndBates', value: (entry) => entry.endBates },
+    { header: 'BegAttach', value: (entry) => entry.begAttach },
+    { header: 'EndAttach', value: (entry) => entry.endAttach },
+    { header: 'Custodian', value: (entry) => entry.doc[FIELD.custodian] },
+    { header: 'From', value: (entry) => entry.doc[FIELD.from] },
+    { header: 'To', value: (entry) => entry.doc[FIELD.to] },
+    { header: 'CC', value: (entry) => entry.doc[FIELD.cc] },
+    { header: 'BCC', value: (entry) => entry.doc[FIELD.bcc] },
+    { header: 'Subject', value: (entry) => entry.doc[FIELD.subject] },
+    { header: 'DateSent', value: (entry) => entry.doc[FIELD.sentDate] },
+    { header: 'FileName', value: (entry) => entry.doc['File Name'] },
+    { header: 'Hash', value: (entry) => entry.doc[FIELD.hash] },
+    { header: 'PageCount', value: (entry) => entry.pageBates.length },
+    { header: 'Redacted', value: (entry) => (entry.redacted ? 'Y' : '') },
+    { header: 'NativeLink', value: (entry, paths) => loadFilePath(paths.native) },
+    { header: 'TextLink', value: (entry, paths) => loadFilePath(paths.text) }
+];
+
+/**
+ * Builds the production DAT, with the delimiters parseDatFile() reads by
+ * default and a UTF-8 BOM.
+ * @param {Array<Object>} entries - From planProduction().
+ * @param {Object} options - From validateProductionOptions().
+ * @returns {string}
+ */
+export function buildProductionDat(entries, options) {
+    const { delimiter, quote, newline } = DEFAULT_DAT_OPTIONS;
+    const encode = (value) => {
+        const text = String(value ?? '').replace(/\r\n?|\n/g, newline).split(quote).join(quote + quote);
+        return `${quote}${text}${quote}`;
+    };
+    const lines = [PRODUCTION_DAT_FIELDS.map(field => encode(field.header)).join(delimiter)];
+    for (const entry of entries) {
+        const paths = entryPaths(entry, options);
+        lines.push(PRODUCTION_DAT_FIELDS.map(field => encode(field.value(entry, paths))).join(delimiter));
+    }
+    return '\uFEFF' + lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * Builds the production OPT, one line per page image.
+ * @param {Array<Object>} entries - From planProduction().
+ * @param {Object} options - From validateProductionOptions().
+ * @returns {string}
+ */
+export function buildProductionOpt(entries, options) {
+    const lines = [];
+    for (const entry of entries) {
+        const { images } = entryPaths(entry, options);
+        images.forEach((path, i) => {
+            lines.push([
+                entry.pageBates[i],
+                options.volume,
+                loadFilePath(path),
+                i === 0 ? 'Y' : '',
+                '',
+                '',
+                i === 0 ? images.length : ''
+            ].join(','));
+        });
+    }
+    return lines.length ? lines.join('\r\n') + '\r\n' : '';
+}
+
+/**
+ * Builds the original to production Bates cross-reference as CSV.
+ * @param {Array<Object>} xref - { docId, originalEndBates, begBates, endBates } per document.
+ * @returns {string}
+ */
+export function buildCrossReferenceCsv(xref) {
+    return toCsv([
+        ['Original Beg Bates', 'Original End Bates', 'Production Beg Bates', 'Production End Bates'],
+        ...xref.map(row => [row.docId, row.originalEndBates, row.begBates, row.endBates])
+    ]);
+}
+
+/**
+ * Cross-reference rows for planned entries.
+ * @param {Array<Object>} entries - From planProduction().
+ * @returns {Array<Object>}
+ */
+export function crossReferenceOf(entries) {
+    return entries.map(entry => ({
+        docId: entry.doc.id,
+        originalEndBates: entry.doc[FIELD.endBates] || entry.doc.id,
+        begBates: entry.begBates,
+        endBates: entry.endBates
+    }));
+}
+
+async function downloadStoredFile(storage, storagePath) {
+    return withRetry(async () => {
+        const url = await getDownloadURL(ref(storage, storagePath));
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`Could not download ${storagePath}: ${response.status} ${response.statusText}`);
+        }
+        return response.blob();
+    });
+}
+
+/**
+ * Packages a production volume as a ZIP. Any file that cannot be
+ * downloaded stops the build, since the load files would refer to it.
+ * @param {Object} params
+ * @param {Object} params.storage - Firebase Storage instance.
+ * @param {Array<Object>} params.entries - From planProduction().
+ * @param {Object} params.options - From validateProductionOptions().
+ * @param {Function} [params.onProgress] - Called with (documentsDone, documentCount).
+ * @returns {Promise<Blob>} The ZIP archive.
+ */
+export async function buildProductionVolume({ storage, entries, options, onProgress = () => {} }) {
+    const root = options.volume;
+    const zip = createZipWriter();
+    await zip.add(`${root}/DATA/${root}.dat`, buildProductionDat(entries, options));
+    const opt = buildProductionOpt(entries, options);
+    if (opt) await zip.add(`${root}/DATA/${root}.opt`, opt);
+
+    for (let i = 0; i < entries.length; i += DOWNLOAD_CONCURRENCY) {
+        const chunk = entries.slice(i, i + DOWNLOAD_CONCURRENCY);
+        // Downloads run side by side; files are added in order
+        const files = await Promise.all(chunk.map(async (entry) => {
+            const paths = entryPaths(entry, options);
+            const { doc, redacted } = entry;
+            const downloads = [];
+            if (paths.native) downloads.push([paths.native, redacted ? redacted.nativePath : doc.nativeStoragePath]);
+            if (paths.text) downloads.push([paths.text, redacted ? redacted.textPath : doc.textStoragePath]);
+            paths.images.forEach((path, p) => downloads.push([path, doc.imagePages[p].storagePath]));
+            return Promise.all(downloads.map(async ([path, storagePath]) => {
+                try {
+                    return [path, await downloadStoredFile(storage, storagePath)];
+                } catch (error) {
+                    throw new Error(`${doc.id}: ${error.message}`);
+                }
+            }));
+        }));
+        for (const [path, blob] of files.flat()) {
+            await zip.add(`${root}/${path}`, blob);
+        }
+        onProgress(Math.min(i + DOWNLOAD_CONCURRENCY, entries.length), entries.length);
+    }
+    return zip.finish();
+}
+
+const productionsPath = (appId, userId) => `artifacts/${appId}/users/${userId}/productions`;
+
+/**
+ * Records a production and its Bates cross-reference.
+ * @param {Object} production - Summary fields (volume, prefix, start, padding,
+ *   firstBates, lastBates, docCount, pageCount, source).
+ * @param {Array<Object>} xref - From crossReferenceOf().
+ * @returns {Promise<string>} The production ID.
+ */
+export async function saveProduction(db, appId, userId, production, xref) {
+    const productionRef = doc(collection(db, productionsPath(appId, userId)));
+    for (let i = 0; i < xref.length; i += XREF_BATCH_SIZE) {
+        const batch = writeBatch(db);
+        for (const row of xref.slice(i, i + XREF_BATCH_SIZE)) {
+            batch.set(doc(db, `${productionRef.path}/xref`, row.docId), row);
+        }
+        await withRetry(() => batch.commit());
+    }
+    // Written last, so a production is only listed once its cross-reference is complete
+    const batch = writeBatch(db);
+    batch.set(productionRef, { ...production, createdAt: new Date() });
+    await withRetry(() => batch.commit());
+    return productionRef.id;
+}
+
+/**
+ * Lists the user's productions, newest first.
+ * @returns {Promise<Array<Object>>}
+ */
+export async function listProductions(db, appId, userId) {
+    const snapshot = await getDocs(query(collection(db, productionsPath(appId, userId)), orderBy('createdAt', 'desc')));
+    const productions = [];
+    snapshot.forEach(d => productions.push({ id: d.id, ...d.data() }));
+    return productions;
+}
+
+/**
+ * Loads a production's full cross-reference, in production Bates order.
+ * @returns {Promise<Array<Object>>}
+ */
+export async function loadCrossReference(db, appId, userId, productionId) {
+    const snapshot = await getDocs(query(
+        collection(db, `${productionsPath(appId, userId)}/${productionId}/xref`),
+        orderBy('begBates')
+    ));
+    return snapshot.docs.map(d => d.data());
+}
+
+/**
+ * The production Bates ranges a document was produced under.
+ * @param {Array<Object>} productions - From listProductions().
+ * @param {string} docId - Original Beg Bates.
+ * @returns {Promise<Array<{production: Object, begBates: string, endBates: string}>>}
+ */
+export async function productionsOfDocument(db, appId, userId, productions, docId) {
+    const found = await Promise.all(productions.map(async (production) => {
+        const snapshot = await getDoc(doc(db, `${productionsPath(appId, userId)}/${production.id}/xref`, docId));
+        return snapshot.exists() ? { production, ...snapshot.data() } : null;
+    }));
+    return found.filter(Boolean);
+}
+
+/**
+ * Finds the original document produced under a production Bates number
+ * (any page of it).
+ * @param {Array<Object>} productions - From listProductions().
+ * @param {string} bates - e.g. "PROD0000042".
+ * @returns {Promise<Object|null>} { production, docId, begBates, endBates }, or null.
+ */
+export async function findProducedDocument(db, appId, userId, productions, bates) {
+    const wanted = bates.trim().toUpperCase();
+    for (const production of productions) {
+        const prefix = production.prefix.toUpperCase();
+        const number = wanted.slice(prefix.length);
+        if (!wanted.startsWith(prefix) || number.length !== production.padding || !/^\d+$/.test(number)) continue;
+        if (wanted < production.firstBates.toUpperCase() || wanted > production.lastBates.toUpperCase()) continue;
+
+        // Production numbers of one production share prefix and padding, so they sort as strings
+        const normalized = production.prefix + number;
+        const snapshot = await getDocs(query(
+            collection(db, `${productionsPath(appId, userId)}/${production.id}/xref`),
+            where('begBates', '<=', normalized),
+            orderBy('begBates', 'desc'),
+            limit(1)
+        ));
+        const row = snapshot.docs[0]?.data();
+        if (row && row.endBates >= normalized) return { production, ...row };
+    }
+    return null;
+}
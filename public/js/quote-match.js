@@ -0,0 +1,84 @@
+// Finding a quotation in a document's text, for AI answer citations.
+//
+// A model copying a passage rarely reproduces it byte for byte: line breaks
+// become spaces, typographic quotes and dashes become plain ones, and a
+// long passage is shortened with an ellipsis. The text and the quote are
+// both folded (whitespace runs to one space, quotes and dashes to ASCII,
+// lower case) before matching, and ellipses match any text in between, but
+// every word must be there, in order. This module is shared with the
+// functions (see functions/copy-shared.js), which verify the citations the
+// browser then highlights.
+
+const FOLDED = {
+    '‘': "'", '’': "'", '‚': "'", '‛': "'", '′': "'",
+    '“': '"', '”': '"', '„': '"', '″': '"',
+    '‐': '-', '‑': '-', '‒': '-', '–': '-', '—': '-', '−': '-'
+};
+const ELLIPSIS = /\.\s*\.\s*\.|…|\[\s*\.\.\.\s*\]/;
+const ENCLOSING_QUOTES = /^[\s"'‘’“”]+|[\s"'‘’“”]+$/g;
+
+/**
+ * Folds a text for matching.
+ * @param {string} text
+ * @returns {{folded: string, offsets: Array<number>}} offsets[i] is the index in text of folded[i].
+ */
+function fold(text) {
+    let folded = '';
+    const offsets = [];
+    let inSpace = false;
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+        if (/\s/.test(ch)) {
+            if (!inSpace && folded.length > 0) {
+                folded += ' ';
+                offsets.push(i);
+            }
+            inSpace = true;
+            continue;
+        }
+        inSpace = false;
+        for (const out of (FOLDED[ch] || ch).toLowerCase()) {
+            folded += out;
+            offsets.push(i);
+        }
+    }
+    return { folded, offsets };
+}
+
+/**
+ * The length of a quote once folded, without enclosing quotation marks or
+ * ellipses; too short a quote proves nothing.
+ * @param {string} quote
+ * @returns {number}
+ */
+export function quoteLength(quote) {
+    return String(quote || '').replace(ENCLOSING_QUOTES, '').split(ELLIPSIS)
+        .reduce((sum, fragment) => sum + fold(fragment.trim()).folded.length, 0);
+}
+
+/**
+ * Finds a quote in a text.
+ * @param {string} text
+ * @param {string} quote
+ * @returns {{start: number, end: number}|null} The character range [start, end) in text from the
+ *   first word of the quote to its last, or null if it does not appear.
+ */
+export function locateQuote(text, quote) {
+    const fragments = String(quote || '').replace(ENCLOSING_QUOTES, '').split(ELLIPSIS)
+        .map(fragment => fold(fragment.trim()).folded)
+        .filter(Boolean);
+    if (fragments.length === 0 || !text) return null;
+
+    const { folded, offsets } = fold(text);
+    let from = 0;
+    let start = -1;
+    let end = -1;
+    for (const fragment of fragments) {
+        const at = folded.indexOf(fragment, from);
+        if (at < 0) return null;
+        if (start < 0) start = at;
+        end = at + fragment.length;
+        from = end;
+    }
+    return { start: offsets[start], end: offsets[end - 1] + 1 };
+}
@@ -0,0 +1,89 @@
+// Text redactions: spans of a document's extracted text to withhold, each
+// with a reason label.
+//
+// Spans are character offsets into the decoded text, plus the redacted
+// passage itself (quote). The browser and the Cloud Functions decode text
+// files separately, so a span whose offsets no longer match its quote is
+// found again by its quote. This module is shared with the functions (see
+// functions/copy-shared.js), which apply the same redactions to the text
+// the AI sees.
+
+/**
+ * Whether a document's text is withheld: it is redacted with boxes on its
+ * native but has no text spans, so its text still holds what the boxes hide.
+ * It is produced, and given to the AI, without its text.
+ * @param {Object|null} redactions - As stored: { textSpans, boxes }.
+ * @returns {boolean}
+ */
+export function isTextWithheld(redactions) {
+    return Boolean(redactions?.boxes?.length) && !redactions.textSpans?.length;
+}
+
+/**
+ * The text that replaces a redacted passage.
+ * @param {Array<string>} reasons
+ * @returns {string} e.g. "[REDACTED – PII]"
+ */
+export function redactionLabel(reasons) {
+    return reasons.length ? `[REDACTED – ${reasons.join('; ')}]` : '[REDACTED]';
+}
+
+/**
+ * Resolves spans against a text: each span is placed by its quote when its
+ * offsets do not match it, and overlapping spans are merged.
+ * @param {string} text
+ * @param {Array<{start: number, end: number, quote?: string, reason?: string}>} spans
+ * @returns {Array<{start: number, end: number, reasons: Array<string>}>} In text order.
+ */
+export function locateTextRedactions(text, spans) {
+    const located = [];
+    for (const span of spans || []) {
+        let { start, end } = span;
+        const quote = span.quote || '';
+        if (quote && text.slice(start, end) !== quote) {
+            // The occurrence nearest to where the span was drawn
+            let best = -1;
+            for (let at = text.indexOf(quote); at !== -1; at = text.indexOf(quote, at + 1)) {
+                if (best === -1 || Math.abs(at - start) < Math.abs(best - start)) best = at;
+            }
+            if (best !== -1) {
+                start = best;
+                end = best + quote.length;
+            }
+        }
+        start = Math.max(0, Math.min(start, text.length));
+        end = Math.max(start, Math.min(end, text.length));
+        if (end > start) located.push({ start, end, reasons: span.reason ? [span.reason] : [] });
+    }
+
+    located.sort((a, b) => a.start - b.start);
+    const merged = [];
+    for (const span of located) {
+        const last = merged[merged.length - 1];
+        if (last && span.start <= last.end) {
+            last.end = Math.max(last.end, span.end);
+            for (const reason of span.reasons) {
+                if (!last.reasons.includes(reason)) last.reasons.push(reason);
+            }
+        } else {
+            merged.push({ ...span, reasons: [...span.reasons] });
+        }
+    }
+    return merged;
+}
+
+/**
+ * Replaces each redacted passage with a label naming the reasons.
+ * @param {string} text
+ * @param {Array<Object>} spans - As stored; see locateTextRedactions().
+ * @returns {string} The redacted text.
+ */
+export function applyTextRedactions(text, spans) {
+    let redacted = '';
+    let pos = 0;
+    for (const { start, end, reasons } of locateTextRedactions(text, spans)) {
+        redacted += text.slice(pos, start) + redactionLabel(reasons);
+        pos = end;
+    }
+    return redacted + text.slice(pos);
+}
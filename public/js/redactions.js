@@ -0,0 +1,394 @@
+// Redactions: annotations withholding parts of a document, and the redacted
+// output rendered from them.
+//
+// Each document's redactions are kept in redactions/{Beg Bates}; the ingested
+// files are never changed.
+//   textSpans - spans of the extracted text (see redaction-text.js)
+//   boxes     - rectangles on pages of a PDF or image native:
+//               { id, page (from 1), x, y, width, height, reason }, with
+//               coordinates as fractions of the page size
+//   proposedSpans - text spans suggested by the PII sweep, with the
+//               detection's type and confidence, that a reviewer has yet to
+//               accept (moving them to textSpans) or reject
+//   revision  - incremented on every change to textSpans or boxes
+// Rendering burns the boxes into a new PDF, rasterizing every page so
+// nothing under a box survives, and writes the redacted text. Text spans are
+// not mapped onto the pages, so nothing shows whether boxes cover them: a
+// document with any text spans gets no redacted PDF (rendered.nativeWithheld)
+// and is produced as text only. Likewise one with boxes and no text spans
+// gets no redacted text (rendered.textWithheld). Both go under
+// redacted/{Beg Bates}/ in Storage, and rendered.revision tells whether they
+// are current. Productions use the rendered output; the Cloud Functions
+// redact the text the AI sees from textSpans.
+
+import {
+    doc,
+    getDoc,
+    getDocs,
+    setDoc,
+    collection
+} from "https://www.gstatic.com/firebasejs/11.6.1/firebase-firestore.js";
+import {
+    ref,
+    getDownloadURL,
+    uploadBytes
+} from "https://www.gstatic.com/firebasejs/11.6.1/firebase-storage.js";
+import { withRetry } from './ingest-job.js';
+import { applyTextRedactions, isTextWithheld } from './redaction-text.js';
+
+const PDFJS_URL = 'https://cdn.jsdelivr.net/npm/pdfjs-dist@4.10.38/build/pdf.min.mjs';
+const PDFJS_WORKER_URL = 'https://cdn.jsdelivr.net/npm/pdfjs-dist@4.10.38/build/pdf.worker.min.mjs';
+const PDF_LIB_URL = 'https://cdn.jsdelivr.net/npm/pdf-lib@1.17.1/+esm';
+
+// Redacted pages are rasterized at 144 DPI (PDF pages are sized in points, 1/72 inch)
+const RENDER_SCALE = 2;
+const JPEG_QUALITY = 0.85;
+// Image natives have no physical size; their pixels are taken as CSS pixels
+const IMAGE_POINTS_PER_PIXEL = 0.75;
+
+export const REDACTABLE_IMAGE_TYPES = ['jpg', 'jpeg', 'png', 'gif', 'webp'];
+
+const redactionsPath = (appId, userId) => `artifacts/${appId}/users/${userId}/redactions`;
+
+function nativeType(doc) {
+    return String(doc.nativeStoragePath || '').split('.').pop().toLowerCase();
+}
+
+/**
+ * Whether boxes can be drawn on a document's native: a PDF or an image.
+ * @param {Object} doc
+ * @returns {boolean}
+ */
+export function isRedactableNative(doc) {
+    if (!doc.nativeStoragePath) return false;
+    const type = nativeType(doc);
+    return type === 'pdf' || REDACTABLE_IMAGE_TYPES.includes(type);
+}
+
+/**
+ * A document's redactions before any are made.
+ * @param {string} docId
+ * @returns {Object}
+ */
+export function emptyRedactions(docId) {
+    return { docId, textSpans: [], boxes: [], proposedSpans: [], revision: 0, rendered: null };
+}
+
+/**
+ * @param {Object} [record]
+ * @returns {boolean} Whether anything is redacted.
+ */
+export function hasRedactions(record) {
+    return Boolean(record && (record.textSpans.length > 0 || record.boxes.length > 0));
+}
+
+/**
+ * @param {Object} [record]
+ * @returns {boolean} Whether proposed redactions await review.
+ */
+export function hasPendingProposals(record) {
+    return Boolean(record && record.proposedSpans.length > 0);
+}
+
+/**
+ * @param {Object} [record]
+ * @returns {boolean} Whether the rendered output reflects the current redactions.
+ */
+export function isRenderCurrent(record) {
+    if (!record?.rendered || record.rendered.revision !== record.revision) return false;
+    // Rendered before the PDF or text was withheld, so it may show what is redacted
+    if (record.textSpans.length > 0 && record.rendered.nativePath) return false;
+    return !(isTextWithheld(record) && record.rendered.textPath);
+}
+
+function fromSnapshot(snapshot, docId) {
+    if (!snapshot.exists()) return emptyRedactions(docId);
+    const data = snapshot.data();
+    return {
+        ...emptyRedactions(docId),
+        ...data,
+        textSpans: data.textSpans || [],
+        boxes: data.boxes || [],
+        proposedSpans: data.proposedSpans || []
+    };
+}
+
+/**
+ * Loads a document's redactions.
+ * @returns {Promise<Object>}
+ */
+export async function loadRedactions(db, appId, userId, docId) {
+    return fromSnapshot(await getDoc(doc(db, redactionsPath(appId, userId), docId)), docId);
+}
+
+/**
+ * Loads the redactions of every document that has a record.
+ * @returns {Promise<Map<string, Object>>} Beg Bates -> redactions.
+ */
+export async function listRedactions(db, appId, userId) {
+    const snapshot = await getDocs(collection(db, redactionsPath(appId, userId)));
+    const byDocId = new Map();
+    snapshot.forEach(d => byDocId.set(d.id, fromSnapshot(d, d.id)));
+    return byDocId;
+}
+
+/**
+ * Saves a document's text spans and boxes as a new revision. The rendered
+ * output is left as it is, and so becomes out of date.
+ * @param {Object} record - The document's current redactions.
+ * @param {Object} changes - { textSpans?, boxes?, proposedSpans? }; proposedSpans
+ *   is only written when given, so proposals made meanwhile are not lost.
+ * @returns {Promise<Object>} The saved redactions.
+ */
+export async function saveRedactions(db, appId, userId, record, changes) {
+    const updated = {
+        ...record,
+        ...changes,
+        revision: record.revision + 1,
+        updatedAt: new Date()
+    };
+    const { docId, textSpans, boxes, proposedSpans, revision, updatedAt } = updated;
+    const data = { docId, textSpans, boxes, revision, updatedAt };
+    if (changes.proposedSpans) data.proposedSpans = proposedSpans;
+    await setDoc(doc(db, redactionsPath(appId, userId), docId), data, { merge: true });
+    return updated;
+}
+
+/**
+ * Replaces a document's proposed redactions. Accepted redactions, the
+ * revision and the rendered output are untouched.
+ * @param {Object} record - The document's current redactions.
+ * @param {Array<Object>} proposedSpans
+ * @returns {Promise<Object>} The saved redactions.
+ */
+export async function saveProposedRedactions(db, appId, userId, record, proposedSpans) {
+    await setDoc(doc(db, redactionsPath(appId, userId), record.docId), { docId: record.docId, proposedSpans }, { merge: true });
+    return { ...record, proposedSpans };
+}
+
+/**
+ * Creates an ID for a new text span or box.
+ * @returns {string}
+ */
+export function newRedactionId() {
+    return crypto.randomUUID();
+}
+
+// --- Text selection <-> character offsets ---
+
+/**
+ * The character offsets of the selection within an element showing a
+ * document's text (possibly split across highlight marks).
+ * @param {HTMLElement} root
+ * @returns {{start: number, end: number, quote: string}|null} null when
+ *   nothing inside root is selected.
+ */
+export function textOffsetsOfSelection(root) {
+    const selection = window.getSelection();
+    if (!selection || selection.rangeCount === 0 || selection.isCollapsed) return null;
+    const range = selection.getRangeAt(0);
+    if (!root.contains(range.startContainer) || !root.contains(range.endContainer)) return null;
+
+    const before = document.createRange();
+    before.setStart(root, 0);
+    before.setEnd(range.startContainer, range.startOffset);
+    const start = before.toString().length;
+    const quote = range.toString();
+    return quote ? { start, end: start + quote.length, quote } : null;
+}
+
+/**
+ * A DOM Range covering character offsets of an element's text.
+ * @param {HTMLElement} root
+ * @param {number} start
+ * @param {number} end
+ * @returns {Range|null}
+ */
+export function textRangeAt(root, start, end) {
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+    const range = document.createRange();
+    let pos = 0;
+    let started = false;
+    for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+        const length = node.data.length;
+        if (!started && start <= pos + length) {
+            range.setStart(node, start - pos);
+            started = true;
+        }
+        if (started && end <= pos + length) {
+            range.setEnd(node, end - pos);
+            return range;
+        }
+        pos += length;
+    }
+    return null;
+}
+
+// --- Native pages ---
+
+async function downloadBlob(storage, storagePath) {
+    return withRetry(async () => {
+        const url = await getDownloadURL(ref(storage, storagePath));
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`Could not download ${storagePath}: ${response.status} ${response.statusText}`);
+        }
+        return response.blob();
+    });
+}
+
+/**
+ * Opens a document's native (PDF or image) for drawing its pages.
+ * @param {Object} storage - Firebase Storage instance.
+ * @param {Object} doc
+ * @returns {Promise<{pageCount: number, pageSize: Function, drawPage: Function, close: Function}>}
+ *   pageSize(page) gives the page's { width, height } in points; drawPage(page,
+ *   canvas, scale) draws a page onto a canvas, sizing it. Pages count from 1.
+ */
+export async function openNativePages(storage, doc) {
+    if (!isRedactableNative(doc)) {
+        throw new Error(`Boxes can only be drawn on PDF and image natives, not .${nativeType(doc)} files.`);
+    }
+    const blob = await downloadBlob(storage, doc.nativeStoragePath);
+
+    if (nativeType(doc) !== 'pdf') {
+        const bitmap = await createImageBitmap(blob);
+        const size = { width: bitmap.width * IMAGE_POINTS_PER_PIXEL, height: bitmap.height * IMAGE_POINTS_PER_PIXEL };
+        return {
+            pageCount: 1,
+            pageSize: () => size,
+            async drawPage(page, canvas, scale) {
+                canvas.width = Math.ceil(size.width * scale);
+                canvas.height = Math.ceil(size.height * scale);
+                canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+            },
+            close: () => bitmap.close()
+        };
+    }
+
+    const pdfjs = await import(PDFJS_URL);
+    pdfjs.GlobalWorkerOptions.workerSrc = PDFJS_WORKER_URL;
+    const pdf = await pdfjs.getDocument({ data: new Uint8Array(await blob.arrayBuffer()) }).promise;
+    const sizes = [];
+    for (let page = 1; page <= pdf.numPages; page++) {
+        const { width, height } = (await pdf.getPage(page)).getViewport({ scale: 1 });
+        sizes.push({ width, height });
+    }
+    return {
+        pageCount: pdf.numPages,
+        pageSize: (page) => sizes[page - 1],
+        async drawPage(page, canvas, scale) {
+            const pdfPage = await pdf.getPage(page);
+            const viewport = pdfPage.getViewport({ scale });
+            canvas.width = Math.ceil(viewport.width);
+            canvas.height = Math.ceil(viewport.height);
+            await pdfPage.render({ canvasContext: canvas.getContext('2d'), viewport }).promise;
+        },
+        close: () => pdf.destroy()
+    };
+}
+
+/**
+ * Paints boxes over a drawn page, each labelled with its reason.
+ * @param {HTMLCanvasElement} canvas
+ * @param {Array<Object>} boxes - The page's boxes.
+ */
+export function burnInBoxes(canvas, boxes) {
+    const ctx = canvas.getContext('2d');
+    for (const box of boxes) {
+        const x = box.x * canvas.width;
+        const y = box.y * canvas.height;
+        const width = box.width * canvas.width;
+        const height = box.height * canvas.height;
+        ctx.fillStyle = '#000';
+        ctx.fillRect(x, y, width, height);
+        if (!box.reason) continue;
+
+        const fontSize = Math.min(height * 0.6, 12 * RENDER_SCALE);
+        if (fontSize < 6) continue;
+        ctx.save();
+        ctx.beginPath();
+        ctx.rect(x, y, width, height);
+        ctx.clip();
+        ctx.fillStyle = '#fff';
+        ctx.font = `bold ${fontSize}px sans-serif`;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(box.reason, x + width / 2, y + height / 2);
+        ctx.restore();
+    }
+}
+
+/**
+ * Renders the redacted PDF: every page rasterized with its boxes burned in.
+ * @param {Object} pages - From openNativePages().
+ * @param {Array<Object>} boxes
+ * @param {Function} [onProgress] - Called with (pagesDone, pageCount).
+ * @returns {Promise<Uint8Array>} The PDF.
+ */
+export async function renderRedactedPdf(pages, boxes, onProgress = () => {}) {
+    const { PDFDocument } = await import(PDF_LIB_URL);
+    const output = await PDFDocument.create();
+    const canvas = document.createElement('canvas');
+    for (let page = 1; page <= pages.pageCount; page++) {
+        await pages.drawPage(page, canvas, RENDER_SCALE);
+        burnInBoxes(canvas, boxes.filter(box => box.page === page));
+        const jpeg = await new Promise((resolve, reject) => {
+            canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error(`Could not encode page ${page}.`))), 'image/jpeg', JPEG_QUALITY);
+        });
+        const image = await output.embedJpg(new Uint8Array(await jpeg.arrayBuffer()));
+        const { width, height } = pages.pageSize(page);
+        output.addPage([width, height]).drawImage(image, { x: 0, y: 0, width, height });
+        onProgress(page, pages.pageCount);
+    }
+    return output.save();
+}
+
+/**
+ * Renders a document's redacted PDF (for PDF and image natives redacted by
+ * boxes alone) and redacted text (unless it is redacted by boxes alone), and
+ * records them as current.
+ * @param {Object} params
+ * @param {Object} params.db
+ * @param {Object} params.storage
+ * @param {string} params.appId
+ * @param {string} params.userId
+ * @param {Object} params.doc
+ * @param {Object} params.record - The document's current redactions.
+ * @param {string|null} params.text - The document's extracted text, if it has any.
+ * @param {Function} [params.onProgress] - Called with a status message.
+ * @returns {Promise<Object>} The redactions, with rendered filled in.
+ */
+export async function renderRedactions({ db, storage, appId, userId, doc: sourceDoc, record, text, onProgress = () => {} }) {
+    const folder = `artifacts/${appId}/users/${userId}/redacted/${record.docId}`;
+    const rendered = { revision: record.revision, nativePath: null, textPath: null, pageCount: 1, nativeWithheld: false, textWithheld: false, renderedAt: new Date() };
+
+    if (isRedactableNative(sourceDoc) && record.textSpans.length > 0) {
+        rendered.nativeWithheld = true;
+    } else if (isRedactableNative(sourceDoc)) {
+        onProgress('Opening the native...');
+        const pages = await openNativePages(storage, sourceDoc);
+        try {
+            const pdf = await renderRedactedPdf(pages, record.boxes, (done, count) => onProgress(`Rendering page ${done} of ${count}...`));
+            rendered.nativePath = `${folder}/${record.docId}.pdf`;
+            rendered.pageCount = pages.pageCount;
+            onProgress('Uploading the redacted PDF...');
+            await withRetry(() => uploadBytes(ref(storage, rendered.nativePath), pdf, { contentType: 'application/pdf' }));
+        } finally {
+            pages.close();
+        }
+    }
+
+    if (text !== null && isTextWithheld(record)) {
+        rendered.textWithheld = true;
+    } else if (text !== null) {
+        rendered.textPath = `${folder}/${record.docId}.txt`;
+        const redactedText = new Blob([applyTextRedactions(text, record.textSpans)], { type: 'text/plain;charset=utf-8' });
+        onProgress('Uploading the redacted text...');
+        await withRetry(() => uploadBytes(ref(storage, rendered.textPath), redactedText, { contentType: 'text/plain;charset=utf-8' }));
+    }
+
+    // Only rendered is written, so changes made while rendering are kept (and the output is out of date)
+    await setDoc(doc(db, redactionsPath(appId, userId), record.docId), { rendered }, { merge: true });
+    return { ...record, rendered };
+}
@@ -0,0 +1,455 @@
+// Search query syntax, shared by the Review list and the server-side index.
+//
+//   budget forecast                   both terms (AND is implied)
+//   budget OR forecast, NOT budget    operators are upper case; parentheses group
+//   "quarterly forecast"              exact phrase
+//   budget w/5 forecast               within 5 words of each other, either order
+//   negotiat*                         wildcard: words starting "negotiat"
+//   from:smith  subject:"Q3"          field scoped
+//   date:[2021-01-01 TO 2021-06-30]   inclusive range (* leaves a side open)
+//
+// Terms are stemmed (text-analysis.js), so "negotiation" also finds
+// "negotiating". Operators are upper case only, so a natural-language question
+// ("documents from Danny and Symbio") is read as plain words.
+//
+// parseQuery() builds a tree; evaluateQuery() matches it against a "source",
+// which says where terms occur in a document. createRecordSource() builds one
+// from a document's metadata; the functions build theirs from index postings.
+
+import { analyzeTokens, normalizeText, stem, STOP_WORDS } from './text-analysis.js';
+
+/**
+ * Metadata searched by unscoped terms (the server index also holds the text).
+ * Field names are the canonical ones from field-mapping.js.
+ */
+export const SEARCHABLE_METADATA_FIELDS = ['_Subject', '_From', '_To', '_CC', '_BCC', '_Custodian', 'File Name', 'Notes'];
+
+/**
+ * Field names usable before a colon, and the document fields each one searches.
+ */
+export const SEARCH_FIELDS = {
+    from: ['_From'],
+    to: ['_To'],
+    cc: ['_CC'],
+    bcc: ['_BCC'],
+    subject: ['_Subject'],
+    custodian: ['_Custodian'],
+    date: ['_SentDate', '_Date'],
+    filename: ['File Name'],
+    notes: ['Notes'],
+    bates: ['id']
+};
+
+// Wildcards expand against the words of the collection, looked up by their
+// first letters, so they need a few letters before the first '*'
+export const MIN_WILDCARD_PREFIX = 3;
+
+// Only words made of letters are expanded by wildcards (not Bates numbers or dates)
+export const WILDCARD_WORD = /^\p{L}+$/u;
+
+const OPERATORS = new Set(['AND', 'OR', 'NOT']);
+const NEAR_PATTERN = /^w\/(\d+)$/i;
+
+// --- Lexer ---
+
+function lex(query) {
+    const tokens = [];
+    let i = 0;
+    while (i < query.length) {
+        const ch = query[i];
+        if (/\s/.test(ch)) {
+            i++;
+        } else if (ch === '(' || ch === ')') {
+            tokens.push({ type: ch, at: i });
+            i++;
+        } else if (ch === '"') {
+            const end = query.indexOf('"', i + 1);
+            if (end < 0) throw new Error(`Unclosed quote at position ${i + 1}.`);
+            tokens.push({ type: 'phrase', value: query.slice(i + 1, end), at: i });
+            i = end + 1;
+        } else if (ch === '[') {
+            const end = query.indexOf(']', i + 1);
+            if (end < 0) throw new Error(`Unclosed range at position ${i + 1}.`);
+            const bounds = query.slice(i + 1, end).split(/\s+TO\s+/);
+            if (bounds.length !== 2) throw new Error(`A range is written [from TO to] (position ${i + 1}).`);
+            tokens.push({ type: 'range', from: bounds[0].trim(), to: bounds[1].trim(), at: i });
+            i = end + 1;
+        } else {
+            let end = i;
+            while (end < query.length && !/[\s()"[]/.test(query[end])) end++;
+            const word = query.slice(i, end);
+            const fieldMatch = /^([A-Za-z]+):(.*)$/.exec(word);
+            if (OPERATORS.has(word)) {
+                tokens.push({ type: word, at: i });
+            } else if (NEAR_PATTERN.test(word)) {
+                tokens.push({ type: 'near', distance: parseInt(NEAR_PATTERN.exec(word)[1], 10), at: i });
+            } else if (fieldMatch && SEARCH_FIELDS[fieldMatch[1].toLowerCase()]) {
+                tokens.push({ type: 'field', name: fieldMatch[1].toLowerCase(), at: i });
+                if (fieldMatch[2]) tokens.push({ type: 'word', value: fieldMatch[2], at: i + fieldMatch[1].length + 1 });
+            } else {
+                tokens.push({ type: 'word', value: word, at: i });
+            }
+            i = end;
+        }
+    }
+    return tokens;
+}
+
+// --- Parser ---
+
+function describe(token) {
+    if (!token) return 'end of query';
+    return `"${token.value || token.name || token.type}" at position ${token.at + 1}`;
+}
+
+function phraseNode(text, field) {
+    const analyzed = analyzeTokens(text);
+    if (analyzed.length === 0) return null;
+    if (analyzed.length === 1) return { type: 'term', field, term: analyzed[0].term };
+    const start = analyzed[0].position;
+    return {
+        type: 'phrase',
+        field,
+        text,
+        terms: analyzed.map(({ term, position }) => ({ term, offset: position - start }))
+    };
+}
+
+function wordNode(word, field, at) {
+    if (!word.includes('*')) return phraseNode(word, field);
+
+    const pattern = normalizeText(word);
+    const prefix = pattern.split('*')[0];
+    if (prefix.length < MIN_WILDCARD_PREFIX || !WILDCARD_WORD.test(prefix)) {
+        throw new Error(`Wildcards need at least ${MIN_WILDCARD_PREFIX} letters before the * ("${word}" at position ${at + 1}).`);
+    }
+    const source = pattern.split('*').map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('\\p{L}*');
+    return { type: 'wildcard', field, pattern, prefix, regex: new RegExp(`^${source}$`, 'u') };
+}
+
+const POSITIONAL = new Set(['term', 'phrase', 'wildcard', 'near']);
+
+function isPositional(node) {
+    if (node.type === 'or') return node.children.every(isPositional);
+    return POSITIONAL.has(node.type);
+}
+
+function combine(type, children) {
+    const kept = children.filter(Boolean);
+    if (kept.length === 0) return null;
+    if (kept.length === 1) return kept[0];
+    return { type, children: kept };
+}
+
+function createParser(tokens) {
+    let i = 0;
+    const peek = () => tokens[i];
+    const next = () => tokens[i++];
+
+    function parseOr(field) {
+        const children = [parseAnd(field)];
+        while (peek() && peek().type === 'OR') {
+            next();
+            children.push(parseAnd(field));
+        }
+        return combine('or', children);
+    }
+
+    function parseAnd(field) {
+        const children = [parseNot(field)];
+        while (peek() && peek().type !== ')' && peek().type !== 'OR') {
+            if (peek().type === 'AND') next();
+            children.push(parseNot(field));
+        }
+        return combine('and', children);
+    }
+
+    function parseNot(field) {
+        if (peek() && peek().type === 'NOT') {
+            next();
+            const child = parseNot(field);
+            return child && { type: 'not', child };
+        }
+        return parseNear(field);
+    }
+
+    function parseNear(field) {
+        let left = parsePrimary(field);
+        while (peek() && peek().type === 'near') {
+            const near = next();
+            const right = parsePrimary(field);
+            if (!left || !right) {
+                left = left || right; // a stop word on one side; keep the other
+                continue;
+            }
+            if (!isPositional(left) || !isPositional(right)) {
+                throw new Error(`w/${near.distance} at position ${near.at + 1} can only join words, phrases and OR groups of them.`);
+            }
+            left = { type: 'near', distance: near.distance, children: [left, right] };
+        }
+        return left;
+    }
+
+    function parsePrimary(field) {
+        const token = next();
+        if (!token) throw new Error('The query ends where a search term was expected.');
+        switch (token.type) {
+            case '(': {
+                const node = parseOr(field);
+                if (!peek() || peek().type !== ')') throw new Error(`Missing ) for the ( at position ${token.at + 1}.`);
+                next();
+                return node;
+            }
+            case 'field':
+                return parsePrimary(token.name);
+            case 'phrase':
+                return phraseNode(token.value, field);
+            case 'word':
+                return wordNode(token.value, field, token.at);
+            case 'range':
+                if (!field) throw new Error(`A range needs a field, e.g. date:[2021-01-01 TO 2021-06-30] (position ${token.at + 1}).`);
+                return { type: 'range', field, from: token.from, to: token.to };
+            default:
+                throw new Error(`Unexpected ${describe(token)}.`);
+        }
+    }
+
+    return {
+        parse() {
+            const node = parseOr(null);
+            if (peek()) throw new Error(`Unexpected ${describe(peek())}.`);
+            return node;
+        }
+    };
+}
+
+/**
+ * Parses a search query.
+ * @param {string} query
+ * @returns {Object|null} The query tree, or null when there is nothing to
+ *   search for (e.g. only stop words).
+ * @throws {Error} With a message for the user when the syntax is invalid.
+ */
+export function parseQuery(query) {
+    return createParser(lex(String(query || ''))).parse();
+}
+
+/**
+ * Whether a query is just words (no operators, phrases, fields or wildcards),
+ * i.e. it may be a natural-language question rather than a search.
+ * @param {Object|null} node - From parseQuery().
+ * @returns {boolean}
+ */
+export function isPlainTerms(node) {
+    if (!node) return true;
+    if (node.type === 'term') return !node.field;
+    return node.type === 'and' && node.children.every(child => child.type === 'term' && !child.field);
+}
+
+/**
+ * Lists the leaf nodes (term, phrase, wildcard, range) of a query.
+ * @param {Object|null} node
+ * @returns {Array<Object>}
+ */
+export function queryLeaves(node) {
+    if (!node) return [];
+    if (node.type === 'not') return queryLeaves(node.child);
+    if (node.children) return node.children.flatMap(queryLeaves);
+    return [node];
+}
+
+/**
+ * Lists the leaf nodes of a query outside NOT clauses.
+ * @param {Object|null} node
+ * @returns {Array<Object>}
+ */
+export function positiveLeaves(node) {
+    if (!node || node.type === 'not') return [];
+    if (node.children) return node.children.flatMap(positiveLeaves);
+    return [node];
+}
+
+/**
+ * The stemmed terms a query looks for outside NOT clauses, e.g. for ranking
+ * or highlighting. Wildcards are not included.
+ * @param {Object|null} node
+ * @returns {Array<string>}
+ */
+export function positiveTerms(node) {
+    const terms = positiveLeaves(node).flatMap(leaf => {
+        if (leaf.type === 'term') return [leaf.term];
+        if (leaf.type === 'phrase') return leaf.terms.map(({ term }) => term);
+        return [];
+    });
+    return [...new Set(terms)];
+}
+
+// --- Evaluation ---
+
+/**
+ * Word spans [start, end] where a positional node matches.
+ */
+function spansOf(node, source) {
+    switch (node.type) {
+        case 'term':
+            return source.termPositions(node.field, node.term).map(p => [p, p]);
+        case 'wildcard':
+            return source.wildcardPositions(node.field, node).map(p => [p, p]);
+        case 'phrase': {
+            const [first, ...rest] = node.terms;
+            const others = rest.map(({ term, offset }) => ({ positions: new Set(source.termPositions(node.field, term)), offset }));
+            const last = node.terms[node.terms.length - 1].offset;
+            return source.termPositions(node.field, first.term)
+                .filter(p => others.every(({ positions, offset }) => positions.has(p + offset)))
+                .map(p => [p, p + last]);
+        }
+        case 'or':
+            return node.children.flatMap(child => spansOf(child, source)).sort((a, b) => a[0] - b[0]);
+        case 'near': {
+            const [left, right] = node.children.map(child => spansOf(child, source));
+            const spans = [];
+            for (const l of left) {
+                for (const r of right) {
+                    const gap = Math.max(r[0] - l[1], l[0] - r[1]);
+                    if (gap <= node.distance) spans.push([Math.min(l[0], r[0]), Math.max(l[1], r[1])]);
+                }
+            }
+            return spans;
+        }
+        default:
+            return [];
+    }
+}
+
+/**
+ * Reads a date as YYYY-MM-DD (accepts 2021-06-30, 6/30/2021 and 20210630,
+ * with or without a time after it).
+ * @returns {string|null}
+ */
+function toIsoDate(value) {
+    const text = String(value || '').trim();
+    let match;
+    if ((match = /^(\d{4})-(\d{1,2})-(\d{1,2})/.exec(text))) return `${match[1]}-${match[2].padStart(2, '0')}-${match[3].padStart(2, '0')}`;
+    if ((match = /^(\d{1,2})\/(\d{1,2})\/(\d{4})/.exec(text))) return `${match[3]}-${match[1].padStart(2, '0')}-${match[2].padStart(2, '0')}`;
+    if ((match = /^(\d{4})(\d{2})(\d{2})$/.exec(text))) return `${match[1]}-${match[2]}-${match[3]}`;
+    return null;
+}
+
+function inRange(value, from, to) {
+    const open = (bound) => !bound || bound === '*';
+    const fromDate = open(from) ? '' : toIsoDate(from);
+    const toDate = open(to) ? '' : toIsoDate(to);
+    if (fromDate !== null && toDate !== null && (fromDate || toDate)) {
+        const date = toIsoDate(value);
+        return !!date && (!fromDate || date >= fromDate) && (!toDate || date <= toDate);
+    }
+    const compare = (a, b) => String(a).toLowerCase().localeCompare(String(b).toLowerCase(), undefined, { numeric: true });
+    return (open(from) || compare(value, from) >= 0) && (open(to) || compare(value, to) <= 0);
+}
+
+/**
+ * Matches a parsed query against one document.
+ * @param {Object|null} node - From parseQuery().
+ * @param {Object} source - Where the document's terms occur:
+ *   termPositions(field, term) and wildcardPositions(field, node) return word
+ *   positions (field null = all searchable content); fieldValues(field)
+ *   returns the raw values of a field, for ranges.
+ * @returns {boolean}
+ */
+export function evaluateQuery(node, source) {
+    if (!node) return false;
+    switch (node.type) {
+        case 'and':
+            return node.children.every(child => evaluateQuery(child, source));
+        case 'or':
+            return node.children.some(child => evaluateQuery(child, source));
+        case 'not':
+            return !evaluateQuery(node.child, source);
+        case 'range':
+            return source.fieldValues(node.field).some(value => inRange(value, node.from, node.to));
+        default:
+            return spansOf(node, source).length > 0;
+    }
+}
+
+/**
+ * The document fields a query field searches (unknown names search nothing).
+ * @param {string} field - e.g. 'from'.
+ * @returns {Array<string>}
+ */
+export function fieldsFor(field) {
+    return SEARCH_FIELDS[field] || [];
+}
+
+// Position gap between fields, so phrases and w/N do not match across them
+const FIELD_GAP = 100;
+
+/**
+ * Joins the analyzed tokens of several fields into one run of positions,
+ * each field FIELD_GAP after the last. The server's index is built the same
+ * way (see functions/search-index.js), so the two agree on phrases and w/N.
+ * @param {Array<Array<Object>>} fields - analyzeTokens() of each field, in order.
+ * @returns {Array<Object>}
+ */
+export function joinFieldTokens(fields) {
+    const tokens = [];
+    let offset = 0;
+    for (const analyzed of fields) {
+        for (const token of analyzed) tokens.push({ ...token, position: token.position + offset });
+        if (analyzed.length > 0) offset = tokens[tokens.length - 1].position + FIELD_GAP;
+    }
+    return tokens;
+}
+
+/**
+ * Builds an evaluation source from a document's metadata (its Bates number and
+ * SEARCHABLE_METADATA_FIELDS for unscoped terms; SEARCH_FIELDS when scoped).
+ * @param {Object} doc - A document record (with id).
+ * @returns {Object} For evaluateQuery().
+ */
+export function createRecordSource(doc) {
+    const analyzedFields = new Map();
+    const analyzeField = (key) => {
+        if (!analyzedFields.has(key)) analyzedFields.set(key, analyzeTokens(doc[key] == null ? '' : String(doc[key])));
+        return analyzedFields.get(key);
+    };
+    const tokensFor = (field) => joinFieldTokens((field ? fieldsFor(field) : ['id', ...SEARCHABLE_METADATA_FIELDS]).map(analyzeField));
+    const cache = new Map();
+    const tokensOf = (field) => {
+        const key = field || '';
+        if (!cache.has(key)) cache.set(key, tokensFor(field));
+        return cache.get(key);
+    };
+
+    return {
+        termPositions: (field, term) => tokensOf(field).filter(t => t.term === term).map(t => t.position),
+        wildcardPositions: (field, node) => tokensOf(field)
+            .filter(t => WILDCARD_WORD.test(t.token) && node.regex.test(t.token))
+            .map(t => t.position),
+        fieldValues: (field) => fieldsFor(field).map(key => doc[key]).filter(value => value != null && value !== '')
+    };
+}
+
+/**
+ * The words a wildcard can expand to: digit-free, not stop words, at least
+ * MIN_WILDCARD_PREFIX letters. Used when indexing the collection's words.
+ * @param {string} token - A normalized token.
+ * @returns {boolean}
+ */
+export function isWildcardWord(token) {
+    return token.length >= MIN_WILDCARD_PREFIX && WILDCARD_WORD.test(token) && !STOP_WORDS.has(token);
+}
+
+/**
+ * The stems a wildcard matches among the given words.
+ * @param {Object} node - A wildcard node.
+ * @param {Iterable<string>} words - Candidate words (e.g. from the index lexicon).
+ * @returns {Array<string>}
+ */
+export function expandWildcard(node, words) {
+    const stems = new Set();
+    for (const word of words) {
+        if (node.regex.test(word)) stems.add(stem(word));
+    }
+    return [...stems];
+}
@@ -0,0 +1,53 @@
+// Semantic index builds: the startSemanticIndex / runSemanticIndex Cloud
+// Functions, which chunk and embed document text so AI queries can draw on
+// the most relevant passages (see functions/semantic-index.js).
+//
+// A build is kept in semanticIndexJobs/{jobId}, with its status (running,
+// complete, cancelled or failed), the embedder it uses and running counts.
+// Documents are also embedded as they are ingested; a build catches up on
+// the rest.
+
+import {
+    doc,
+    updateDoc,
+    collection,
+    query,
+    orderBy,
+    limit,
+    onSnapshot,
+    getCountFromServer
+} from "https://www.gstatic.com/firebasejs/11.6.1/firebase-firestore.js";
+
+const jobsPath = (appId, userId) => `artifacts/${appId}/users/${userId}/semanticIndexJobs`;
+
+/**
+ * Listens to the most recent build.
+ * @param {Function} onChange - Called with the build ({ id, ...fields }) or null.
+ * @param {Function} onError
+ * @returns {Function} Unsubscribes.
+ */
+export function listenToLatestSemanticIndexBuild(db, appId, userId, onChange, onError) {
+    const latest = query(collection(db, jobsPath(appId, userId)), orderBy('createdAt', 'desc'), limit(1));
+    return onSnapshot(latest, (snapshot) => {
+        const [job] = snapshot.docs;
+        onChange(job ? { id: job.id, ...job.data() } : null);
+    }, onError);
+}
+
+/**
+ * Stops a running build after the part in progress. Documents already
+ * embedded stay in the index.
+ * @returns {Promise<void>}
+ */
+export async function cancelSemanticIndexBuild(db, appId, userId, jobId) {
+    await updateDoc(doc(db, jobsPath(appId, userId), jobId), { status: 'cancelled', updatedAt: new Date() });
+}
+
+/**
+ * Counts the documents with passages in the semantic index.
+ * @returns {Promise<number>}
+ */
+export async function countSemanticIndexDocs(db, appId, userId) {
+    const snapshot = await getCountFromServer(collection(db, `artifacts/${appId}/users/${userId}/semanticDocs`));
+    return snapshot.data().count;
+}
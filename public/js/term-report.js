@@ -0,0 +1,94 @@
+// Search term reports, as exchanged when negotiating search terms.
+//
+// Each term is run against the full-text index (the searchTermReport
+// callable returns the matching Beg Bates per term); the counts are worked
+// out here against the loaded documents so families can be included.
+
+import { toCsv } from './download.js';
+import { familyMembers } from './families.js';
+
+/**
+ * Splits a pasted term list into terms: one per line, blank lines and
+ * repeats dropped. Each line may use the full search syntax (search-query.js).
+ * @param {string} text
+ * @returns {Array<string>}
+ */
+export function parseTermList(text) {
+    const terms = String(text || '').split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+    return [...new Set(terms)];
+}
+
+/**
+ * Adds every loaded family member of the given documents.
+ * @returns {Set<string>}
+ */
+function withFamilies(docIds, docsById, families) {
+    const expanded = new Set();
+    for (const docId of docIds) {
+        const doc = docsById.get(docId);
+        if (!doc) {
+            expanded.add(docId);
+            continue;
+        }
+        for (const member of familyMembers(doc, families)) expanded.add(member.id);
+    }
+    return expanded;
+}
+
+/**
+ * Builds the report's counts.
+ * @param {Array<{term: string, docIds: Array<string>, error?: string}>} results - Per term, from searchTermReport.
+ * @param {Map<string, Object>} docsById - Loaded documents.
+ * @param {Map} families - From groupFamilies().
+ * @returns {{rows: Array<Object>, total: Object}}
+ *   Each row is { term, docIds, hits, uniqueDocIds, uniqueHits, familyDocIds, withFamilies, error }.
+ *   uniqueHits counts documents hit by that term and no other. total has the
+ *   same counts for documents hit by any term.
+ */
+export function buildTermReport(results, docsById, families) {
+    const termsPerDoc = new Map();
+    for (const { docIds = [] } of results) {
+        for (const docId of docIds) termsPerDoc.set(docId, (termsPerDoc.get(docId) || 0) + 1);
+    }
+
+    const rows = results.map(({ term, docIds = [], error = null }) => {
+        const familyDocIds = withFamilies(docIds, docsById, families);
+        const uniqueDocIds = docIds.filter(docId => termsPerDoc.get(docId) === 1);
+        return {
+            term,
+            docIds,
+            hits: docIds.length,
+            uniqueDocIds,
+            uniqueHits: uniqueDocIds.length,
+            familyDocIds: [...familyDocIds],
+            withFamilies: familyDocIds.size,
+            error
+        };
+    });
+
+    const allDocIds = [...termsPerDoc.keys()];
+    const allFamilyDocIds = withFamilies(allDocIds, docsById, families);
+    return {
+        rows,
+        total: {
+            docIds: allDocIds,
+            hits: allDocIds.length,
+            familyDocIds: [...allFamilyDocIds],
+            withFamilies: allFamilyDocIds.size
+        }
+    };
+}
+
+/**
+ * Builds the report as CSV.
+ * @param {Object} report - From buildTermReport().
+ * @returns {string}
+ */
+export function buildTermReportCsv(report) {
+    const rows = [['Term', 'Documents', 'Unique Hits', 'Documents With Families', 'Error']];
+    for (const row of report.rows) {
+        rows.push([row.term, row.hits, row.uniqueHits, row.withFamilies, row.error || '']);
+    }
+    rows.push(['Total (any term)', report.total.hits, '', report.total.withFamilies, '']);
+    return toCsv(rows);
+}
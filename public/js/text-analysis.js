@@ -0,0 +1,158 @@
+// Text analysis shared by the browser and Cloud Functions.
+//
+// The search index (functions/search-index.js) and anything that has to agree
+// with it about what a "term" is use these functions, so a word is indexed and
+// looked up the same way everywhere. This module has no imports: the functions
+// build copies it into functions/shared/ (see functions/copy-shared.js).
+
+/**
+ * Words too common to be worth indexing.
+ */
+export const STOP_WORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'for', 'if', 'in', 'into', 'is', 'it',
+    'no', 'not', 'of', 'on', 'or', 'such', 'that', 'the', 'their', 'then', 'there', 'these',
+    'they', 'this', 'to', 'was', 'were', 'will', 'with'
+]);
+
+// Longer tokens are almost always encoded data (base64, hashes) rather than words
+const MAX_TOKEN_LENGTH = 64;
+
+const TOKEN_PATTERN = /[\p{L}\p{N}]+(?:['’][\p{L}\p{N}]+)*/gu;
+
+/**
+ * Lowercases text and strips diacritics, so "Résumé" and "resume" compare equal.
+ * @param {string} text
+ * @returns {string}
+ */
+export function normalizeText(text) {
+    return String(text || '').normalize('NFKD').replace(/\p{M}/gu, '').toLowerCase();
+}
+
+/**
+ * Splits text into normalized word tokens, in order. Apostrophes inside a word
+ * are dropped ("don't" -> "dont").
+ * @param {string} text
+ * @returns {Array<string>}
+ */
+export function tokenize(text) {
+    const tokens = [];
+    for (const match of normalizeText(text).matchAll(TOKEN_PATTERN)) {
+        const token = match[0].replace(/['’]/g, '');
+        if (token.length <= MAX_TOKEN_LENGTH) tokens.push(token);
+    }
+    return tokens;
+}
+
+/**
+ * Finds the word tokens of text with their character offsets in the original
+ * (un-normalized) text, e.g. for highlighting.
+ * @param {string} text
+ * @yields {{token: string, start: number, end: number}} token is normalized as by tokenize().
+ */
+export function* tokenSpans(text) {
+    for (const match of String(text || '').matchAll(TOKEN_PATTERN)) {
+        const token = normalizeText(match[0]).replace(/['’]/g, '');
+        if (token.length <= MAX_TOKEN_LENGTH) yield { token, start: match.index, end: match.index + match[0].length };
+    }
+}
+
+// Porter stemmer (M.F. Porter, "An algorithm for suffix stripping", 1980)
+const c = '[^aeiou]';
+const v = '[aeiouy]';
+const C = `${c}[^aeiouy]*`;
+const V = `${v}[aeiou]*`;
+const MEASURE_GT_0 = new RegExp(`^(${C})?${V}${C}`);
+const MEASURE_EQ_1 = new RegExp(`^(${C})?${V}${C}(${V})?$`);
+const MEASURE_GT_1 = new RegExp(`^(${C})?${V}${C}${V}${C}`);
+const HAS_VOWEL = new RegExp(`^(${C})?${v}`);
+const ENDS_CVC = new RegExp(`^${C}${v}[^aeiouwxy]$`);
+
+const STEP2_SUFFIXES = {
+    ational: 'ate', tional: 'tion', enci: 'ence', anci: 'ance', izer: 'ize', bli: 'ble',
+    alli: 'al', entli: 'ent', eli: 'e', ousli: 'ous', ization: 'ize', ation: 'ate',
+    ator: 'ate', alism: 'al', iveness: 'ive', fulness: 'ful', ousness: 'ous', aliti: 'al',
+    iviti: 'ive', biliti: 'ble', logi: 'log'
+};
+const STEP3_SUFFIXES = {
+    icate: 'ic', ative: '', alize: 'al', iciti: 'ic', ical: 'ic', ful: '', ness: ''
+};
+const STEP2 = new RegExp(`^(.+?)(${Object.keys(STEP2_SUFFIXES).join('|')})$`);
+const STEP3 = new RegExp(`^(.+?)(${Object.keys(STEP3_SUFFIXES).join('|')})$`);
+const STEP4 = /^(.+?)(al|ance|ence|er|ic|able|ible|ant|ement|ment|ent|ou|ism|ate|iti|ous|ive|ize)$/;
+
+/**
+ * Reduces an English word to its stem ("negotiating", "negotiation" -> "negoti").
+ * Words with digits or non-ASCII letters are returned unchanged.
+ * @param {string} word - A lowercase token.
+ * @returns {string}
+ */
+export function stem(word) {
+    if (word.length < 3 || !/^[a-z]+$/.test(word)) return word;
+
+    let w = word;
+    const startsWithY = w[0] === 'y';
+    if (startsWithY) w = 'Y' + w.slice(1);
+    let match;
+
+    // Step 1a: plurals
+    if ((match = /^(.+?)(ss|i)es$/.exec(w))) w = match[1] + match[2];
+    else if ((match = /^(.+?)([^s])s$/.exec(w))) w = match[1] + match[2];
+
+    // Step 1b: -eed, -ed, -ing
+    if ((match = /^(.+?)eed$/.exec(w))) {
+        if (MEASURE_GT_0.test(match[1])) w = w.slice(0, -1);
+    } else if ((match = /^(.+?)(ed|ing)$/.exec(w)) && HAS_VOWEL.test(match[1])) {
+        w = match[1];
+        if (/(at|bl|iz)$/.test(w)) w += 'e';
+        else if (/([^aeiouylsz])\1$/.test(w)) w = w.slice(0, -1);
+        else if (ENDS_CVC.test(w)) w += 'e';
+    }
+
+    // Step 1c: y -> i
+    if ((match = /^(.+?)y$/.exec(w)) && HAS_VOWEL.test(match[1])) w = match[1] + 'i';
+
+    // Steps 2 and 3: double and single suffixes
+    if ((match = STEP2.exec(w)) && MEASURE_GT_0.test(match[1])) w = match[1] + STEP2_SUFFIXES[match[2]];
+    if ((match = STEP3.exec(w)) && MEASURE_GT_0.test(match[1])) w = match[1] + STEP3_SUFFIXES[match[2]];
+
+    // Step 4: remaining suffixes
+    if ((match = STEP4.exec(w))) {
+        if (MEASURE_GT_1.test(match[1])) w = match[1];
+    } else if ((match = /^(.+?)(s|t)(ion)$/.exec(w))) {
+        if (MEASURE_GT_1.test(match[1] + match[2])) w = match[1] + match[2];
+    }
+
+    // Step 5: final -e and -ll
+    if ((match = /^(.+?)e$/.exec(w))) {
+        const base = match[1];
+        if (MEASURE_GT_1.test(base) || (MEASURE_EQ_1.test(base) && !ENDS_CVC.test(base))) w = base;
+    }
+    if (/ll$/.test(w) && MEASURE_GT_1.test(w)) w = w.slice(0, -1);
+
+    if (startsWithY) w = 'y' + w.slice(1);
+    return w;
+}
+
+/**
+ * Turns text into index terms: tokenized, stop words removed, stemmed.
+ * @param {string} text
+ * @returns {Array<string>} Terms in text order (repeats kept, for term frequencies).
+ */
+export function analyzeText(text) {
+    return analyzeTokens(text).map(({ term }) => term);
+}
+
+/**
+ * Like analyzeText(), keeping each term's word position. Positions count the
+ * stop words too, so phrase and proximity checks measure real distances.
+ * @param {string} text
+ * @returns {Array<{token: string, term: string, position: number}>}
+ *   token is the word as written (normalized), term its stem.
+ */
+export function analyzeTokens(text) {
+    const analyzed = [];
+    tokenize(text).forEach((token, position) => {
+        if (!STOP_WORDS.has(token)) analyzed.push({ token, term: stem(token), position });
+    });
+    return analyzed;
+}
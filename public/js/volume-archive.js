@@ -0,0 +1,83 @@
+// Production volumes delivered as a single ZIP.
+//
+// A volume is laid out as
+//   [VOL001/]DATA/VOL001.dat, DATA/VOL001.opt
+//   [VOL001/]NATIVES/..., TEXT/..., IMAGES/...
+// The load files are found automatically, and the files in each folder are
+// keyed exactly like a folder picked in the Ingest tab (path below the
+// folder, upper-cased), so the rest of the ingest pipeline does not need to
+// know where the files came from.
+
+import { openZip } from './zip-reader.js';
+
+// Top-level folder names (NATIVE, NATIVES, NATIVE_FILES, TEXT, IMAGES, ...) by kind
+const FOLDER_KINDS = [
+    { kind: 'native', pattern: /^NATIVE/i },
+    { kind: 'text', pattern: /^(TEXT|OCR)/i },
+    { kind: 'image', pattern: /^IMAGE/i }
+];
+
+function parentFolder(path) {
+    return path.substring(0, path.lastIndexOf('/') + 1);
+}
+
+/**
+ * The volume root is the folder holding DATA/ (or the load file itself when
+ * it is not in a DATA folder). "VOL001/DATA/VOL001.dat" -> "VOL001/"
+ * @param {string} datPath - The load file's path in the archive.
+ * @returns {string} The root, with a trailing slash unless it is the top level.
+ */
+export function volumeRootFor(datPath) {
+    const folder = parentFolder(datPath);
+    const folderName = folder.slice(0, -1).split('/').pop();
+    return /^DATA$/i.test(folderName) ? parentFolder(folder.slice(0, -1)) : folder;
+}
+
+// Load files in a DATA folder first, then the ones nearest the top of the archive
+function compareLoadFiles(a, b) {
+    const inData = entry => /(^|\/)DATA\/[^/]+$/i.test(entry.path) ? 1 : 0;
+    const depth = entry => entry.path.split('/').length;
+    return (inData(b) - inData(a)) || (depth(a) - depth(b)) || a.path.localeCompare(b.path);
+}
+
+/**
+ * Lays out a volume around one of its load files.
+ * @param {Array<Object>} entries - From openZip().
+ * @param {Object} datFile - The chosen .dat entry.
+ * @returns {Object} { datFile, optFile, root, fileMaps: { native, text, image } }
+ */
+export function layoutVolume(entries, datFile) {
+    const root = volumeRootFor(datFile.path);
+    const optFile = entries
+        .filter(entry => /\.opt$/i.test(entry.name) && entry.path.startsWith(root))
+        .sort(compareLoadFiles)[0] || null;
+
+    const fileMaps = { native: new Map(), text: new Map(), image: new Map() };
+    for (const entry of entries) {
+        if (!entry.path.startsWith(root)) continue;
+        const relative = entry.path.slice(root.length); // "NATIVES/0001/ABC.pdf"
+        const slash = relative.indexOf('/');
+        if (slash < 0) continue;
+        const folder = FOLDER_KINDS.find(f => f.pattern.test(relative.slice(0, slash)));
+        if (folder) fileMaps[folder.kind].set(relative.slice(slash + 1).toUpperCase(), entry);
+    }
+
+    console.log(`Volume at "${root || '/'}": ${fileMaps.native.size} natives, ${fileMaps.text.size} texts, ${fileMaps.image.size} images.`);
+    return { datFile, optFile, root, fileMaps };
+}
+
+/**
+ * Opens a zipped production volume and finds its load files and folders.
+ * @param {File} archive - The .zip file.
+ * @returns {Promise<Object>} { entries, datFiles, datFile, optFile, root, fileMaps }
+ *   datFiles lists every .dat in the archive, best guess first, so another
+ *   one can be picked with layoutVolume().
+ */
+export async function openVolumeArchive(archive) {
+    const entries = await openZip(archive);
+    const datFiles = entries.filter(entry => /\.dat$/i.test(entry.name)).sort(compareLoadFiles);
+    if (datFiles.length === 0) {
+        throw new Error(`No .dat load file was found in ${archive.name}.`);
+    }
+    return { entries, datFiles, ...layoutVolume(entries, datFiles[0]) };
+}
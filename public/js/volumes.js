@@ -0,0 +1,195 @@
+// Volume history: listing, comparison with the prior state, and rollback.
+//
+// Every ingest job is a volume (see ingest-job.js). Its manifest items record
+// what each document looked like before the volume was applied, which is all
+// that is needed to show what a volume changed and to undo it.
+
+import {
+    doc,
+    getDoc,
+    getDocs,
+    setDoc,
+    writeBatch,
+    collection,
+    query,
+    orderBy,
+    limit,
+    deleteField,
+    arrayRemove
+} from "https://www.gstatic.com/firebasejs/11.6.1/firebase-firestore.js";
+import {
+    ref,
+    deleteObject
+} from "https://www.gstatic.com/firebasejs/11.6.1/firebase-storage.js";
+import { withRetry } from './ingest-job.js';
+
+// Manifest items handled per rollback batch; each is at most two writes
+const ROLLBACK_PAGE_SIZE = 200;
+
+// Bookkeeping fields that are not shown when comparing document states
+const INTERNAL_FIELDS = new Set(['volumeId', 'overlayVolumeIds']);
+
+/**
+ * Lists the user's volumes, newest first.
+ * @returns {Promise<Array<Object>>} Job documents with their id.
+ */
+export async function listVolumes(db, appId, userId) {
+    const snapshot = await getDocs(query(
+        collection(db, `artifacts/${appId}/users/${userId}/ingestJobs`),
+        orderBy('startedAt', 'desc')
+    ));
+    const volumes = [];
+    snapshot.forEach(d => volumes.push({ id: d.id, ...d.data() }));
+    return volumes;
+}
+
+// Firestore values (Timestamps, arrays, maps) compared by their JSON form
+function sameValue(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Lists the fields that differ between two states of a document.
+ * @param {Object|null} before - State before the volume (null if the document did not exist).
+ * @param {Object|null} after - Current state (null if the document no longer exists).
+ * @param {Array<string>} [fields] - Only compare these fields.
+ * @returns {Array<Object>} { field, before, after }
+ */
+export function diffDocumentStates(before, after, fields) {
+    const keys = fields || [...new Set([...Object.keys(before || {}), ...Object.keys(after || {})])];
+    const changes = [];
+    for (const field of keys) {
+        if (INTERNAL_FIELDS.has(field)) continue;
+        const beforeValue = before ? before[field] : undefined;
+        const afterValue = after ? after[field] : undefined;
+        if (!sameValue(beforeValue, afterValue)) {
+            changes.push({ field, before: beforeValue, after: afterValue });
+        }
+    }
+    return changes;
+}
+
+/**
+ * Compares the first documents of a volume with their state before it was applied.
+ * @param {Object} db - Firestore instance.
+ * @param {string} appId
+ * @param {string} userId
+ * @param {Object} volume - From listVolumes().
+ * @param {number} [maxDocs] - Documents to compare.
+ * @returns {Promise<Array<Object>>} { docId, change, fields: [{ field, before, after }] }
+ */
+export async function compareVolume(db, appId, userId, volume, maxDocs = 100) {
+    const userPath = `artifacts/${appId}/users/${userId}`;
+    const itemsSnapshot = await getDocs(query(collection(db, `${userPath}/ingestJobs/${volume.id}/items`), limit(maxDocs)));
+    const items = [];
+    itemsSnapshot.forEach(d => items.push({ docId: d.id, ...d.data() }));
+
+    return Promise.all(items.map(async item => {
+        const snapshot = await getDoc(doc(db, `${userPath}/docs`, item.docId));
+        const current = snapshot.exists() ? snapshot.data() : null;
+        if (item.change === 'overlaid') {
+            // Only the fields the overlay wrote; ones that did not exist before compare as undefined
+            const written = [...Object.keys(item.previous || {}), ...(item.previousMissing || [])];
+            return { docId: item.docId, change: item.change, fields: diffDocumentStates(item.previous, current, written) };
+        }
+        return { docId: item.docId, change: item.change || 'added', fields: diffDocumentStates(item.previous, current) };
+    }));
+}
+
+async function deleteStorageObject(storage, path) {
+    try {
+        await withRetry(() => deleteObject(ref(storage, path)));
+    } catch (error) {
+        // Already gone is fine: rollback may be re-run after an interruption
+        if (error.code !== 'storage/object-not-found') throw error;
+    }
+}
+
+/**
+ * Rolls a volume back: documents it added are deleted, documents it replaced
+ * or overlaid are restored to their prior state, and the natives, text and
+ * images it uploaded are deleted from Storage. A document that a later full
+ * volume has since replaced (or, for an overlay, that no longer carries the
+ * overlay) is left alone and reported as a conflict.
+ *
+ * Manifest items are deleted as they are undone, so an interrupted rollback
+ * can simply be started again.
+ *
+ * @param {Object} params
+ * @param {Object} params.db - Firestore instance.
+ * @param {Object} params.storage - Storage instance.
+ * @param {string} params.appId
+ * @param {string} params.userId
+ * @param {string} params.volumeId
+ * @param {Function} [params.onProgress] - Called with { processed, deleted, restored, conflicts }.
+ * @returns {Promise<Object>} { processed, deleted, restored, conflicts }
+ */
+export async function rollbackVolume({ db, storage, appId, userId, volumeId, onProgress = () => {} }) {
+    const userPath = `artifacts/${appId}/users/${userId}`;
+    const jobRef = doc(db, `${userPath}/ingestJobs`, volumeId);
+    const itemsPath = `${userPath}/ingestJobs/${volumeId}/items`;
+    const stats = { processed: 0, deleted: 0, restored: 0, conflicts: [] };
+
+    await setDoc(jobRef, { status: 'rolling_back', updatedAt: new Date() }, { merge: true });
+
+    for (;;) {
+        const page = await withRetry(() => getDocs(query(collection(db, itemsPath), limit(ROLLBACK_PAGE_SIZE))));
+        if (page.empty) break;
+
+        const batch = writeBatch(db);
+        const unusedPaths = [];
+        for (const itemSnapshot of page.docs) {
+            const item = itemSnapshot.data();
+            const docId = itemSnapshot.id;
+            const docRef = doc(db, `${userPath}/docs`, docId);
+            const snapshot = await withRetry(() => getDoc(docRef));
+            const current = snapshot.exists() ? snapshot.data() : null;
+
+            if (item.change === 'overlaid') {
+                if (current && !(current.overlayVolumeIds || []).includes(volumeId)) {
+                    stats.conflicts.push(docId);
+                } else if (current) {
+                    const restore = { overlayVolumeIds: arrayRemove(volumeId) };
+                    for (const [field, value] of Object.entries(item.previous || {})) restore[field] = value;
+                    for (const field of item.previousMissing || []) restore[field] = deleteField();
+                    batch.update(docRef, restore);
+                    stats.restored++;
+                }
+            } else if (item.change !== 'none') {
+                // A later volume that replaced the document keeps this one's
+                // uploads as its previous state, so they stay for a conflict
+                if (current && current.volumeId !== volumeId) {
+                    stats.conflicts.push(docId);
+                } else {
+                    if (item.previous) {
+                        batch.set(docRef, item.previous);
+                        stats.restored++;
+                    } else if (current) {
+                        batch.delete(docRef);
+                        stats.deleted++;
+                    }
+                    // Uploads are stored under the volume ID, so they are never shared with another volume
+                    unusedPaths.push(...(item.storagePaths || []));
+                }
+            }
+            batch.delete(itemSnapshot.ref);
+            stats.processed++;
+        }
+        await withRetry(() => batch.commit());
+        // Only once no document points at them
+        for (const path of unusedPaths) {
+            await deleteStorageObject(storage, path);
+        }
+        onProgress(stats);
+    }
+
+    await setDoc(jobRef, {
+        status: 'rolled_back',
+        rolledBackAt: new Date(),
+        rollbackConflicts: stats.conflicts.slice(0, 500),
+        updatedAt: new Date()
+    }, { merge: true });
+
+    console.log(`Rolled back volume ${volumeId}: ${stats.deleted} deleted, ${stats.restored} restored, ${stats.conflicts.length} conflict(s).`);
+    return stats;
+}
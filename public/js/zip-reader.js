@@ -0,0 +1,234 @@
+// Streaming ZIP archive reader.
+//
+// Only the central directory at the end of the archive is read up front.
+// Each entry is exposed as a File-like object whose bytes are sliced from the
+// archive (and inflated with DecompressionStream) when they are read, so a
+// multi-gigabyte production volume is never loaded into memory as a whole.
+// ZIP64 archives are supported; encrypted entries are not.
+
+const EOCD_SIGNATURE = 0x06054b50;
+const ZIP64_EOCD_LOCATOR_SIGNATURE = 0x07064b50;
+const ZIP64_EOCD_SIGNATURE = 0x06064b50;
+const CENTRAL_HEADER_SIGNATURE = 0x02014b50;
+const LOCAL_HEADER_SIGNATURE = 0x04034b50;
+const ZIP64_EXTRA_FIELD_ID = 0x0001;
+
+const EOCD_MIN_SIZE = 22;
+const MAX_COMMENT_SIZE = 0xFFFF;
+const LOCAL_HEADER_SIZE = 30;
+
+const METHOD_STORED = 0;
+const METHOD_DEFLATED = 8;
+const FLAG_ENCRYPTED = 0x0001;
+const FLAG_UTF8 = 0x0800;
+
+async function readBytes(file, start, end) {
+    return new DataView(await file.slice(start, end).arrayBuffer());
+}
+
+// DataView offsets are Numbers; ZIP64 values above 2^53 do not occur in practice
+function getUint64(view, offset) {
+    return Number(view.getBigUint64(offset, true));
+}
+
+/**
+ * Locates the central directory from the end-of-central-directory record,
+ * following the ZIP64 locator when the classic fields are saturated.
+ * @returns {Promise<{offset: number, size: number, count: number}>}
+ */
+async function readCentralDirectoryLocation(file) {
+    const tailStart = Math.max(0, file.size - EOCD_MIN_SIZE - MAX_COMMENT_SIZE);
+    const tail = await readBytes(file, tailStart, file.size);
+
+    let eocd = -1;
+    for (let i = tail.byteLength - EOCD_MIN_SIZE; i >= 0; i--) {
+        if (tail.getUint32(i, true) === EOCD_SIGNATURE) {
+            eocd = i;
+            break;
+        }
+    }
+    if (eocd < 0) {
+        throw new Error(`${file.name} is not a ZIP archive (no end of central directory found).`);
+    }
+
+    let count = tail.getUint16(eocd + 10, true);
+    let size = tail.getUint32(eocd + 12, true);
+    let offset = tail.getUint32(eocd + 16, true);
+
+    if (count === 0xFFFF || size === 0xFFFFFFFF || offset === 0xFFFFFFFF) {
+        const locatorPos = tailStart + eocd - 20;
+        const locator = await readBytes(file, locatorPos, locatorPos + 20);
+        if (locator.getUint32(0, true) !== ZIP64_EOCD_LOCATOR_SIGNATURE) {
+            throw new Error(`${file.name} looks like a ZIP64 archive but its ZIP64 locator is missing.`);
+        }
+        const zip64Pos = getUint64(locator, 8);
+        const zip64 = await readBytes(file, zip64Pos, zip64Pos + 56);
+        if (zip64.getUint32(0, true) !== ZIP64_EOCD_SIGNATURE) {
+            throw new Error(`${file.name} has a damaged ZIP64 end of central directory.`);
+        }
+        count = getUint64(zip64, 32);
+        size = getUint64(zip64, 40);
+        offset = getUint64(zip64, 48);
+    }
+    return { offset, size, count };
+}
+
+/**
+ * Parses the central directory into entry descriptions.
+ * @returns {Array<Object>} { path, method, flags, compressedSize, size, localHeaderOffset }
+ */
+function parseCentralDirectory(view, count, archiveName) {
+    const entries = [];
+    const utf8 = new TextDecoder('utf-8');
+    // Names without the UTF-8 flag are CP437; Windows-1252 matches it for the
+    // ASCII names load files use and is the closest label TextDecoder knows
+    const legacy = new TextDecoder('windows-1252');
+    let pos = 0;
+
+    for (let n = 0; n < count; n++) {
+        if (pos + 46 > view.byteLength || view.getUint32(pos, true) !== CENTRAL_HEADER_SIGNATURE) {
+            throw new Error(`${archiveName} has a damaged central directory (entry ${n + 1}).`);
+        }
+        const flags = view.getUint16(pos + 8, true);
+        const method = view.getUint16(pos + 10, true);
+        let compressedSize = view.getUint32(pos + 20, true);
+        let size = view.getUint32(pos + 24, true);
+        const nameLength = view.getUint16(pos + 28, true);
+        const extraLength = view.getUint16(pos + 30, true);
+        const commentLength = view.getUint16(pos + 32, true);
+        let localHeaderOffset = view.getUint32(pos + 42, true);
+
+        const nameBytes = new Uint8Array(view.buffer, view.byteOffset + pos + 46, nameLength);
+        const path = ((flags & FLAG_UTF8) ? utf8 : legacy).decode(nameBytes);
+
+        // ZIP64 extra field: only the saturated values are present, in this order
+        let extraPos = pos + 46 + nameLength;
+        const extraEnd = extraPos + extraLength;
+        while (extraPos + 4 <= extraEnd) {
+            const id = view.getUint16(extraPos, true);
+            const length = view.getUint16(extraPos + 2, true);
+            if (id === ZIP64_EXTRA_FIELD_ID) {
+                let p = extraPos + 4;
+                if (size === 0xFFFFFFFF) { size = getUint64(view, p); p += 8; }
+                if (compressedSize === 0xFFFFFFFF) { compressedSize = getUint64(view, p); p += 8; }
+                if (localHeaderOffset === 0xFFFFFFFF) { localHeaderOffset = getUint64(view, p); }
+            }
+            extraPos += 4 + length;
+        }
+
+        entries.push({ path, method, flags, compressedSize, size, localHeaderOffset });
+        pos = extraEnd + commentLength;
+    }
+    return entries;
+}
+
+/**
+ * Wraps an archive entry in the parts of the File interface the ingest code
+ * uses: name, size, stream(), text(), arrayBuffer(), slice() and blob().
+ * @param {File} archive - The ZIP file.
+ * @param {Object} entry - From parseCentralDirectory().
+ * @returns {Object} The entry file.
+ */
+function createEntryFile(archive, entry) {
+    const name = entry.path.substring(entry.path.lastIndexOf('/') + 1);
+
+    // The local header's extra field may differ from the central one, so its
+    // length is read from the local header itself
+    async function dataBlob() {
+        if (entry.flags & FLAG_ENCRYPTED) {
+            throw new Error(`${entry.path} is encrypted; password-protected archives are not supported.`);
+        }
+        if (entry.method !== METHOD_STORED && entry.method !== METHOD_DEFLATED) {
+            throw new Error(`${entry.path} uses an unsupported compression method (${entry.method}).`);
+        }
+        const header = await readBytes(archive, entry.localHeaderOffset, entry.localHeaderOffset + LOCAL_HEADER_SIZE);
+        if (header.getUint32(0, true) !== LOCAL_HEADER_SIGNATURE) {
+            throw new Error(`${entry.path} has a damaged local header.`);
+        }
+        const dataStart = entry.localHeaderOffset + LOCAL_HEADER_SIZE + header.getUint16(26, true) + header.getUint16(28, true);
+        return archive.slice(dataStart, dataStart + entry.compressedSize);
+    }
+
+    function stream() {
+        // A ReadableStream has to be returned synchronously, so the local
+        // header lookup happens inside the first pull
+        let reader = null;
+        return new ReadableStream({
+            async pull(controller) {
+                if (!reader) {
+                    let source = (await dataBlob()).stream();
+                    if (entry.method === METHOD_DEFLATED) {
+                        source = source.pipeThrough(new DecompressionStream('deflate-raw'));
+                    }
+                    reader = source.getReader();
+                }
+                const { done, value } = await reader.read();
+                if (done) controller.close();
+                else controller.enqueue(value);
+            },
+            cancel(reason) {
+                if (reader) return reader.cancel(reason);
+            }
+        });
+    }
+
+    // Reads bytes [start, end) of the uncompressed data, stopping early
+    async function readRange(start, end) {
+        const result = new Uint8Array(Math.max(0, end - start));
+        const reader = stream().getReader();
+        let position = 0;
+        try {
+            while (position < end) {
+                const { done, value } = await reader.read();
+                if (done) break;
+                const from = Math.max(start - position, 0);
+                const to = Math.min(end - position, value.byteLength);
+                if (to > from) result.set(value.subarray(from, to), position + from - start);
+                position += value.byteLength;
+            }
+        } finally {
+            reader.cancel().catch(() => {});
+        }
+        return result.buffer.slice(0, Math.max(0, Math.min(end, position) - start));
+    }
+
+    return {
+        name,
+        path: entry.path,
+        size: entry.size,
+        stream,
+        async arrayBuffer() {
+            return new Response(stream()).arrayBuffer();
+        },
+        async text() {
+            return new Response(stream()).text();
+        },
+        slice(start = 0, end = entry.size) {
+            return { size: Math.max(0, end - start), arrayBuffer: () => readRange(start, end) };
+        },
+        /**
+         * The uncompressed content as a Blob, for uploading. Stored entries are
+         * a slice of the archive and cost nothing; deflated ones are inflated.
+         */
+        async blob() {
+            if (entry.method === METHOD_STORED) return dataBlob();
+            return new Response(stream()).blob();
+        }
+    };
+}
+
+/**
+ * Reads a ZIP archive's directory.
+ * @param {File} archive - The .zip file.
+ * @returns {Promise<Array<Object>>} One File-like entry per file in the
+ *   archive (directories are skipped), each with its full path in `path`.
+ */
+export async function openZip(archive) {
+    const { offset, size, count } = await readCentralDirectoryLocation(archive);
+    const directory = await readBytes(archive, offset, offset + size);
+    const entries = parseCentralDirectory(directory, count, archive.name)
+        .filter(entry => !entry.path.endsWith('/'))
+        .map(entry => createEntryFile(archive, entry));
+    console.log(`Read ${entries.length} entries from ${archive.name}.`);
+    return entries;
+}
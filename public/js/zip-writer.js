@@ -0,0 +1,216 @@
+// ZIP archive writer for production volumes.
+//
+// Entries are stored without compression: natives and page images are
+// already compressed, and a stored archive can be assembled from Blobs
+// without copying them. The finished archive is a Blob whose parts are the
+// entry Blobs themselves, so the browser is free to keep a large volume on
+// disk rather than in memory. ZIP64 records are written only when the archive
+// needs them (entries or offsets past 4 GiB, or more than 65,535 entries),
+// in the form zip-reader.js reads.
+
+const LOCAL_HEADER_SIGNATURE = 0x04034b50;
+const CENTRAL_HEADER_SIGNATURE = 0x02014b50;
+const EOCD_SIGNATURE = 0x06054b50;
+const ZIP64_EOCD_SIGNATURE = 0x06064b50;
+const ZIP64_EOCD_LOCATOR_SIGNATURE = 0x07064b50;
+const ZIP64_EXTRA_FIELD_ID = 0x0001;
+
+const VERSION_DEFAULT = 20;
+const VERSION_ZIP64 = 45;
+const FLAG_UTF8 = 0x0800;
+const METHOD_STORED = 0;
+const MAX_32 = 0xFFFFFFFF;
+const MAX_16 = 0xFFFF;
+
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) c = (c & 1) ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+/**
+ * CRC-32 (as used by ZIP), computed incrementally.
+ * @param {Uint8Array} bytes
+ * @param {number} [crc] - The CRC of the preceding bytes.
+ * @returns {number} Unsigned 32-bit CRC.
+ */
+export function crc32(bytes, crc = 0) {
+    let c = (crc ^ MAX_32) >>> 0;
+    for (let i = 0; i < bytes.length; i++) {
+        c = CRC_TABLE[(c ^ bytes[i]) & 0xFF] ^ (c >>> 8);
+    }
+    return (c ^ MAX_32) >>> 0;
+}
+
+async function crc32OfBlob(blob) {
+    let crc = 0;
+    const reader = blob.stream().getReader();
+    for (;;) {
+        const { done, value } = await reader.read();
+        if (done) return crc;
+        crc = crc32(value, crc);
+    }
+}
+
+// MS-DOS date and time, as stored in ZIP headers
+function dosDateTime(date) {
+    const year = Math.max(1980, date.getFullYear());
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+        date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+}
+
+// Little-endian writes into a byte array
+function createFieldWriter(length) {
+    const bytes = new Uint8Array(length);
+    const view = new DataView(bytes.buffer);
+    let pos = 0;
+    return {
+        bytes,
+        u16(value) { view.setUint16(pos, value, true); pos += 2; },
+        u32(value) { view.setUint32(pos, value, true); pos += 4; },
+        u64(value) { view.setBigUint64(pos, BigInt(value), true); pos += 8; },
+        raw(data) { bytes.set(data, pos); pos += data.length; }
+    };
+}
+
+/**
+ * Creates a ZIP writer. Entries are added in order with add(), then the
+ * archive is completed with finish().
+ * @returns {{add: Function, finish: Function, entryCount: Function}}
+ */
+export function createZipWriter() {
+    const encoder = new TextEncoder();
+    const parts = [];
+    const entries = [];
+    const paths = new Set();
+    let offset = 0;
+
+    /**
+     * Adds a file.
+     * @param {string} path - Path inside the archive, with "/" separators.
+     * @param {Blob|Uint8Array|string} content - Strings are written as UTF-8.
+     * @param {Date} [modified]
+     */
+    async function add(path, content, modified = new Date()) {
+        if (paths.has(path)) {
+            throw new Error(`${path} was added to the archive twice.`);
+        }
+        paths.add(path);
+
+        const blob = content instanceof Blob ? content : new Blob([content]);
+        const crc = await crc32OfBlob(blob);
+        const name = encoder.encode(path);
+        const size = blob.size;
+        const { time, date } = dosDateTime(modified);
+        const zip64 = size >= MAX_32;
+
+        const header = createFieldWriter(30 + name.length + (zip64 ? 20 : 0));
+        header.u32(LOCAL_HEADER_SIGNATURE);
+        header.u16(zip64 ? VERSION_ZIP64 : VERSION_DEFAULT);
+        header.u16(FLAG_UTF8);
+        header.u16(METHOD_STORED);
+        header.u16(time);
+        header.u16(date);
+        header.u32(crc);
+        header.u32(zip64 ? MAX_32 : size);
+        header.u32(zip64 ? MAX_32 : size);
+        header.u16(name.length);
+        header.u16(zip64 ? 20 : 0);
+        header.raw(name);
+        if (zip64) {
+            header.u16(ZIP64_EXTRA_FIELD_ID);
+            header.u16(16);
+            header.u64(size);
+            header.u64(size);
+        }
+
+        parts.push(header.bytes, blob);
+        entries.push({ name, crc, size, time, date, offset });
+        offset += header.bytes.length + size;
+    }
+
+    /**
+     * Writes the central directory.
+     * @returns {Blob} The archive.
+     */
+    function finish() {
+        const centralStart = offset;
+        for (const entry of entries) {
+            // Only the saturated values go in the ZIP64 extra field, in this order
+            const extra = [];
+            if (entry.size >= MAX_32) extra.push(entry.size, entry.size);
+            if (entry.offset >= MAX_32) extra.push(entry.offset);
+            const extraLength = extra.length ? 4 + extra.length * 8 : 0;
+
+            const header = createFieldWriter(46 + entry.name.length + extraLength);
+            header.u32(CENTRAL_HEADER_SIGNATURE);
+            header.u16(VERSION_ZIP64);
+            header.u16(extra.length ? VERSION_ZIP64 : VERSION_DEFAULT);
+            header.u16(FLAG_UTF8);
+            header.u16(METHOD_STORED);
+            header.u16(entry.time);
+            header.u16(entry.date);
+            header.u32(entry.crc);
+            header.u32(Math.min(entry.size, MAX_32));
+            header.u32(Math.min(entry.size, MAX_32));
+            header.u16(entry.name.length);
+            header.u16(extraLength);
+            header.u16(0);  // comment length
+            header.u16(0);  // disk number
+            header.u16(0);  // internal attributes
+            header.u32(0);  // external attributes
+            header.u32(Math.min(entry.offset, MAX_32));
+            header.raw(entry.name);
+            if (extra.length) {
+                header.u16(ZIP64_EXTRA_FIELD_ID);
+                header.u16(extra.length * 8);
+                extra.forEach(value => header.u64(value));
+            }
+            parts.push(header.bytes);
+            offset += header.bytes.length;
+        }
+
+        const centralSize = offset - centralStart;
+        const count = entries.length;
+        if (count >= MAX_16 || centralStart >= MAX_32 || centralSize >= MAX_32) {
+            const zip64End = createFieldWriter(56 + 20);
+            zip64End.u32(ZIP64_EOCD_SIGNATURE);
+            zip64End.u64(44);  // size of the rest of this record
+            zip64End.u16(VERSION_ZIP64);
+            zip64End.u16(VERSION_ZIP64);
+            zip64End.u32(0);
+            zip64End.u32(0);
+            zip64End.u64(count);
+            zip64End.u64(count);
+            zip64End.u64(centralSize);
+            zip64End.u64(centralStart);
+            // Locator
+            zip64End.u32(ZIP64_EOCD_LOCATOR_SIGNATURE);
+            zip64End.u32(0);
+            zip64End.u64(offset);
+            zip64End.u32(1);
+            parts.push(zip64End.bytes);
+        }
+
+        const end = createFieldWriter(22);
+        end.u32(EOCD_SIGNATURE);
+        end.u16(0);
+        end.u16(0);
+        end.u16(Math.min(count, MAX_16));
+        end.u16(Math.min(count, MAX_16));
+        end.u32(Math.min(centralSize, MAX_32));
+        end.u32(Math.min(centralStart, MAX_32));
+        end.u16(0);
+        parts.push(end.bytes);
+
+        return new Blob(parts, { type: 'application/zip' });
+    }
+
+    return { add, finish, entryCount: () => entries.length };
+}